@@ -0,0 +1,109 @@
+/**
+ * Audit log search (/audit)
+ * ------------------------------------------------------
+ * Managers:
+ *   /audit search [player] [actor] [action] [outcome] [from] [to]
+ *                         -> newest matching entries of DATA_DIR/audit-log.jsonl
+ *
+ * The log itself is written by lib/audit-log.js for every token mutation
+ * and reward call, whichever command caused it.
+ *
+ * Who may use it: the "audit" key in permissions.json (lib/permissions.js).
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { ACTIONS } = require('../lib/audit-log');
+const { parseDay } = require('../lib/token-history');
+
+const SEARCH_LIMIT = 25;
+const OUTCOME_ICONS = { done: '✅', retrying: '⏳', failed: '❌' };
+
+// Shared services, handed over by index.js in init()
+let audit, permissions;
+
+// ---- SLASH COMMANDS --------------------------------------------------------
+const auditCmd = new SlashCommandBuilder()
+  .setName('audit')
+  .setDescription('Managers: token audit log')
+  .addSubcommand(sc => sc
+    .setName('search')
+    .setDescription('Search every token mutation the bot made')
+    .addUserOption(o => o.setName('player').setDescription('Player whose tokens changed'))
+    .addUserOption(o => o.setName('actor').setDescription('Who caused it (manager, admin, trade sender)'))
+    .addStringOption(o => {
+      const opt = o.setName('action').setDescription('Kind of mutation');
+      Object.keys(ACTIONS).forEach(a => opt.addChoices({ name: a, value: a }));
+      return opt;
+    })
+    .addStringOption(o => o
+      .setName('outcome')
+      .setDescription('Only successes, retries or failures')
+      .addChoices(
+        { name: 'done', value: 'done' },
+        { name: 'retrying', value: 'retrying' },
+        { name: 'failed', value: 'failed' },
+      ))
+    .addStringOption(o => o.setName('from').setDescription('First day, YYYY-MM-DD'))
+    .addStringOption(o => o.setName('to').setDescription('Last day, YYYY-MM-DD'))
+  );
+
+// ---- FORMATTING ------------------------------------------------------------
+function entryLine(e) {
+  const who = p => (p ? (p.id ? `<@${p.id}>` : p.name) : '-');
+  const amount = e.amount != null ? ` ${e.amount >= 0 ? '+' : ''}${e.amount}` : '';
+  return `<t:${Math.floor(e.at / 1000)}:f> ${OUTCOME_ICONS[e.outcome] || '•'} **${e.action}**${amount} → ${who(e.player)}` +
+    ` • by ${who(e.actor)}` +
+    (e.ref ? ` • \`${e.ref}\`` : '') +
+    (e.outcome !== 'done' && e.error ? `\n  ↳ ${e.error}` : '') +
+    (e.dryRun ? ' • DRY-RUN' : '');
+}
+
+// ---- HANDLER ---------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    if (!permissions.can(member, 'audit')) return interaction.editReply('⛔ Managers only.');
+
+    const from = parseDay(interaction.options.getString('from'));
+    const to = parseDay(interaction.options.getString('to'), true);
+    if (Number.isNaN(from) || Number.isNaN(to)) return interaction.editReply('❌ Dates must look like 2024-12-31.');
+
+    const entries = audit.search({
+      guildId: interaction.guildId,
+      playerId: interaction.options.getUser('player')?.id,
+      actorId: interaction.options.getUser('actor')?.id,
+      action: interaction.options.getString('action'),
+      outcome: interaction.options.getString('outcome'),
+      from,
+      to,
+      limit: SEARCH_LIMIT,
+    });
+    if (!entries.length) return interaction.editReply('ℹ️ No audit entries match.');
+
+    // Embed descriptions stop at 4096 characters; drop the oldest lines first
+    const lines = [];
+    let length = 0;
+    for (const line of entries.map(entryLine)) {
+      if (length + line.length + 1 > 4000) break;
+      lines.push(line);
+      length += line.length + 1;
+    }
+    const embed = new EmbedBuilder()
+      .setTitle('🧾 Audit log')
+      .setColor(0x95a5a6)
+      .setDescription(lines.join('\n'))
+      .setFooter({ text: `Newest ${lines.length} match(es)` });
+    return interaction.editReply({ embeds: [embed] });
+  } catch (err) {
+    console.error('[Interaction error]', err);
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ audit, permissions } = ctx);
+}
+
+module.exports = { data: auditCmd, init, execute };
@@ -0,0 +1,162 @@
+/**
+ * Token leaderboard and economy stats
+ * ------------------------------------------------------
+ * Public:
+ *   /leaderboard [top]      -> richest linked members of this server
+ * Managers:
+ *   /economy stats [period] -> total supply, tokens granted / removed / traded
+ *   /economy refresh        -> rebuild the snapshot now instead of waiting; the result is
+ *                              posted to AUDIT_CHANNEL_ID
+ *
+ * Both read a cached snapshot (lib/economy-snapshot.js) that is rebuilt in
+ * the background, so a busy channel spamming /leaderboard never reaches GSA.
+ * /economy needs the "economy" key in permissions.json (lib/permissions.js).
+ *
+ * Settings (.env or config.json, see lib/config.js), on top of what index.js needs:
+ *   ECONOMY_REFRESH_MINUTES=30     # how often the snapshot is rebuilt
+ *   ECONOMY_HISTORY_DAYS=30        # how far back /economy stats can look
+ *   ECONOMY_PAUSE_MS=250           # pause between players while rebuilding
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { postToAudit } = require('../lib/audit-channel');
+const { createEconomySnapshots } = require('../lib/economy-snapshot');
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// Shared services, handed over by index.js in init()
+let client, config, snapshots, permissions;
+let historyDays; // ECONOMY_HISTORY_DAYS, set in init()
+
+// ---- SLASH COMMANDS --------------------------------------------------------
+const leaderboardCmd = new SlashCommandBuilder()
+  .setName('leaderboard')
+  .setDescription('Top token holders of this server')
+  .addIntegerOption(o => o.setName('top').setDescription('How many (3-25, default 10)').setMinValue(3).setMaxValue(25));
+
+const economyCmd = new SlashCommandBuilder()
+  .setName('economy')
+  .setDescription('Managers: token economy overview')
+  .addSubcommand(sc => sc
+    .setName('stats')
+    .setDescription('Supply and token flow over a period')
+    .addIntegerOption(o => o
+      .setName('period')
+      .setDescription('UTC calendar days to look back, today included (default 7)')
+      .addChoices({ name: 'today (UTC)', value: 1 }, { name: '7 days', value: 7 }, { name: '30 days', value: 30 }))
+  )
+  .addSubcommand(sc => sc
+    .setName('refresh')
+    .setDescription('Rebuild the snapshot now')
+  );
+
+// ---- FORMATTING ------------------------------------------------------------
+const num = n => n.toLocaleString('en-US');
+const ago = ms => `<t:${Math.floor(ms / 1000)}:R>`;
+
+function leaderboardEmbed(snapshot, top) {
+  const lines = snapshot.holders.slice(0, top).map((h, i) =>
+    `${MEDALS[i] || `**${i + 1}.**`} <@${h.discordId}> (${h.username}) — **${num(h.balance)}**`);
+  return new EmbedBuilder()
+    .setTitle('🏆 Token leaderboard')
+    .setColor(0xf1c40f)
+    .setDescription(`${lines.join('\n')}\n\nUpdated ${ago(snapshot.builtAt)}`);
+}
+
+function statsEmbed(snapshot, periodDays) {
+  const t = snapshots.totals(snapshot, periodDays);
+  // The snapshot buckets transactions per UTC day, so a period is whole calendar days.
+  const period = periodDays === 1 ? 'today (UTC)' : `last ${periodDays} days (UTC, today included)`;
+  const top = snapshot.holders[0];
+  const share = top && t.supply > 0 ? Math.round((top.balance / t.supply) * 100) : 0;
+  return new EmbedBuilder()
+    .setTitle('📊 Token economy')
+    .setColor(0x3498db)
+    .setDescription(`Snapshot ${ago(snapshot.builtAt)} • ${period}`)
+    .addFields(
+      { name: 'Total supply', value: num(t.supply), inline: true },
+      { name: 'Linked members', value: `${snapshot.linked} / ${snapshot.members}`, inline: true },
+      { name: 'Average balance', value: num(snapshot.linked ? Math.round(t.supply / snapshot.linked) : 0), inline: true },
+      { name: 'Granted', value: `➕${num(t.granted)}`, inline: true },
+      { name: 'Removed', value: `➖${num(t.removed)}`, inline: true },
+      { name: 'Traded', value: `🔁${num(t.traded)}`, inline: true },
+      { name: 'Net change', value: num(t.granted - t.removed), inline: true },
+      { name: 'Richest holder', value: top ? `<@${top.discordId}> (${share}% of supply)` : '-', inline: true },
+    )
+    .setFooter({ text: snapshot.failed ? `${snapshot.failed} player(s) could not be read and are missing` : 'Linked members only' });
+}
+
+// No snapshot yet: start one and ask to come back.
+function notReady(interaction) {
+  snapshots.refresh(interaction.guildId).catch(e => console.error('[Economy] Snapshot failed', e));
+  return interaction.editReply('⏳ Counting everyone\'s tokens for the first time, try again in a minute.');
+}
+
+// A full pass pauses between players, far longer than an interaction lasts:
+// answer right away and post the result to the audit channel.
+function startRefresh(interaction) {
+  const { guildId } = interaction;
+  const auditChannelId = config.get('AUDIT_CHANNEL_ID', guildId);
+  const by = `\n👤 by ${interaction.user.tag}`;
+  const running = snapshots.isBuilding(guildId);
+  snapshots.refresh(guildId).then(
+    snapshot => postToAudit(client, auditChannelId, `📊 Economy snapshot rebuilt: ${snapshot.linked} linked of ${snapshot.members} member(s)` +
+      (snapshot.failed ? `, ${snapshot.failed} could not be read.` : '.') + by),
+    e => {
+      console.error('[Economy] Snapshot failed', e);
+      postToAudit(client, auditChannelId, `❌ Economy snapshot failed: ${e?.message || e}${by}`);
+    },
+  );
+  return interaction.editReply(`⏳ ${running ? 'A snapshot is already being rebuilt' : 'Rebuilding the snapshot'}. ` +
+    (auditChannelId ? `The result will be posted in <#${auditChannelId}>.` : 'Check /economy stats in a few minutes.'));
+}
+
+// ---- HANDLER ---------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    if (interaction.commandName === 'leaderboard') {
+      await interaction.deferReply();
+      const snapshot = snapshots.get(interaction.guildId);
+      if (!snapshot) return notReady(interaction);
+      if (!snapshot.holders.length) return interaction.editReply('ℹ️ Nobody here has a linked GSA account yet.');
+      const top = interaction.options.getInteger('top') ?? 10;
+      return interaction.editReply({ embeds: [leaderboardEmbed(snapshot, top)] });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    if (!permissions.can(member, 'economy')) return interaction.editReply('⛔ Managers only.');
+
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'refresh') return startRefresh(interaction);
+
+    const snapshot = snapshots.get(interaction.guildId);
+    if (!snapshot) return notReady(interaction);
+    const period = Math.min(interaction.options.getInteger('period') ?? 7, historyDays);
+    return interaction.editReply({ embeds: [statsEmbed(snapshot, period)] });
+  } catch (err) {
+    console.error('[Interaction error]', err?.response?.data || err);
+    if (err?.code === 'auth_failed') return interaction.editReply('❌ GSA rejected the API key. Ask an admin to check GSA_API_KEY.');
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ client, config, permissions } = ctx);
+  historyDays = ctx.config.get('ECONOMY_HISTORY_DAYS');
+  snapshots = createEconomySnapshots({
+    client: ctx.client,
+    guildIds: () => ctx.config.guildIds(),
+    gsaFor: guildId => ctx.communities.for(guildId)?.gsa,
+    refreshMs: ctx.config.get('ECONOMY_REFRESH_MINUTES') * 60_000,
+    historyDays,
+    pauseMs: ctx.config.get('ECONOMY_PAUSE_MS'),
+  });
+}
+
+// The first pass runs in the background; the guild cache is filled by now.
+function ready() {
+  snapshots.start();
+}
+
+module.exports = { data: [leaderboardCmd, economyCmd], init, ready, execute };
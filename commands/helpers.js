@@ -0,0 +1,140 @@
+/**
+ * Helper recognitions (/helpers)
+ * ------------------------------------------------------
+ * Public:
+ *   /helpers top [period] [top]  -> who was recognized most this week / month / ever
+ *   /helpers profile [user]      -> one helper's recognitions: totals, rules, who recognized
+ *                                   them, the latest messages and their milestones
+ *
+ * A recognition is a reaction reward under a positive rule (or a "Recognize
+ * helper" / /recognize, see commands/recognize.js) that was granted and not
+ * reversed; they are read from the reward ledger (ctx.rewards,
+ * lib/reward-ledger.js) of the guild the command is used in. Milestone
+ * roles and bonuses are handed out by the reaction rewards as they happen
+ * (lib/helper-milestones.js, milestones.json).
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+const DAY_MS = 24 * 60 * 60_000;
+const PERIODS = {
+  week: { days: 7, label: 'last 7 days' },
+  month: { days: 30, label: 'last 30 days' },
+  all: { days: 0, label: 'all time' },
+};
+const MEDALS = ['🥇', '🥈', '🥉'];
+const LATEST_SHOWN = 5;
+
+// Shared services, handed over by index.js in init()
+let ledger, milestones;
+
+// ---- SLASH COMMAND ---------------------------------------------------------
+const helpersCmd = new SlashCommandBuilder()
+  .setName('helpers')
+  .setDescription('Who helps out the most')
+  .addSubcommand(sc => sc
+    .setName('top')
+    .setDescription('Most recognized helpers of this server')
+    .addStringOption(o => o
+      .setName('period')
+      .setDescription('Default: this week')
+      .addChoices({ name: 'last 7 days', value: 'week' }, { name: 'last 30 days', value: 'month' }, { name: 'all time', value: 'all' }))
+    .addIntegerOption(o => o.setName('top').setDescription('How many (3-25, default 10)').setMinValue(3).setMaxValue(25)))
+  .addSubcommand(sc => sc
+    .setName('profile')
+    .setDescription("A helper's recognitions")
+    .addUserOption(o => o.setName('user').setDescription('Discord user (default: you)')));
+
+// ---- FORMATTING ------------------------------------------------------------
+const ago = ms => `<t:${Math.floor(ms / 1000)}:R>`;
+const plural = (n, word) => `**${n}** ${word}${n === 1 ? '' : 's'}`;
+const messageLink = e => `https://discord.com/channels/${e.guildId}/${e.channelId}/${e.messageId}`;
+// /recognize has no message to link to (its messageId is the interaction's)
+const where = e => (e.source === 'command' ? `via /recognize in <#${e.channelId}>` : `[message](${messageLink(e)}) in <#${e.channelId}>`);
+
+// [[key, count], ...] biggest first
+function countBy(list, keyOf) {
+  const counts = new Map();
+  for (const item of list) counts.set(keyOf(item), (counts.get(keyOf(item)) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+function topEmbed(guildId, period, top) {
+  const { days, label } = PERIODS[period];
+  const since = days ? Date.now() - days * DAY_MS : 0;
+  const ranking = countBy(ledger.recognitions({ guildId, since }), e => e.helperId).slice(0, top);
+  const embed = new EmbedBuilder().setTitle(`🤝 Top helpers (${label})`).setColor(0x2ecc71);
+  if (!ranking.length) return embed.setDescription('Nobody was recognized in this period yet.');
+  return embed.setDescription(ranking
+    .map(([helperId, n], i) => `${MEDALS[i] || `**${i + 1}.**`} <@${helperId}> — ${plural(n, 'recognition')}`)
+    .join('\n'));
+}
+
+function milestoneText(guildId, helperId, total) {
+  const list = milestones.forGuild(guildId);
+  if (!list?.length) return null;
+  const reached = milestones.reachedBy(guildId, helperId);
+  const next = list.find(m => !reached.includes(m.count) && m.count > total);
+  return [
+    reached.length ? `✅ ${reached.sort((a, b) => a - b).join(', ')}` : 'None yet',
+    next ? `Next: **${next.count}** (${next.count - total} to go)` : null,
+  ].filter(Boolean).join('\n');
+}
+
+function profileEmbed(guildId, user) {
+  const all = ledger.recognitions({ guildId, helperId: user.id });
+  const embed = new EmbedBuilder().setTitle(`🤝 ${user.username}'s recognitions`).setColor(0x2ecc71);
+  const now = Date.now();
+  const within = days => all.filter(e => e.grantedAt >= now - days * DAY_MS).length;
+  embed.setDescription(`${plural(all.length, 'recognition')} • **${within(7)}** this week • **${within(30)}** this month`);
+
+  if (all.length) {
+    embed.addFields(
+      { name: 'For', value: countBy(all, e => e.rule).map(([rule, n]) => `${rule}: ${n}`).join('\n'), inline: true },
+      {
+        name: 'Recognized by',
+        value: countBy(all, e => e.adminId).slice(0, 3).map(([adminId, n]) => `<@${adminId}> (${n})`).join('\n'),
+        inline: true,
+      },
+    );
+  }
+  const milestone = milestoneText(guildId, user.id, all.length);
+  if (milestone) embed.addFields({ name: 'Milestones', value: milestone, inline: true });
+  if (all.length) {
+    embed.addFields({
+      name: 'Latest',
+      value: all.slice(0, LATEST_SHOWN)
+        .map(e => `${ago(e.grantedAt)} • ${e.rule} • ${where(e)} by ${e.adminName || `<@${e.adminId}>`}${e.reason ? ` — ${e.reason}` : ''}`)
+        .join('\n'),
+    });
+  }
+  return embed;
+}
+
+// ---- Module ------------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    await interaction.deferReply();
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'top') {
+      const period = interaction.options.getString('period') || 'week';
+      const top = interaction.options.getInteger('top') || 10;
+      return interaction.editReply({ embeds: [topEmbed(interaction.guildId, period, top)] });
+    }
+
+    if (sub === 'profile') {
+      const user = interaction.options.getUser('user') || interaction.user;
+      return interaction.editReply({ embeds: [profileEmbed(interaction.guildId, user)] });
+    }
+  } catch (err) {
+    console.error('[Interaction error]', err);
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ rewards: ledger, milestones } = ctx);
+}
+
+module.exports = { data: helpersCmd, init, execute };
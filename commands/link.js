@@ -0,0 +1,171 @@
+/**
+ * Account linking (/link, /player)
+ * ------------------------------------------------------
+ * Players:
+ *   /link                   -> checks with GSA whether your Discord is linked; if not,
+ *                              explains how and offers a "Check again" button
+ * Managers:
+ *   /player lookup query    -> GSA username or uuid -> the linked Discord account
+ *   /player refresh user    -> forget the cached link of a member and ask GSA again
+ *
+ * Every guild asks its own GSA community (lib/communities.js), where the same
+ * Discord account can be linked to another player.
+ *
+ * Lookups by username / uuid use the link cache (lib/player-links.js): GSA
+ * can't be asked "whose Discord is this player", so only members the bot has
+ * looked up before (any command, reaction or /economy refresh) are found.
+ * /player needs the "player" key in permissions.json.
+ *
+ * Settings (.env or config.json, see lib/config.js), on top of what index.js needs:
+ *   LINK_URL=https://...         # where players link Discord (your community's GSA website); can differ per guild
+ *   LINK_CACHE_HOURS=24          # how long a Discord -> player link is cached
+ *   LINK_MISS_SECONDS=60         # how long "not linked" is cached
+ */
+
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require('discord.js');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_MATCHES = 10;
+
+// Shared services, handed over by index.js in init()
+let config, communities, permissions;
+
+// ---- SLASH COMMANDS --------------------------------------------------------
+const linkCmd = new SlashCommandBuilder()
+  .setName('link')
+  .setDescription('Check that your Discord is linked to your GSA player, or see how to link it');
+
+const playerCmd = new SlashCommandBuilder()
+  .setName('player')
+  .setDescription('Managers: GSA player links')
+  .addSubcommand(sc => sc
+    .setName('lookup')
+    .setDescription('Find the Discord account linked to a GSA player')
+    .addStringOption(o => o.setName('query').setDescription('GSA username or player uuid').setRequired(true))
+  )
+  .addSubcommand(sc => sc
+    .setName('refresh')
+    .setDescription('Look a member up in GSA again instead of using the cached link')
+    .addUserOption(o => o.setName('user').setDescription('Discord user').setRequired(true))
+  );
+
+// ---- /link -----------------------------------------------------------------
+function linkedText(player) {
+  return `✅ Your Discord is linked to GSA player **${player.username}** (\`${player.uuid}\`). ` +
+    '`/wallet`, `/trade` and the rewards will all use it.';
+}
+
+function howToLink(user, guildId, { again = false } = {}) {
+  const url = config.get('LINK_URL', guildId);
+  const where = url ? `[your community's website](${url})` : "your community's GameServerApp website";
+  const embed = new EmbedBuilder()
+    .setTitle('🔗 Link your Discord to GSA')
+    .setColor(again ? 0xe67e22 : 0x3498db)
+    .setDescription([
+      again ? '⚠️ Still not linked. GSA may need a minute after you connect.\n' : 'Tokens live on your GSA player, so the bot has to know which one is yours.\n',
+      `1. Log in on ${where} with your game account.`,
+      `2. Open your profile settings and connect Discord, using this account (**${user.tag}**).`,
+      '3. Come back here and press **Check again**.',
+    ].join('\n'));
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('link:check').setLabel('Check again').setStyle(ButtonStyle.Primary),
+  );
+  return { content: '', embeds: [embed], components: [row] };
+}
+
+// Always asks GSA: whoever runs /link wants to know about right now, not what was cached.
+async function linkStatus(interaction, opts) {
+  const player = await communities.for(interaction.guildId).links.refresh(interaction.user.id);
+  if (player) return { content: linkedText(player), embeds: [], components: [] };
+  return howToLink(interaction.user, interaction.guildId, opts);
+}
+
+function gsaTrouble(err) {
+  if (err?.code === 'rate_limited') return '⏳ GSA is rate limiting us. Try again in a few seconds.';
+  if (err?.code === 'unavailable') return '⏳ GSA is not answering right now. Try again in a minute.';
+  return '❌ Something went wrong.';
+}
+
+// ---- /player ---------------------------------------------------------------
+async function lookupPlayer(interaction) {
+  const query = interaction.options.getString('query', true).trim();
+  const { gsa, links } = communities.for(interaction.guildId);
+  const matches = links.search(query).slice(0, MAX_MATCHES);
+
+  // A uuid GSA knows is worth showing even when no Discord account is linked to it
+  let details = null;
+  if (UUID_RE.test(query)) {
+    try {
+      details = await gsa.getPlayerDetails(query.toLowerCase());
+    } catch (e) {
+      if (e.code !== 'not_found') throw e;
+    }
+  }
+
+  if (!matches.length) {
+    if (details) {
+      return interaction.editReply(`ℹ️ GSA player **${details.username || query}** (\`${query}\`) exists, ` +
+        'but no Discord account the bot has seen is linked to it.');
+    }
+    return interaction.editReply(`ℹ️ No known GSA player matches **${query}**. ` +
+      'Only members the bot has looked up are known; `/economy refresh` looks up the whole server.');
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🔎 Players matching "${query}"`)
+    .setColor(0x3498db)
+    .setDescription(matches.map(m =>
+      `**${m.username}** \`${m.uuid}\` → <@${m.discordId}> • checked <t:${Math.floor(m.at / 1000)}:R>`).join('\n'))
+    .setFooter({ text: 'From the link cache; /player refresh checks a member with GSA again' });
+  return interaction.editReply({ embeds: [embed] });
+}
+
+async function refreshPlayer(interaction) {
+  const user = interaction.options.getUser('user', true);
+  const { links } = communities.for(interaction.guildId);
+  links.forget(user.id);
+  const player = await links.refresh(user.id);
+  if (!player) return interaction.editReply(`ℹ️ **${user.tag}** is not linked to a GSA player.`);
+  return interaction.editReply(`✅ **${user.tag}** is linked to **${player.username}** (\`${player.uuid}\`).`);
+}
+
+// ---- HANDLER ---------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    if (interaction.commandName === 'link') return interaction.editReply(await linkStatus(interaction));
+
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    if (!permissions.can(member, 'player')) return interaction.editReply('⛔ Managers only.');
+
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'lookup') return lookupPlayer(interaction);
+    return refreshPlayer(interaction);
+  } catch (err) {
+    console.error('[Interaction error]', err?.response?.data || err);
+    return interaction.editReply(gsaTrouble(err));
+  }
+}
+
+async function handleButton(interaction) {
+  try {
+    await interaction.deferUpdate();
+    return await interaction.editReply(await linkStatus(interaction, { again: true }));
+  } catch (err) {
+    console.error('[Link button error]', err?.response?.data || err);
+    return interaction.editReply({ content: gsaTrouble(err), embeds: [], components: [] }).catch(() => {});
+  }
+}
+
+function init(ctx) {
+  ({ config, communities, permissions } = ctx);
+}
+
+module.exports = { data: [linkCmd, playerCmd], buttonPrefix: 'link', init, execute, handleButton };
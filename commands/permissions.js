@@ -0,0 +1,69 @@
+/**
+ * Effective permissions (/permissions)
+ * ------------------------------------------------------
+ *   /permissions [user]   -> which manager commands and reaction rules a member
+ *                            may use, their grant caps and what is left today
+ *
+ * Everyone may look themselves up; looking up someone else needs the
+ * "permissions" key. Roles and caps come from permissions.json, see
+ * lib/permissions.js.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+// Shared services, handed over by index.js in init()
+let permissions;
+
+// ---- SLASH COMMANDS --------------------------------------------------------
+const permissionsCmd = new SlashCommandBuilder()
+  .setName('permissions')
+  .setDescription('What a member may do with the bot')
+  .addUserOption(o => o.setName('user').setDescription('Member to check (default: you)'));
+
+// ---- FORMATTING ------------------------------------------------------------
+const cap = n => (n ? String(n) : '∞');
+
+function permissionsEmbed(member, eff) {
+  const commands = eff.commands.length
+    ? eff.commands.map(c => `\`${c.key}\` • ${cap(c.maxPerAction)} per action • ${cap(c.maxPerDay)} per day`).join('\n')
+    : 'None';
+  const reactions = eff.reactions.length
+    ? eff.reactions.map(r => (r === '*' ? 'every rule' : `\`${r}\``)).join(', ')
+    : 'Only rules that list one of their roles';
+
+  return new EmbedBuilder()
+    .setTitle(`🔐 Permissions of ${member.displayName || member.user?.username || member.id}`)
+    .setColor(0x3498db)
+    .addFields(
+      { name: 'Roles', value: eff.roles.map(r => `<@&${r.id}> (${r.name})`).join('\n') || 'None with permissions', inline: false },
+      { name: 'Commands', value: commands.slice(0, 1024), inline: false },
+      { name: 'Reaction rules', value: reactions.slice(0, 1024), inline: false },
+      { name: 'Granted in the last 24 h', value: String(eff.usedToday), inline: true },
+    );
+}
+
+// ---- HANDLER ---------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    const target = interaction.options.getUser('user') || interaction.user;
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    if (target.id !== interaction.user.id && !permissions.can(member, 'permissions')) {
+      return interaction.editReply('⛔ You can only check your own permissions.');
+    }
+
+    const targetMember = target.id === member.id ? member : await interaction.guild.members.fetch(target.id).catch(() => null);
+    if (!targetMember) return interaction.editReply(`❌ **${target.tag}** is not a member of this server.`);
+    return interaction.editReply({ embeds: [permissionsEmbed(targetMember, permissions.effective(targetMember))] });
+  } catch (err) {
+    console.error('[Interaction error]', err);
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ permissions } = ctx);
+}
+
+module.exports = { data: permissionsCmd, init, execute };
@@ -0,0 +1,228 @@
+/**
+ * Recognize a helper ("Recognize helper", /recognize)
+ * ------------------------------------------------------
+ * Two more ways to do what reacting ✅ on a helper's message does:
+ *   Apps > Recognize helper         -> on a message: asks for an optional reason (and amount),
+ *                                      then rewards the message's author
+ *   /recognize user reason [amount] -> rewards a helper without a message to point at
+ *
+ * Both go through the same pipeline as the reaction (lib/reaction-rewards.js):
+ * one reward per message and rule (for /recognize every use is its own), the
+ * rule's cooldown, the outbox, the reward ledger, /helpers and milestones.
+ * The reason is added to the webhook / task payload ("reason") and to the
+ * acknowledgement, which is posted in the channel like a reaction's.
+ *
+ * 🔒 Permissions: the same as reacting with the rule's emoji (its requiredRoles,
+ *   ADMIN_ROLE_ID, or the rule under "reactions" in permissions.json). A custom
+ *   amount only works with a tokens rule; it also needs "tokens.send", counts
+ *   against its maxPerAction / maxPerDay, and over APPROVAL_THRESHOLD waits for
+ *   a second manager (lib/approval-requests.js).
+ *
+ * Settings (.env or config.json, see lib/config.js):
+ *   RECOGNIZE_RULE=contribution  # rule to grant (default: the positive ✅ rule, else the
+ *                                # first positive one), per guild too
+ */
+
+const {
+  SlashCommandBuilder,
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+} = require('discord.js');
+const rewards = require('../lib/reaction-rewards');
+
+const MAX_REASON = 300;
+
+// Shared services, handed over by index.js in init()
+let client, permissions, approvals;
+
+// ---- COMMANDS --------------------------------------------------------------
+const recognizeCmd = new SlashCommandBuilder()
+  .setName('recognize')
+  .setDescription('Recognize a helper, like reacting ✅ on their message')
+  .addUserOption(o => o.setName('user').setDescription('Who helped').setRequired(true))
+  .addStringOption(o => o.setName('reason').setDescription('What they did').setRequired(true).setMaxLength(MAX_REASON))
+  .addIntegerOption(o => o.setName('amount').setDescription('Instead of the rule\'s amount (token rewards only)').setMinValue(1));
+
+const recognizeMenu = new ContextMenuCommandBuilder()
+  .setName('Recognize helper')
+  .setType(ApplicationCommandType.Message);
+
+// ---- CHECKS ----------------------------------------------------------------
+/**
+ * May `member` recognize `helper` (with a custom `amount`)?
+ * -> { ok: true, rule } | { ok: false, message }
+ */
+function checkRecognition(guildId, member, helper, amount = null) {
+  const rule = rewards.recognitionRule(guildId);
+  if (!rule) return { ok: false, message: '❌ There is no positive reaction rule to recognize helpers with (see RECOGNIZE_RULE).' };
+  if (!rewards.mayUse(member, rule)) return { ok: false, message: '⛔ You do not have permission.' };
+  if (!helper || helper.bot) return { ok: false, message: '❌ Bots cannot be recognized.' };
+  if (helper.id === member.id) return { ok: false, message: '❌ You cannot recognize yourself.' };
+  if (amount != null) {
+    if (rule.reward.type !== 'tokens') {
+      return { ok: false, message: `❌ "${rule.name}" does not pay tokens, so it takes no amount.` };
+    }
+    const allowed = permissions.checkAmount(member, 'tokens.send', { perAction: amount });
+    if (!allowed.ok) return allowed;
+  }
+  return { ok: true, rule };
+}
+
+// ---- RECOGNIZING -----------------------------------------------------------
+/**
+ * Run the recognition; resolves to what to tell the admin. Duplicate /
+ * cooldown / queued notes go to the admin instead of the channel.
+ */
+async function runRecognition({ guild, channel, rule, helper, admin, messageId, reason, amount, source }) {
+  let note = null;
+  const outcome = await rewards.recognize({
+    guild, channel, messageId, rule, helper, admin, reason, amount, source,
+    say: text => { note = text; },
+  });
+  // Custom amounts count against the admin's day like /tokens send
+  if (amount != null && ['granted', 'pending'].includes(outcome)) permissions.recordUsage(admin.id, amount);
+
+  if (outcome === 'granted') return `✅ **${helper.username}** was recognized (${rule.name}).`;
+  return note || `❌ The reward for **${helper.username}** could not be sent; the audit channel has the details.`;
+}
+
+/**
+ * Recognize now, or (a custom amount over APPROVAL_THRESHOLD) ask a second
+ * manager first; answers the admin (ephemeral, deferred already).
+ */
+async function recognizeAndReply(interaction, { rule, helper, messageId, reason, amount, source }) {
+  const recognition = { rule, helper, messageId, reason, amount, source };
+  if (amount != null && approvals.needsApproval([{ amount }], interaction.guildId)) {
+    return interaction.editReply(await approvals.request(interaction, {
+      title: `Recognition of ${helper.username} with ${amount} tokens`,
+      entries: [{ discordId: helper.id, amount, reason: reason || `Recognized by ${interaction.user.tag}` }],
+      key: 'tokens.send',
+      kind: 'recognize',
+      data: {
+        ...recognition,
+        rule: rule.name,
+        helper: { id: helper.id, username: helper.username },
+        admin: { id: interaction.user.id, username: interaction.user.username },
+        channelId: interaction.channelId,
+      },
+    }));
+  }
+  return interaction.editReply(await runRecognition({
+    ...recognition, guild: interaction.guild, channel: interaction.channel, admin: interaction.user,
+  }));
+}
+
+// A second manager approved a custom amount: recognize as the requesting admin, in the channel they asked in.
+async function recognizeApproved({ guildId, data }) {
+  const rule = rewards.recognitionRule(guildId);
+  if (rule?.name !== data.rule) return `❌ "${data.rule}" is no longer the recognition rule; nothing was sent.`;
+  const guild = client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId);
+  const channel = client.channels.cache.get(data.channelId) || await client.channels.fetch(data.channelId);
+  return runRecognition({ ...data, guild, channel, rule });
+}
+
+function reasonModal(messageId) {
+  const reason = new TextInputBuilder()
+    .setCustomId('reason')
+    .setLabel('Reason')
+    .setStyle(TextInputStyle.Paragraph)
+    .setMaxLength(MAX_REASON)
+    .setRequired(false);
+  const amount = new TextInputBuilder()
+    .setCustomId('amount')
+    .setLabel('Amount (token rewards; empty: the rule\'s)')
+    .setStyle(TextInputStyle.Short)
+    .setMaxLength(9)
+    .setRequired(false);
+  return new ModalBuilder()
+    .setCustomId(`recognize:modal:${messageId}`)
+    .setTitle('Recognize helper')
+    .addComponents(new ActionRowBuilder().addComponents(reason), new ActionRowBuilder().addComponents(amount));
+}
+
+// "Recognize helper" on a message: check first, then ask for the reason.
+async function openModal(interaction) {
+  const message = interaction.targetMessage;
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  const allowed = checkRecognition(interaction.guildId, member, message.author);
+  if (!allowed.ok) return interaction.reply({ content: allowed.message, ephemeral: true });
+  return interaction.showModal(reasonModal(message.id));
+}
+
+async function handleModal(interaction) {
+  try {
+    const [, action, messageId] = interaction.customId.split(':');
+    if (action !== 'modal') return;
+
+    const reason = interaction.fields.getTextInputValue('reason').trim() || null;
+    const amountText = interaction.fields.getTextInputValue('amount').trim();
+    const amount = amountText ? Number(amountText) : null;
+    if (amount != null && (!Number.isInteger(amount) || amount < 1)) {
+      return interaction.reply({ content: '❌ The amount must be a whole number above 0.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const message = await interaction.channel.messages.fetch(messageId).catch(() => null);
+    if (!message) return interaction.editReply('❌ That message is gone.');
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    const allowed = checkRecognition(interaction.guildId, member, message.author, amount);
+    if (!allowed.ok) return interaction.editReply(allowed.message);
+
+    return await recognizeAndReply(interaction, {
+      rule: allowed.rule, helper: message.author, messageId: message.id, reason, amount, source: 'context-menu',
+    });
+  } catch (err) {
+    console.error('[Interaction error]', err);
+    const reply = interaction.deferred ? interaction.editReply.bind(interaction) : interaction.reply.bind(interaction);
+    return reply({ content: '❌ Something went wrong.', ephemeral: true });
+  }
+}
+
+// ---- Module ------------------------------------------------------------------
+async function execute(interaction) {
+  if (interaction.isMessageContextMenuCommand()) {
+    try {
+      return await openModal(interaction);
+    } catch (err) {
+      console.error('[Interaction error]', err);
+      return interaction.reply({ content: '❌ Something went wrong.', ephemeral: true });
+    }
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+    const helper = interaction.options.getUser('user', true);
+    const reason = interaction.options.getString('reason', true).trim();
+    const amount = interaction.options.getInteger('amount');
+
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    const allowed = checkRecognition(interaction.guildId, member, helper, amount);
+    if (!allowed.ok) return interaction.editReply(allowed.message);
+
+    // No message to point at: the interaction is the recognized "message"
+    return await recognizeAndReply(interaction, {
+      rule: allowed.rule, helper, messageId: interaction.id, reason, amount, source: 'command',
+    });
+  } catch (err) {
+    console.error('[Interaction error]', err);
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ client, permissions, approvals } = ctx);
+  rewards.init(ctx); // the rules; events/messageReactionAdd.js would load them right after
+  approvals.onApproved('recognize', recognizeApproved);
+}
+
+module.exports = {
+  data: [recognizeCmd, recognizeMenu],
+  buttonPrefix: 'recognize',
+  init,
+  execute,
+  handleModal,
+};
@@ -0,0 +1,289 @@
+/**
+ * Scheduled token payouts (/schedule)
+ * ------------------------------------------------------
+ * Managers:
+ *   /schedule add amount at [every] [user] [role] [users] [reason]
+ *                         -> pay once at a given time (e.g. tournament prizes), or
+ *                            every day / week / month from then on (e.g. a weekly
+ *                            stipend for everyone with the janitor role)
+ *   /schedule list        -> upcoming payouts
+ *   /schedule pause id    -> stop a schedule without losing it
+ *   /schedule resume id   -> pick it up again (missed occurrences are not paid)
+ *   /schedule cancel id   -> delete it
+ *
+ * Times are UTC ('YYYY-MM-DD HH:MM'). Role members are looked up when a run
+ * fires, so a stipend follows whoever has the role that week. Schedules live
+ * in DATA_DIR/schedules.json (see lib/payout-schedule.js); every run posts
+ * its summary to AUDIT_CHANNEL_ID.
+ *
+ * Needs the "schedule" key in permissions.json (lib/permissions.js). A new
+ * schedule must fit the creator's maxPerAction and, with everyone it pays
+ * today (listed users plus the role's members), their maxPerDay. Every run
+ * is checked against the creator's caps again and counts against their day;
+ * a run over them is skipped and reported. A
+ * schedule whose runs move more than APPROVAL_THRESHOLD tokens (listed users
+ * plus the role's current members) waits for a second manager first, like
+ * /tokens bulk (lib/approval-requests.js).
+ *
+ * Settings (.env or config.json, see lib/config.js), on top of what index.js needs:
+ *   AUDIT_CHANNEL_ID=...         # where runs and changes are announced
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { runBulkGrant, formatBulkSummary, tokensSent } = require('../lib/bulk-grant');
+const { postToAudit } = require('../lib/audit-channel');
+const { REPEATS, nextOccurrence, parseWhen } = require('../lib/payout-schedule');
+
+// ---- CONFIG ----------------------------------------------------------------
+// Read at use time from ctx.config, so a config.json reload applies right away.
+const auditChannelId = guildId => config.get('AUDIT_CHANNEL_ID', guildId);
+
+// Same bound as /tokens bulk; a run over it is skipped and reported instead of paid
+const SCHEDULE_MAX_PLAYERS = 100;
+
+// Shared services, handed over by index.js in init()
+let client, config, communities, enqueueForPlayer, isDryRun, permissions, approvals;
+let schedules, scheduler;
+
+// ---- SLASH COMMANDS --------------------------------------------------------
+const scheduleCmd = new SlashCommandBuilder()
+  .setName('schedule')
+  .setDescription('Managers: scheduled and recurring token payouts')
+  .addSubcommand(sc => sc
+    .setName('add')
+    .setDescription('Schedule a one-off or recurring payout')
+    .addIntegerOption(o => o.setName('amount').setDescription('Amount per player (+/-)').setRequired(true))
+    .addStringOption(o => o.setName('at').setDescription('First run, UTC: YYYY-MM-DD HH:MM').setRequired(true))
+    .addStringOption(o => {
+      const opt = o.setName('every').setDescription('Repeat (default: run once)');
+      REPEATS.forEach(r => opt.addChoices({ name: r, value: r }));
+      return opt;
+    })
+    .addUserOption(o => o.setName('user').setDescription('One player'))
+    .addRoleOption(o => o.setName('role').setDescription('Everyone with this role at run time'))
+    .addStringOption(o => o.setName('users').setDescription('Mentions or Discord IDs, separated by spaces or commas'))
+    .addStringOption(o => o.setName('reason').setDescription('Optional reason'))
+  )
+  .addSubcommand(sc => sc
+    .setName('list')
+    .setDescription('Show scheduled payouts')
+  )
+  .addSubcommand(sc => sc
+    .setName('pause')
+    .setDescription('Pause a schedule')
+    .addStringOption(o => o.setName('id').setDescription('Schedule id (see /schedule list)').setRequired(true))
+  )
+  .addSubcommand(sc => sc
+    .setName('resume')
+    .setDescription('Resume a paused schedule')
+    .addStringOption(o => o.setName('id').setDescription('Schedule id (see /schedule list)').setRequired(true))
+  )
+  .addSubcommand(sc => sc
+    .setName('cancel')
+    .setDescription('Delete a schedule')
+    .addStringOption(o => o.setName('id').setDescription('Schedule id (see /schedule list)').setRequired(true))
+  );
+
+// ---- FORMATTING ------------------------------------------------------------
+const ts = (ms, style = 'f') => `<t:${Math.floor(ms / 1000)}:${style}>`;
+
+function targetText({ roleId, userIds }) {
+  const parts = [];
+  if (roleId) parts.push(`<@&${roleId}>`);
+  if (userIds.length) parts.push(userIds.length <= 3 ? userIds.map(id => `<@${id}>`).join(', ') : `${userIds.length} users`);
+  return parts.join(' + ');
+}
+
+function scheduleText(s) {
+  return `\`${s.id}\` • **${s.amount}** tokens → ${targetText(s.target)} • ${s.repeat || 'once'} • ` +
+    (s.paused ? '⏸️ paused' : `next ${ts(s.nextRunAt)}`) +
+    (s.runs ? ` • ran ${s.runs}x` : '') +
+    ` • 📝 ${s.reason}`;
+}
+
+// ---- RUNS ------------------------------------------------------------------
+// Discord ids to pay right now: the listed users plus the role's current members, bots left out.
+async function resolveTargets({ guildId, target }) {
+  const ids = new Set(target.userIds);
+  if (target.roleId) {
+    const guild = client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId);
+    const members = await guild.members.fetch();
+    for (const m of members.values()) {
+      if (!m.user?.bot && m.roles.cache.has(target.roleId)) ids.add(m.id);
+    }
+  }
+  return [...ids];
+}
+
+async function runSchedule(s) {
+  const next = schedules.get(s.id);
+  const footer = `🗓️ Schedule \`${s.id}\` (${s.repeat || 'once'}), set up by ${s.createdBy} • 📝 ${s.reason}` +
+    (next ? ` • next ${ts(next.nextRunAt)}` : '');
+
+  let ids;
+  try {
+    ids = await resolveTargets(s);
+  } catch (e) {
+    console.error(`[Schedule] Could not resolve targets of ${s.id}`, e);
+    return postToAudit(client, auditChannelId(s.guildId), `❌ Scheduled payout could not look up its players: ${e?.message || e}\n${footer}`);
+  }
+  if (!ids.length) return postToAudit(client, auditChannelId(s.guildId), `ℹ️ Scheduled payout matched nobody, nothing was sent.\n${footer}`);
+  if (ids.length > SCHEDULE_MAX_PLAYERS) {
+    return postToAudit(client, auditChannelId(s.guildId),
+      `❌ Scheduled payout skipped: **${ids.length}** players is over the limit of **${SCHEDULE_MAX_PLAYERS}**.\n${footer}`);
+  }
+
+  // The creator's caps hold for every run, not just the first
+  if (s.createdById) {
+    const guild = client.guilds.cache.get(s.guildId) || await client.guilds.fetch(s.guildId);
+    const creator = await guild.members.fetch(s.createdById).catch(() => null);
+    const allowed = creator
+      ? permissions.checkAmount(creator, 'schedule', { perAction: s.amount, total: Math.abs(s.amount) * ids.length })
+      : { ok: false, message: `<@${s.createdById}> is no longer on this server.` };
+    if (!allowed.ok) {
+      return postToAudit(client, auditChannelId(s.guildId), `❌ Scheduled payout skipped for its creator's limits: ${allowed.message}\n${footer}`);
+    }
+  }
+
+  console.log(`[Schedule] Running ${s.id}: ${s.amount} tokens for ${ids.length} player(s)`);
+  const { gsa, mutatePlayerTokens } = communities.for(s.guildId);
+  const result = await runBulkGrant(
+    ids.map(discordId => ({ discordId, amount: s.amount, reason: s.reason })),
+    {
+      gsa,
+      enqueueForPlayer,
+      mutatePlayerTokens,
+      by: `schedule ${s.id}`,
+      actorId: s.createdById || null,
+      ref: `schedule:${s.id}`,
+      guildId: s.guildId,
+    }
+  );
+  if (s.createdById) permissions.recordUsage(s.createdById, tokensSent(result));
+  const summary = formatBulkSummary(result, {
+    title: `Scheduled ${s.amount >= 0 ? 'grant' : 'removal'} of ${Math.abs(s.amount)} tokens${isDryRun ? ' (DRY-RUN)' : ''}`,
+  });
+  return postToAudit(client, auditChannelId(s.guildId), `${summary}\n${footer}`);
+}
+
+// ---- SUBCOMMANDS -----------------------------------------------------------
+async function addSchedule(interaction, member) {
+  const amount = interaction.options.getInteger('amount', true);
+  const at = parseWhen(interaction.options.getString('at', true));
+  const repeat = interaction.options.getString('every');
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+  const users = interaction.options.getString('users');
+  const reason = interaction.options.getString('reason') || `Scheduled by ${interaction.user.tag}`;
+
+  if (amount === 0) return interaction.editReply('❌ Amount cannot be 0.');
+  if (Number.isNaN(at)) return interaction.editReply('❌ Use `YYYY-MM-DD HH:MM` (UTC) for the time, e.g. `2026-07-04 18:00`.');
+  if (at <= Date.now()) return interaction.editReply('❌ That time is in the past.');
+
+  const userIds = new Set(users?.match(/\d{17,20}/g) || []);
+  if (user) userIds.add(user.id);
+  if (!role && !userIds.size) return interaction.editReply('❌ Pick a user, a role or paste a list of users.');
+  if (userIds.size > SCHEDULE_MAX_PLAYERS) {
+    return interaction.editReply(`❌ A schedule is limited to **${SCHEDULE_MAX_PLAYERS}** players.`);
+  }
+  const spec = {
+    guildId: interaction.guildId,
+    amount,
+    reason,
+    target: { userIds: [...userIds], roleId: role?.id || null },
+    repeat,
+    nextRunAt: at,
+    createdBy: interaction.user.tag,
+    createdById: interaction.user.id,
+  };
+
+  // Role members count as of now; every run checks again with whoever has the role then
+  const entries = (await resolveTargets(spec)).map(discordId => ({ discordId, amount, reason }));
+  const allowed = permissions.checkAmount(member, 'schedule', { perAction: amount, total: Math.abs(amount) * entries.length });
+  if (!allowed.ok) return interaction.editReply(allowed.message);
+
+  // One run moving more than APPROVAL_THRESHOLD waits for a second manager, like /tokens bulk
+  if (approvals.needsApproval(entries, interaction.guildId)) {
+    const title = `Scheduled ${repeat || 'one-off'} ${amount >= 0 ? 'grant' : 'removal'} of ${Math.abs(amount)} tokens per player from ${ts(at)}`;
+    return interaction.editReply(await approvals.request(interaction, { title, entries, key: 'schedule', kind: 'schedule', data: spec }));
+  }
+
+  const s = createSchedule(spec);
+  postToAudit(client, auditChannelId(s.guildId), `🗓️ ${interaction.user.tag} scheduled a payout: ${scheduleText(s)}`);
+  return interaction.editReply(`🗓️ Scheduled \`${s.id}\`: **${amount}** tokens → ${targetText(s.target)}, ` +
+    `${repeat ? `${repeat} from` : 'once at'} ${ts(at)} (${ts(at, 'R')}).`);
+}
+
+function createSchedule(spec) {
+  const s = schedules.create(spec);
+  scheduler.poke();
+  return s;
+}
+
+// A schedule a second manager approved; one whose first run has passed meanwhile runs right away.
+async function createApproved(request) {
+  const s = createSchedule(request.data);
+  return `🗓️ Scheduled a payout: ${scheduleText(s)}`;
+}
+
+function listSchedules(interaction) {
+  const all = schedules.list().filter(s => s.guildId === interaction.guildId);
+  if (!all.length) return interaction.editReply('ℹ️ No scheduled payouts.');
+  return interaction.editReply(`🗓️ Scheduled payouts (${all.length}):\n\n${all.map(scheduleText).join('\n')}`);
+}
+
+async function changeSchedule(interaction, sub) {
+  const id = interaction.options.getString('id', true).trim();
+  const s = schedules.get(id);
+  // Another guild's schedule is none of this guild's managers' business
+  if (!s || s.guildId !== interaction.guildId) return interaction.editReply(`❌ No schedule \`${id}\`.`);
+
+  if (sub === 'cancel') {
+    schedules.remove(id);
+  } else if (sub === 'pause') {
+    if (s.paused) return interaction.editReply(`ℹ️ \`${id}\` is already paused.`);
+    schedules.patch(id, { paused: true });
+  } else {
+    if (!s.paused) return interaction.editReply(`ℹ️ \`${id}\` is not paused.`);
+    // A recurring payout skips the slots it missed; a one-off that is overdue runs right away
+    const nextRunAt = s.repeat ? nextOccurrence(s.nextRunAt, s.repeat) : s.nextRunAt;
+    schedules.patch(id, { paused: false, nextRunAt });
+  }
+  scheduler.poke();
+
+  const verb = { pause: 'paused', resume: 'resumed', cancel: 'cancelled' }[sub];
+  postToAudit(client, auditChannelId(s.guildId), `🗓️ ${interaction.user.tag} ${verb} schedule ${scheduleText(s)}`);
+  const next = schedules.get(id);
+  return interaction.editReply(`✅ Schedule \`${id}\` ${verb}.` + (sub === 'resume' ? ` Next run ${ts(next.nextRunAt)}.` : ''));
+}
+
+// ---- HANDLER ---------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    if (!permissions.can(member, 'schedule')) return interaction.editReply('⛔ Managers only.');
+
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'add') return addSchedule(interaction, member);
+    if (sub === 'list') return listSchedules(interaction);
+    return changeSchedule(interaction, sub);
+  } catch (err) {
+    console.error('[Interaction error]', err);
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ client, config, communities, enqueueForPlayer, isDryRun, permissions, approvals, schedules, scheduler } = ctx);
+  scheduler.onRun(runSchedule);
+  approvals.onApproved('schedule', createApproved);
+}
+
+// Payouts that fell due while the bot was down run now; not awaited, so startup isn't held up.
+function ready() {
+  scheduler.start().catch(e => console.error('[Schedule] Startup run failed', e));
+}
+
+module.exports = { data: scheduleCmd, init, ready, execute };
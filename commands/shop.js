@@ -0,0 +1,395 @@
+/**
+ * Token shop (/shop)
+ * ------------------------------------------------------
+ * Public commands (answers only the caller sees):
+ *   /shop list            -> what is for sale in this guild: price, stock left, your own limit
+ *   /shop buy item        -> buy an item by id or name. The buyer confirms with a button; then
+ *                            the price is taken and the item's GSA task is executed with their
+ *                            Discord id as service_id. If the task fails for good, the price
+ *                            is refunded automatically.
+ * Managers:
+ *   /shop orders [state]  -> unfinished orders (default) or orders in one state
+ *   /shop resolve id action [note]
+ *                         -> retry or close a stuck order
+ *
+ * The catalog (price, GSA task, stock, per-player limit, required roles) is
+ * shop.json, see lib/shop-catalog.js. Every order is journaled in
+ * DATA_DIR/shop-orders.json and driven step by step (lib/shop-orders.js,
+ * lib/shop-runner.js); unfinished orders resume on startup.
+ *
+ * /shop orders and /shop resolve need "shop.orders" / "shop.resolve" in permissions.json.
+ *
+ * Settings (.env or config.json, see lib/config.js), on top of what index.js needs:
+ *   SHOP_CATALOG=...             # optional path to the catalog (default ./shop.json), per guild too
+ *   SHOP_CONFIRM_SECONDS=60      # how long the buyer has to press Confirm
+ *   AUDIT_CHANNEL_ID=...         # stuck orders are announced there
+ */
+
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require('discord.js');
+const { postToAudit } = require('../lib/audit-channel');
+const { DEFAULT_CATALOG_PATH, loadCatalog, findItem, stockLeft, checkPurchase } = require('../lib/shop-catalog');
+const { createShopOrders, ORDER_STATES } = require('../lib/shop-orders');
+const { createShopRunner } = require('../lib/shop-runner');
+
+// ---- CONFIG ----------------------------------------------------------------
+const auditChannelId = guildId => config.get('AUDIT_CHANNEL_ID', guildId);
+const confirmMs = () => config.get('SHOP_CONFIRM_SECONDS') * 1000;
+
+// Shared services, handed over by index.js in init()
+let client, config, communities, outbox, enqueueForPlayer, permissions;
+let catalogs, orders, runner;
+
+// Guilds without a catalog of their own sell GUILD_ID's.
+function catalogFor(guildId) {
+  return catalogs.get(guildId) || catalogs.get(config.get('GUILD_ID'));
+}
+
+// Stock and per-player limits count every order of the community, whichever of its guilds it was made in.
+function purchaseCheck(guildId, item, buyerId, roleIds) {
+  const community = communities.for(guildId).id;
+  return checkPurchase(item, {
+    roleIds,
+    sold: orders.countSold({ community, itemId: item.id }),
+    bought: orders.countSold({ community, itemId: item.id, buyerId }),
+  });
+}
+
+// What the buyer is told about an order that did not complete right away.
+function orderStatusMessage(order) {
+  const ref = `Order \`${order.id}\``;
+  switch (order.state) {
+    case 'pending':
+      return `⏳ ${ref} is waiting on GSA. It will complete automatically.`;
+    case 'paid':
+      return `⏳ ${ref}: **${order.price}** tokens were taken, but GSA did not deliver **${order.itemName}** yet. ` +
+        'It will be delivered automatically (or refunded if it keeps failing).';
+    case 'failed':
+      return `❌ ${ref} failed. No tokens were taken.`;
+    case 'refunding':
+      return `❌ ${ref}: **${order.itemName}** could not be delivered. Your tokens are being refunded automatically.`;
+    case 'refunded':
+      return `❌ ${ref}: **${order.itemName}** could not be delivered. Your **${order.price}** tokens were refunded.`;
+    default:
+      return `⚠️ ${ref} could not be delivered or refunded. Staff have been notified and will sort it out.`;
+  }
+}
+
+// ---- Purchase offers (confirm button) --------------------------------------
+// Offers only live in memory: nothing has moved yet, so a restart just drops them.
+const purchaseOffers = new Map(); // offerId -> offer
+
+function offerButtons(offer) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`shop:confirm:${offer.id}`).setLabel(`Buy for ${offer.item.price}`).setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`shop:cancel:${offer.id}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+    ),
+  ];
+}
+
+function dropOffer(offer) {
+  clearTimeout(offer.timer);
+  purchaseOffers.delete(offer.id);
+}
+
+function armExpiry(offer, ms) {
+  offer.expiresAt = Date.now() + ms;
+  offer.timer = setTimeout(() => {
+    if (purchaseOffers.get(offer.id) !== offer) return;
+    dropOffer(offer);
+    offer.message?.edit({ content: `⌛ Purchase of **${offer.item.name}** expired. No tokens were taken.`, components: [] }).catch(() => {});
+  }, ms);
+}
+
+// One purchase per buyer at a time: two offers confirmed together would both
+// pass the balance check before either debit lands. Its own key, since the
+// order's GSA calls queue under the player's uuid.
+function purchaseFor(offer) {
+  return enqueueForPlayer(`shop:${offer.buyerUuid}`, () => executePurchase(offer));
+}
+
+// Re-checks stock, limits and balance (all may have changed while the offer was open), then journals and runs the order.
+async function executePurchase(offer) {
+  const { item } = offer;
+  const { gsa, id: community } = communities.for(offer.guildId);
+
+  let balance;
+  try {
+    balance = await gsa.getPlayerTokenBalance(offer.buyerUuid);
+  } catch {
+    return '❌ Could not check your token balance. No tokens were taken.';
+  }
+  // Earlier orders whose debit is still being retried have not left the balance yet
+  const owed = orders.list({ states: ['pending'] })
+    .filter(o => o.buyerUuid === offer.buyerUuid)
+    .reduce((sum, o) => sum + o.price, 0);
+  if (balance - owed < item.price) {
+    return `❌ Not enough tokens. You have **${balance - owed}**, **${item.name}** costs **${item.price}**.`;
+  }
+
+  // Checked and journaled in one tick, so two buyers can't both take the last unit
+  const verdict = purchaseCheck(offer.guildId, item, offer.buyerId, offer.roleIds);
+  if (!verdict.ok) return verdict.message;
+  const order = orders.create({
+    guildId: offer.guildId,
+    community,
+    itemId: item.id,
+    itemName: item.name,
+    taskId: item.taskId,
+    price: item.price,
+    buyerId: offer.buyerId,
+    buyerName: offer.buyerName,
+    buyerUuid: offer.buyerUuid,
+  });
+  const settled = await runner.advance(order.id);
+  if (settled.state !== 'delivered') return orderStatusMessage(settled);
+
+  let newBal = null;
+  try { newBal = await gsa.getPlayerTokenBalance(offer.buyerUuid); } catch {}
+  return `✅ You bought **${item.name}** for **${item.price}** tokens. It has been delivered in-game.` +
+    (typeof newBal === 'number' ? `\n💳 Your new balance: **${newBal}**` : '') +
+    `\n🧾 Order \`${order.id}\``;
+}
+
+async function handleShopButton(interaction) {
+  const [, action, offerId] = interaction.customId.split(':');
+  const offer = purchaseOffers.get(offerId);
+  if (!offer || !['confirm', 'cancel'].includes(action)) {
+    return interaction.update({ content: '⌛ This purchase has expired. No tokens were taken.', components: [] });
+  }
+  if (interaction.user.id !== offer.buyerId) {
+    return interaction.reply({ content: `⛔ Only <@${offer.buyerId}> can do that.`, ephemeral: true });
+  }
+
+  dropOffer(offer);
+  if (action === 'cancel') {
+    return interaction.update({ content: `🚫 Purchase of **${offer.item.name}** cancelled. No tokens were taken.`, components: [] });
+  }
+  await interaction.update({ content: `⏳ Buying **${offer.item.name}**…`, components: [] });
+  return interaction.editReply(await purchaseFor(offer));
+}
+
+// ---- Slash command ---------------------------------------------------------
+const shopCmd = new SlashCommandBuilder()
+  .setName('shop')
+  .setDescription('Spend your tokens on in-game items')
+  .addSubcommand(sc => sc
+    .setName('list')
+    .setDescription('What is for sale (only you can see it)'))
+  .addSubcommand(sc => sc
+    .setName('buy')
+    .setDescription('Buy an item with your tokens')
+    .addStringOption(o => o.setName('item').setDescription('Item id or name (see /shop list)').setRequired(true)))
+  .addSubcommand(sc => sc
+    .setName('orders')
+    .setDescription('Managers: list unfinished orders (default) or orders in one state')
+    .addStringOption(o => {
+      const opt = o.setName('state').setDescription('Only this state');
+      ORDER_STATES.forEach(st => opt.addChoices({ name: st, value: st }));
+      return opt;
+    }))
+  .addSubcommand(sc => sc
+    .setName('resolve')
+    .setDescription('Managers: retry or close a stuck order')
+    .addStringOption(o => o.setName('id').setDescription('Order id').setRequired(true))
+    .addStringOption(o => o.setName('action').setDescription('What to do').setRequired(true).addChoices(
+      { name: 'retry the failed step', value: 'retry' },
+      { name: 'close (fixed by hand)', value: 'close' },
+    ))
+    .addStringOption(o => o.setName('note').setDescription('What was done (for the journal)')));
+
+function itemLine(item, guildId, userId) {
+  const community = communities.for(guildId).id;
+  const left = stockLeft(item, orders.countSold({ community, itemId: item.id }));
+  const bought = orders.countSold({ community, itemId: item.id, buyerId: userId });
+  return `**${item.name}** (\`${item.id}\`) • **${item.price}** tokens` +
+    (left === null ? '' : left ? ` • ${left} left` : ' • sold out') +
+    (item.perPlayerLimit ? ` • you have ${bought}/${item.perPlayerLimit}` : '') +
+    (item.requiredRoles.length ? ` • ${item.requiredRoles.map(id => `<@&${id}>`).join(', ')} only` : '') +
+    (item.description ? `\n  ↳ ${item.description}` : '');
+}
+
+// ---- Module ------------------------------------------------------------------
+async function handleButton(interaction) {
+  try {
+    return await handleShopButton(interaction);
+  } catch (err) {
+    console.error('[Shop button error]', err?.response?.data || err);
+    const reply = { content: '❌ Something went wrong.', components: [] };
+    return (interaction.deferred || interaction.replied ? interaction.editReply(reply) : interaction.update(reply)).catch(() => {});
+  }
+}
+
+async function execute(interaction) {
+  try {
+    await interaction.deferReply({ ephemeral: true });
+    const sub = interaction.options.getSubcommand();
+    const catalog = catalogFor(interaction.guildId);
+
+    // ---------------------- /shop list ----------------------
+    if (sub === 'list') {
+      if (!catalog.items.length) return interaction.editReply('🛒 The shop is empty right now.');
+      const embed = new EmbedBuilder()
+        .setTitle('🛒 Token shop')
+        .setDescription(catalog.items.map(i => itemLine(i, interaction.guildId, interaction.user.id)).join('\n'))
+        .setFooter({ text: 'Buy with /shop buy item' });
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    // ---------------------- /shop buy -----------------------
+    if (sub === 'buy') {
+      const query = interaction.options.getString('item', true);
+      const item = findItem(catalog, query);
+      if (!item) return interaction.editReply(`❌ There is no **${query}** in the shop. \`/shop list\` shows what is for sale.`);
+
+      const member = await interaction.guild.members.fetch(interaction.user.id);
+      const roleIds = [...member.roles.cache.keys()];
+      const verdict = purchaseCheck(interaction.guildId, item, interaction.user.id, roleIds);
+      if (!verdict.ok) return interaction.editReply(verdict.message);
+
+      const { gsa } = communities.for(interaction.guildId);
+      const player = await gsa.findPlayerByServiceId(interaction.user.id);
+      if (!player) return interaction.editReply('❌ Your Discord is not linked to a GSA player. Run `/link` to see how.');
+
+      let balance;
+      try {
+        balance = await gsa.getPlayerTokenBalance(player.uuid);
+      } catch {
+        return interaction.editReply('❌ Could not check your token balance.');
+      }
+      if (balance < item.price) {
+        return interaction.editReply(`❌ Not enough tokens. You have **${balance}**, **${item.name}** costs **${item.price}**.`);
+      }
+
+      // Nothing moves until the buyer presses Buy
+      const offer = {
+        id: interaction.id,
+        guildId: interaction.guildId,
+        item,
+        buyerId: interaction.user.id,
+        buyerName: player.username,
+        buyerUuid: player.uuid,
+        roleIds,
+      };
+      purchaseOffers.set(offer.id, offer);
+      armExpiry(offer, confirmMs());
+      offer.message = await interaction.editReply({
+        content: `🛒 Buy **${item.name}** for **${item.price}** tokens? You have **${balance}**.\n` +
+          (item.description ? `📦 ${item.description}\n` : '') +
+          `⌛ Expires <t:${Math.floor(offer.expiresAt / 1000)}:R>.`,
+        components: offerButtons(offer),
+      });
+      return;
+    }
+
+    // ---------------------- /shop orders, resolve (Managers only) -----------
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    if (!permissions.can(member, `shop.${sub}`)) {
+      return interaction.editReply('⛔ Managers only.');
+    }
+
+    if (sub === 'orders') {
+      const state = interaction.options.getString('state');
+      const list = state ? orders.list({ states: [state], guildId: interaction.guildId }) : orders.open().filter(o => o.guildId === interaction.guildId);
+      if (!list.length) return interaction.editReply(`ℹ️ No ${state || 'unfinished'} orders.`);
+      const lines = list.slice(-20).map(o =>
+        `\`${o.id}\` • ${o.state} • **${o.itemName}** for ${o.price} • ${o.buyerName} • <t:${Math.floor(o.updatedAt / 1000)}:R>` +
+        (o.history.at(-1)?.detail ? `\n  ↳ ${o.history.at(-1).detail}` : '')
+      );
+      return interaction.editReply(`🧾 ${state || 'Unfinished'} orders (${list.length}):\n\n${lines.join('\n')}`);
+    }
+
+    if (sub === 'resolve') {
+      const id = interaction.options.getString('id', true).trim();
+      const action = interaction.options.getString('action', true);
+      const note = interaction.options.getString('note');
+      if (orders.get(id) && orders.get(id).guildId !== interaction.guildId) {
+        return interaction.editReply(`❌ No order with id ${id}`);
+      }
+      let order;
+      try {
+        order = await runner.resolve(id, action, { by: interaction.user.tag, note });
+      } catch (e) {
+        return interaction.editReply(`❌ ${e.message}`);
+      }
+      postToAudit(client, auditChannelId(interaction.guildId),
+        `🛠️ ${interaction.user.tag} ran **${action}** on order \`${order.id}\` → now **${order.state}**${note ? ` (${note})` : ''}`);
+      return interaction.editReply(`🛠️ Order \`${order.id}\` is now **${order.state}**.`);
+    }
+
+  } catch (err) {
+    console.error('[Interaction error]', err?.response?.data || err);
+    const apiMsg = err?.response?.data?.error || err?.response?.data?.message;
+    const hint = apiMsg ? `\n🔎 API: ${apiMsg}` : '';
+    if (err?.code === 'unavailable') {
+      return interaction.editReply('⏳ GSA is not answering right now. Please try again in a minute.');
+    }
+    return interaction.editReply(`❌ Something went wrong.${hint}`);
+  }
+}
+
+function init(ctx) {
+  ({ client, config, communities, outbox, enqueueForPlayer, permissions } = ctx);
+
+  // One catalog per guild; guilds pointing at the same file share it
+  const loaded = new Map();
+  catalogs = new Map();
+  for (const guildId of config.guildIds()) {
+    const file = config.get('SHOP_CATALOG', guildId) || DEFAULT_CATALOG_PATH;
+    if (!loaded.has(file)) {
+      try {
+        loaded.set(file, loadCatalog(file));
+      } catch (e) {
+        throw new Error(`Invalid shop catalog (${file}): ${e.message}`);
+      }
+    }
+    catalogs.set(guildId, loaded.get(file));
+  }
+
+  orders = createShopOrders();
+  runner = createShopRunner({
+    orders,
+    outbox,
+    // The price, the item and a refund all land in the GSA community of the guild the order was made in
+    mutate: (order, amount, description, opts) => {
+      const { mutatePlayerTokens } = communities.for(order.guildId);
+      return enqueueForPlayer(order.buyerUuid, () => mutatePlayerTokens(order.buyerUuid, amount, description, opts));
+    },
+    runTask: (order, payload, { id, label, meta }) => {
+      const job = communities.for(order.guildId).taskJob(order.taskId, order.buyerId, payload, order.guildId);
+      return enqueueForPlayer(order.buyerUuid, () => outbox.submit({ ...job, id, label, meta }));
+    },
+    onChange: (order, previous) => {
+      console.log(`[Shop] ${order.id}: ${previous} -> ${order.state}`);
+      if (order.state === 'stuck') {
+        postToAudit(client, auditChannelId(order.guildId),
+          `🚨 Shop order \`${order.id}\` is stuck (${order.itemName} for ${order.price} tokens, ${order.buyerName}). ` +
+          'Use `/shop resolve` once it is sorted out.');
+      }
+    },
+  });
+
+  // Retried / dead order steps move their order on
+  const advance = job => runner.advance(job.meta.orderId).catch(e => console.error('[Shop] advance failed', e));
+  ctx.onJob('shop', { onDone: advance, onDead: advance });
+}
+
+// Unfinished orders from a previous run continue before the outbox starts retrying.
+async function ready() {
+  await runner.resumeAll();
+}
+
+module.exports = {
+  data: shopCmd,
+  buttonPrefix: 'shop',
+  init,
+  ready,
+  execute,
+  handleButton,
+};
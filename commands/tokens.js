@@ -0,0 +1,603 @@
+/**
+ * 🌴 DinoParadise – GSA Token Dispatcher (/tokens)
+ * ---------------------------------------------------------
+ * ✨ What this bot does:
+ *   - /tokens balance   → players can view their balance (public)
+ *   - /tokens send      → managers can grant/remove custom amounts
+ *   - /tokens preset    → managers can grant preset amounts
+ *   - /tokens history   → managers can browse transactions page by page, filtered by
+ *                         direction (grants/removals/trades), sender and date range
+ *   - /tokens bulk      → managers can pay everyone with a role, in a voice
+ *                         channel, or in a pasted list of mentions / ids
+ *   - /tokens import    → managers upload a CSV (discord id or GSA uuid, amount, reason),
+ *                         get a preview and confirm it with a button
+ *   - /tokens export    → managers download a player's transactions as CSV
+ *   - Grants / removals moving more than APPROVAL_THRESHOLD tokens (send, preset,
+ *     bulk, import) wait in APPROVAL_CHANNEL_ID until a second manager approves them
+ *     (lib/approval-requests.js; /schedule add uses the same flow)
+ *
+ * 🔒 Permissions:
+ *   - Every subcommand but balance needs its key in permissions.json
+ *     (tokens.send, tokens.bulk, …); without that file, MANAGER_ROLE_ID may use them all
+ *   - send/preset/bulk/import respect the role's maxPerAction and maxPerDay
+ *   - Approving someone else's request needs tokens.approve; the requester may reject their own
+ *   - Everyone can use /tokens balance
+ *
+ * ⚙️ Setup (.env or config.json, see lib/config.js):
+ *   1. Copy .env.example → .env and fill in the values below
+ *   2. Set MANAGER_ROLE_ID, or write a permissions.json (see lib/permissions.js)
+ *   3. (Optional) Set AUDIT_CHANNEL_ID to log grants/removals
+ *      (Optional) APPROVAL_THRESHOLD=1000, APPROVAL_CHANNEL_ID (default: the audit
+ *      channel) and APPROVAL_HOURS=24 for two-person approval
+ *      AUDIT_CHANNEL_ID, MANAGER_ROLE_ID and the APPROVAL_* channel / threshold can differ per guild
+ *   4. Run:  node index.js
+ */
+
+const axios = require('axios');
+const {
+  SlashCommandBuilder,
+  ChannelType,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  AttachmentBuilder,
+} = require('discord.js');
+const { runBulkGrant, formatBulkSummary, tokensSent } = require('../lib/bulk-grant');
+const { parseCsv, toCsv } = require('../lib/csv');
+const { postToAudit } = require('../lib/audit-channel');
+const { createHistoryView, parseDay } = require('../lib/token-history');
+
+// ---- CONFIG ----------------------------------------------------------------
+// Read at use time from ctx.config, so a config.json reload applies right away.
+const auditChannelId = guildId => config.get('AUDIT_CHANNEL_ID', guildId);
+
+// Presets for quick grants
+const TOKEN_PRESETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// Upper bound for one /tokens bulk run, so a wrong role can't pay the whole server
+const BULK_MAX_PLAYERS = 100;
+
+// CSV import / export limits
+const IMPORT_MAX_ROWS = 200;
+const IMPORT_MAX_BYTES = 256 * 1024;
+const IMPORT_CONFIRM_MS = 5 * 60_000;
+const EXPORT_MAX_PAGES = 20; // x 100 transactions
+
+// How long the Prev / Next buttons of /tokens history keep working
+const HISTORY_VIEW_MS = 10 * 60_000;
+
+// Shared services, handed over by index.js in init()
+let client, config, communities, enqueueForPlayer, previewTokens, isDryRun, permissions, approvals;
+
+// ---- SLASH COMMANDS --------------------------------------------------------
+const tokensCmd = new SlashCommandBuilder()
+  .setName('tokens')
+  .setDescription('Manage and view GSA tokens for linked players')
+  .addSubcommand(sc => sc
+    .setName('send')
+    .setDescription('Managers: grant/remove custom amount')
+    .addUserOption(o => o.setName('user').setDescription('Discord user').setRequired(true))
+    .addIntegerOption(o => o.setName('amount').setDescription('Amount (+/-)').setRequired(true))
+    .addStringOption(o => o.setName('reason').setDescription('Optional reason'))
+  )
+  .addSubcommand(sc => sc
+    .setName('preset')
+    .setDescription('Managers: grant a preset amount')
+    .addUserOption(o => o.setName('user').setDescription('Discord user').setRequired(true))
+    .addIntegerOption(o => {
+      const opt = o.setName('amount').setDescription('Choose preset').setRequired(true);
+      TOKEN_PRESETS.forEach(v => opt.addChoices({ name: `${v}`, value: v }));
+      return opt;
+    })
+    .addStringOption(o => o.setName('reason').setDescription('Optional reason'))
+  )
+  .addSubcommand(sc => sc
+    .setName('history')
+    .setDescription('Managers: browse token transactions')
+    .addUserOption(o => o.setName('user').setDescription('Discord user').setRequired(true))
+    .addStringOption(o => o
+      .setName('direction')
+      .setDescription('Only grants, removals or trades')
+      .addChoices(
+        { name: 'all', value: 'all' },
+        { name: 'grants', value: 'grants' },
+        { name: 'removals', value: 'removals' },
+        { name: 'trades', value: 'trades' },
+      ))
+    .addStringOption(o => o.setName('sender').setDescription('GSA sender name ("system" for the bot)'))
+    .addStringOption(o => o.setName('from').setDescription('First day, YYYY-MM-DD'))
+    .addStringOption(o => o.setName('to').setDescription('Last day, YYYY-MM-DD'))
+  )
+  .addSubcommand(sc => sc
+    .setName('balance')
+    .setDescription('Show token balance (public)')
+    .addUserOption(o => o.setName('user').setDescription('Discord user (default: you)'))
+  )
+  .addSubcommand(sc => sc
+    .setName('bulk')
+    .setDescription('Managers: grant/remove tokens for a role, a voice channel or a list of users')
+    .addIntegerOption(o => o.setName('amount').setDescription('Amount per player (+/-)').setRequired(true))
+    .addRoleOption(o => o.setName('role').setDescription('Everyone with this role'))
+    .addChannelOption(o => o
+      .setName('voice')
+      .setDescription('Everyone in this voice channel')
+      .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice))
+    .addStringOption(o => o.setName('users').setDescription('Mentions or Discord IDs, separated by spaces or commas'))
+    .addStringOption(o => o.setName('reason').setDescription('Optional reason'))
+  )
+  .addSubcommand(sc => sc
+    .setName('import')
+    .setDescription('Managers: grant tokens from a CSV (discord id or GSA uuid, amount, reason)')
+    .addAttachmentOption(o => o.setName('file').setDescription('CSV file').setRequired(true))
+    .addStringOption(o => o.setName('reason').setDescription('Reason for rows without one'))
+  )
+  .addSubcommand(sc => sc
+    .setName('export')
+    .setDescription('Managers: download token transactions as CSV')
+    .addUserOption(o => o.setName('user').setDescription('Discord user').setRequired(true))
+    .addStringOption(o => o.setName('from').setDescription('First day, YYYY-MM-DD'))
+    .addStringOption(o => o.setName('to').setDescription('Last day, YYYY-MM-DD'))
+  );
+
+// ---- BULK TARGETS ----------------------------------------------------------
+// Discord ids from every target option given (role, voice channel, pasted list), bots left out.
+async function collectBulkTargets(interaction) {
+  const ids = new Set();
+  const role = interaction.options.getRole('role');
+  const voice = interaction.options.getChannel('voice');
+  const users = interaction.options.getString('users');
+
+  if (role) {
+    const members = await interaction.guild.members.fetch(); // everyone, not just the cached members
+    for (const m of members.values()) {
+      if (!m.user?.bot && m.roles.cache.has(role.id)) ids.add(m.id);
+    }
+  }
+  if (voice) {
+    for (const m of voice.members.values()) {
+      if (!m.user?.bot) ids.add(m.id);
+    }
+  }
+  if (users) {
+    for (const id of users.match(/\d{17,20}/g) || []) ids.add(id);
+  }
+  return { ids: [...ids], given: Boolean(role || voice || users) };
+}
+
+async function bulkGrant(interaction, member) {
+  const amount = interaction.options.getInteger('amount', true);
+  const reason = interaction.options.getString('reason') || `By ${interaction.user.tag}`;
+  if (amount === 0) return interaction.editReply('❌ Amount cannot be 0.');
+
+  const { ids, given } = await collectBulkTargets(interaction);
+  if (!given) return interaction.editReply('❌ Pick a role, a voice channel or paste a list of users.');
+  if (!ids.length) return interaction.editReply('ℹ️ Nobody matched, nothing was sent.');
+  if (ids.length > BULK_MAX_PLAYERS) {
+    return interaction.editReply(`❌ That is **${ids.length}** players; a bulk grant is limited to **${BULK_MAX_PLAYERS}**.`);
+  }
+  const allowed = permissions.checkAmount(member, 'tokens.bulk', { perAction: amount, total: Math.abs(amount) * ids.length });
+  if (!allowed.ok) return interaction.editReply(allowed.message);
+
+  const entries = ids.map(discordId => ({ discordId, amount, reason }));
+  const title = `${amount >= 0 ? 'Bulk grant' : 'Bulk removal'} of ${Math.abs(amount)} tokens`;
+  if (needsApproval(entries, interaction.guildId)) {
+    return interaction.editReply(await requestApproval(interaction, { title, entries, key: 'tokens.bulk' }));
+  }
+
+  const verb = amount >= 0 ? 'Granting' : 'Removing';
+  await interaction.editReply(`⏳ ${verb} **${Math.abs(amount)}** tokens for **${ids.length}** player(s)…`);
+
+  // Progress edits at most every 2s (and on the last one) to stay clear of Discord rate limits
+  let lastEdit = Date.now();
+  const onProgress = (done, total) => {
+    if (done < total && Date.now() - lastEdit < 2_000) return;
+    lastEdit = Date.now();
+    interaction.editReply(`⏳ ${verb} **${Math.abs(amount)}** tokens… ${done}/${total}`).catch(() => {});
+  };
+
+  const { gsa, mutatePlayerTokens } = communities.for(interaction.guildId);
+  const result = await runBulkGrant(entries, {
+    gsa,
+    enqueueForPlayer,
+    mutatePlayerTokens,
+    by: interaction.user.tag,
+    actorId: interaction.user.id,
+    ref: 'bulk',
+    guildId: interaction.guildId,
+    onProgress,
+  });
+  permissions.recordUsage(interaction.user.id, tokensSent(result));
+
+  const summary = formatBulkSummary(result, { title: `${title}${isDryRun ? ' (DRY-RUN)' : ''}` });
+  postToAudit(client, auditChannelId(interaction.guildId), `${summary}
+👤 by ${interaction.user.tag} • 📝 ${reason}`);
+  return interaction.editReply(summary);
+}
+
+// ---- CSV IMPORT ------------------------------------------------------------
+// Imports waiting for the uploader's Confirm; nothing has been sent yet, so a restart just drops them.
+const pendingImports = new Map(); // id -> { id, userId, userTag, entries, timer }
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// CSV rows -> { entries: [{ discordId | uuid, amount, reason, line }], invalid: ['line 3: ...'] }
+function parseImportRows(rows, defaultReason) {
+  const entries = [];
+  const invalid = [];
+  rows.forEach((row, i) => {
+    const line = i + 1;
+    const [target = '', amountText = '', reason = ''] = row;
+    // A first row whose amount isn't a number is a header
+    if (i === 0 && !/^[-+]?\d+$/.test(amountText)) return;
+
+    const id = target.replace(/^<@!?(\d+)>$/, '$1');
+    const amount = Number(amountText);
+    if (!Number.isInteger(amount) || amount === 0) {
+      invalid.push(`line ${line}: amount "${amountText}" is not a whole number other than 0`);
+    } else if (/^\d{17,20}$/.test(id)) {
+      entries.push({ discordId: id, amount, reason: reason || defaultReason, line });
+    } else if (UUID_RE.test(id)) {
+      entries.push({ uuid: id.toLowerCase(), amount, reason: reason || defaultReason, line });
+    } else {
+      invalid.push(`line ${line}: "${target}" is neither a Discord id nor a GSA uuid`);
+    }
+  });
+  return { entries, invalid };
+}
+
+async function downloadAttachment(attachment) {
+  if (attachment.size > IMPORT_MAX_BYTES) throw new Error(`File is larger than ${IMPORT_MAX_BYTES / 1024} KB`);
+  const { data } = await axios.get(attachment.url, { responseType: 'text', maxContentLength: IMPORT_MAX_BYTES, timeout: 15_000 });
+  return String(data);
+}
+
+function importButtons(id) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`tokens:import:${id}`).setLabel('Send tokens').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`tokens:cancel:${id}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+    ),
+  ];
+}
+
+// Resolves every row like a real run would, but with a mutation that never leaves the bot.
+async function importPreview(interaction, member) {
+  const attachment = interaction.options.getAttachment('file', true);
+  const defaultReason = interaction.options.getString('reason') || `CSV import by ${interaction.user.tag}`;
+
+  let rows;
+  try {
+    rows = parseCsv(await downloadAttachment(attachment));
+  } catch (e) {
+    return interaction.editReply(`❌ Could not read **${attachment.name}**: ${e.message}`);
+  }
+  const { entries, invalid } = parseImportRows(rows, defaultReason);
+  if (entries.length > IMPORT_MAX_ROWS) {
+    return interaction.editReply(`❌ **${entries.length}** rows; an import is limited to **${IMPORT_MAX_ROWS}**.`);
+  }
+
+  await interaction.editReply(`⏳ Checking **${entries.length}** row(s) of **${attachment.name}**…`);
+  const preview = await runBulkGrant(entries, {
+    gsa: communities.for(interaction.guildId).gsa,
+    enqueueForPlayer,
+    mutatePlayerTokens: previewTokens,
+    by: interaction.user.tag,
+  });
+
+  const invalidText = invalid.length
+    ? `\n⚠️ Ignored ${invalid.length} invalid row(s):\n${invalid.slice(0, 10).map(l => `• ${l}`).join('\n')}` +
+      (invalid.length > 10 ? `\n• … and ${invalid.length - 10} more` : '')
+    : '';
+  const summary = formatBulkSummary(preview, { title: `Preview of ${attachment.name} – nothing sent yet`, paidVerb: 'Will pay' });
+  if (!preview.paid.length) {
+    return interaction.editReply({ content: `${summary}${invalidText}\n\nℹ️ Nothing to send.`, components: [] });
+  }
+  const allowed = permissions.checkAmount(member, 'tokens.import', {
+    perAction: Math.max(...preview.paid.map(r => Math.abs(r.amount))),
+    total: tokensSent({ paid: preview.paid, queued: [] }),
+  });
+  if (!allowed.ok) return interaction.editReply({ content: `${summary}${invalidText}\n\n${allowed.message}`, components: [] });
+
+  const pending = {
+    id: interaction.id,
+    userId: interaction.user.id,
+    userTag: interaction.user.tag,
+    fileName: attachment.name,
+    entries: preview.paid.map(({ discordId, uuid, amount, reason }) => ({ discordId, uuid, amount, reason })),
+  };
+  pending.timer = setTimeout(() => {
+    pendingImports.delete(pending.id);
+    interaction.editReply({ content: `⌛ Import of **${pending.fileName}** expired. Nothing was sent.`, components: [] }).catch(() => {});
+  }, IMPORT_CONFIRM_MS);
+  pending.timer.unref?.();
+  pendingImports.set(pending.id, pending);
+
+  return interaction.editReply({
+    content: `${summary}${invalidText}${isDryRun ? '\n⚠️ DRY-RUN is on: confirming will not reach GSA.' : ''}\n\nPress **Send tokens** to pay for real.`,
+    components: importButtons(pending.id),
+  });
+}
+
+async function handleImportButton(interaction) {
+  const [, action, id] = interaction.customId.split(':');
+  const pending = pendingImports.get(id);
+  if (!pending) {
+    return interaction.update({ content: '⌛ This import has expired. Nothing was sent.', components: [] });
+  }
+  if (interaction.user.id !== pending.userId) {
+    return interaction.reply({ content: `⛔ Only <@${pending.userId}> can do that.`, ephemeral: true });
+  }
+
+  clearTimeout(pending.timer);
+  pendingImports.delete(id);
+  if (action === 'cancel') {
+    return interaction.update({ content: `🚫 Import of **${pending.fileName}** cancelled. Nothing was sent.`, components: [] });
+  }
+
+  // The caps once more: other grants (or a second preview) may have used up the day since the preview
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  const tokens = tokensSent({ paid: pending.entries, queued: [] });
+  const allowed = permissions.checkAmount(member, 'tokens.import', {
+    perAction: Math.max(...pending.entries.map(e => Math.abs(e.amount))),
+    total: tokens,
+  });
+  if (!allowed.ok) {
+    return interaction.update({ content: `${allowed.message}\nImport of **${pending.fileName}**: nothing was sent.`, components: [] });
+  }
+  if (needsApproval(pending.entries, interaction.guildId)) {
+    // Posting the request can take longer than Discord waits for the button's answer
+    await interaction.deferUpdate();
+    const text = await requestApproval(interaction, { title: `Import of ${pending.fileName}`, entries: pending.entries, key: 'tokens.import' });
+    return interaction.editReply({ content: text, components: [] });
+  }
+
+  // Held until the result is known, so a second import confirmed meanwhile sees these tokens as used
+  permissions.reserve(pending.userId, `import:${pending.id}`, tokens);
+  await interaction.update({ content: `⏳ Sending tokens for **${pending.entries.length}** row(s)…`, components: [] });
+  let lastEdit = Date.now();
+  const { gsa, mutatePlayerTokens } = communities.for(interaction.guildId);
+  let result;
+  try {
+    result = await runBulkGrant(pending.entries, {
+      gsa,
+      enqueueForPlayer,
+      mutatePlayerTokens,
+      by: pending.userTag,
+      actorId: pending.userId,
+      ref: `import:${pending.fileName}`,
+      guildId: interaction.guildId,
+      onProgress: (done, total) => {
+        if (done < total && Date.now() - lastEdit < 2_000) return;
+        lastEdit = Date.now();
+        interaction.editReply(`⏳ Sending tokens… ${done}/${total}`).catch(() => {});
+      },
+    });
+  } finally {
+    permissions.release(pending.userId, `import:${pending.id}`);
+  }
+  permissions.recordUsage(pending.userId, tokensSent(result));
+
+  const summary = formatBulkSummary(result, { title: `Import of ${pending.fileName}${isDryRun ? ' (DRY-RUN)' : ''}` });
+  postToAudit(client, auditChannelId(interaction.guildId), `${summary}\n👤 by ${pending.userTag}`);
+  return interaction.editReply(summary);
+}
+
+// ---- APPROVALS -------------------------------------------------------------
+// Grants over APPROVAL_THRESHOLD wait for a second manager (lib/approval-requests.js); approved, they are paid here.
+const needsApproval = (entries, guildId) => approvals.needsApproval(entries, guildId);
+const requestApproval = (interaction, request) => approvals.request(interaction, request);
+
+async function payApproved(request, approver) {
+  // The request's own guild, whichever channel it was approved in
+  const { gsa, mutatePlayerTokens } = communities.for(request.guildId);
+  const result = await runBulkGrant(request.entries, {
+    gsa,
+    enqueueForPlayer,
+    mutatePlayerTokens,
+    by: `${request.requestedBy.name}, approved by ${approver.tag}`,
+    actorId: request.requestedBy.id,
+    ref: `approval:${request.id}`,
+    guildId: request.guildId || null,
+  });
+  permissions.recordUsage(request.requestedBy.id, tokensSent(result));
+  return formatBulkSummary(result, { title: `${request.title}${isDryRun ? ' (DRY-RUN)' : ''}` });
+}
+
+// ---- HISTORY VIEW ----------------------------------------------------------
+// Open /tokens history messages and the page they show; Prev / Next stop working after HISTORY_VIEW_MS.
+const historyViews = new Map(); // id -> { view, userId, page, timer }
+
+async function openHistory(interaction, player) {
+  const from = parseDay(interaction.options.getString('from'));
+  const to = parseDay(interaction.options.getString('to'), true);
+  if (Number.isNaN(from) || Number.isNaN(to)) return interaction.editReply('❌ Dates must look like 2024-12-31.');
+
+  const view = createHistoryView({
+    gsa: communities.for(interaction.guildId).gsa,
+    player,
+    filter: {
+      direction: interaction.options.getString('direction') || 'all',
+      sender: interaction.options.getString('sender'),
+      from,
+      to,
+    },
+    prefix: 'tokens',
+    id: interaction.id,
+    maxGsaPages: EXPORT_MAX_PAGES,
+  });
+  const state = { view, userId: interaction.user.id, page: 0 };
+  state.timer = setTimeout(() => {
+    historyViews.delete(view.id);
+    interaction.editReply({ components: [] }).catch(() => {});
+  }, HISTORY_VIEW_MS);
+  state.timer.unref?.();
+  historyViews.set(view.id, state);
+
+  return interaction.editReply(await view.render(0));
+}
+
+async function handleHistoryButton(interaction) {
+  const [, action, id] = interaction.customId.split(':');
+  const state = historyViews.get(id);
+  if (!state) return interaction.update({ components: [] });
+  if (interaction.user.id !== state.userId) {
+    return interaction.reply({ content: `⛔ Only <@${state.userId}> can do that.`, ephemeral: true });
+  }
+
+  // Paging may need a few GSA calls, more than the 3s an interaction gets to answer
+  await interaction.deferUpdate();
+  state.page = Math.max(0, state.page + (action === 'hnext' ? 1 : -1));
+  return interaction.editReply(await state.view.render(state.page));
+}
+
+// ---- CSV EXPORT ------------------------------------------------------------
+// Newest first, page by page, until the page is older than `from` or GSA runs out.
+async function collectHistory(gsa, playerUuid, from, to) {
+  const rows = [];
+  for (let page = 1; page <= EXPORT_MAX_PAGES; page++) {
+    const data = await gsa.getPlayerTokenHistory(playerUuid, 100, page);
+    const list = data?.data || [];
+    for (const tx of list) {
+      const at = Date.parse(tx.date);
+      if ((from == null || at >= from) && (to == null || at <= to)) rows.push(tx);
+    }
+    const oldest = Date.parse(list.at(-1)?.date);
+    if (list.length < 100 || (from != null && oldest < from)) return { rows, truncated: false };
+  }
+  return { rows, truncated: true };
+}
+
+async function exportHistory(interaction, player) {
+  const from = parseDay(interaction.options.getString('from'));
+  const to = parseDay(interaction.options.getString('to'), true);
+  if (Number.isNaN(from) || Number.isNaN(to)) return interaction.editReply('❌ Dates must look like 2024-12-31.');
+
+  const { rows, truncated } = await collectHistory(communities.for(interaction.guildId).gsa, player.uuid, from, to);
+  if (!rows.length) return interaction.editReply(`ℹ️ No transactions found for **${player.username}** in that range.`);
+
+  const csv = toCsv([
+    ['date', 'amount', 'sender', 'description', 'player', 'player_uuid'],
+    ...rows.map(tx => [tx.date, tx.transaction_value, tx.sender?.username || 'system', tx.description || '', player.username, player.uuid]),
+  ]);
+  const range = [interaction.options.getString('from'), interaction.options.getString('to')].filter(Boolean).join('_to_');
+  const file = new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `tokens-${player.username}${range ? `-${range}` : ''}.csv` });
+  return interaction.editReply({
+    content: `📄 **${rows.length}** transaction(s) for **${player.username}**` +
+      (truncated ? ` (only the newest ${EXPORT_MAX_PAGES * 100} were checked)` : ''),
+    files: [file],
+  });
+}
+
+// ---- HANDLER ---------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    const sub = interaction.options.getSubcommand();
+    const isPublic = sub === 'balance';
+    await interaction.deferReply({ ephemeral: !isPublic });
+
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    if (!isPublic && !permissions.can(member, `tokens.${sub}`)) return interaction.editReply('⛔ You do not have permission.');
+
+    // --- bulk ---
+    if (sub === 'bulk') return bulkGrant(interaction, member);
+
+    // --- import ---
+    if (sub === 'import') return importPreview(interaction, member);
+
+    const targetUser = interaction.options.getUser('user') || interaction.user;
+
+    const { gsa, mutatePlayerTokens } = communities.for(interaction.guildId);
+    const player = await gsa.findPlayerByServiceId(targetUser.id);
+    if (!player) {
+      return interaction.editReply(`❌ No GSA player found for **${targetUser.tag}**. Is Discord linked in GSA? \`/link\` shows how.`);
+    }
+
+    // --- send/preset ---
+    if (sub === 'send' || sub === 'preset') {
+      const amount = interaction.options.getInteger('amount', true);
+      const reason = interaction.options.getString('reason') || `By ${interaction.user.tag}`;
+      const allowed = permissions.checkAmount(member, `tokens.${sub}`, { perAction: amount });
+      if (!allowed.ok) return interaction.editReply(allowed.message);
+      if (needsApproval([{ amount }], interaction.guildId)) {
+        return interaction.editReply(await requestApproval(interaction, {
+          title: `${amount >= 0 ? 'Grant' : 'Removal'} of ${Math.abs(amount)} tokens for ${player.username}`,
+          entries: [{ discordId: targetUser.id, amount, reason }],
+          key: `tokens.${sub}`,
+        }));
+      }
+
+      const verb = amount >= 0 ? 'Granted' : 'Removed';
+      const label = `${verb} ${Math.abs(amount)} tokens for ${player.username} by ${interaction.user.tag}`;
+      const meta = {
+        guildId: interaction.guildId,
+        audit: {
+          action: amount >= 0 ? 'grant' : 'removal',
+          actor: { id: interaction.user.id, name: interaction.user.tag },
+          player: { id: targetUser.id, name: player.username },
+          ref: sub,
+        },
+      };
+      const outcome = await enqueueForPlayer(player.uuid, () => mutatePlayerTokens(player.uuid, amount, reason, { label, meta }));
+      if (outcome.status !== 'dead') permissions.recordUsage(interaction.user.id, amount);
+
+      if (outcome.status === 'pending') {
+        return interaction.editReply(
+          `⏳ GSA did not answer. ${verb} **${Math.abs(amount)}** tokens for **${player.username}** is queued and will be retried automatically.`
+        );
+      }
+      if (outcome.status === 'dead') throw outcome.error; // already reported to the audit channel
+
+      const result = outcome.response?.data?.data || 'Tokens were mutated.';
+      await interaction.editReply(
+        `✅ ${verb} **${Math.abs(amount)}** tokens for **${player.username}**\n${isDryRun ? '⚠️ DRY-RUN' : '🟢 ' + result}`
+      );
+      return;
+    }
+
+    // --- history ---
+    if (sub === 'history') return openHistory(interaction, player);
+
+    // --- export ---
+    if (sub === 'export') return exportHistory(interaction, player);
+
+    // --- balance ---
+    if (sub === 'balance') {
+      try {
+        const bal = await gsa.getPlayerTokenBalance(player.uuid);
+        return interaction.editReply(`💳 **${player.username}** has **${bal}** tokens.`);
+      } catch {
+        return interaction.editReply('❌ Could not fetch token balance.');
+      }
+    }
+
+  } catch (err) {
+    console.error('[Interaction error]', err?.response?.data || err);
+    if (err?.code === 'rate_limited') return interaction.editReply('⏳ GSA is rate limiting us. Try again in a few seconds.');
+    if (err?.code === 'auth_failed') return interaction.editReply('❌ GSA rejected the API key. Ask an admin to check GSA_API_KEY.');
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ client, config, communities, enqueueForPlayer, previewTokens, isDryRun, permissions, approvals } = ctx);
+  approvals.onApproved('grant', payApproved);
+}
+
+// Requests still waiting from before a restart get their expiry back (overdue ones expire now).
+function ready() {
+  approvals.resume();
+}
+
+async function handleButton(interaction) {
+  try {
+    const action = interaction.customId.split(':')[1];
+    if (action === 'hprev' || action === 'hnext') return await handleHistoryButton(interaction);
+    if (action === 'approve' || action === 'reject') return await approvals.handleButton(interaction);
+    return await handleImportButton(interaction);
+  } catch (err) {
+    console.error('[Tokens button error]', err?.response?.data || err);
+    return interaction.editReply({ content: '❌ Something went wrong.', components: [] }).catch(() => {});
+  }
+}
+
+module.exports = { data: tokensCmd, buttonPrefix: 'tokens', init, ready, execute, handleButton };
@@ -0,0 +1,519 @@
+/**
+ * Player trade commands (balance + trade)
+ * ------------------------------------------------------
+ * Public commands:
+ *   /balance [user]     -> show token balance (defaults to caller)
+ *   /trade user amount [reason]
+ *                         -> transfer tokens P2P (checks sender balance, deducts then credits, rollback on failure)
+ *                            The sender confirms with a button first; trades of TRADE_ACCEPT_THRESHOLD
+ *                            or more also need the recipient to accept. Limits, caps and fees
+ *                            come from trade-policy.json (see lib/trade-policy.js).
+ * Managers:
+ *   /baldebug [user]    -> inspect which field holds the balance (public)
+ *   /trades list [state] -> list unfinished / stuck transfers from the trade journal
+ *   /trades resolve id action [note]
+ *                         -> retry or close a stuck transfer
+ *
+ * Every trade is journaled in DATA_DIR/trades.json and driven step by step
+ * (debit -> credit, refund on failure); unfinished trades resume on startup.
+ * See lib/trade-journal.js and lib/trade-runner.js.
+ *
+ * /baldebug and /trades need their keys in permissions.json (lib/permissions.js).
+ *
+ * Settings (.env or config.json, see lib/config.js), on top of what index.js needs:
+ *   AUDIT_CHANNEL_ID=...         # optional, to announce trades in a log channel
+ *   TRADE_CONFIRM_SECONDS=60     # how long the sender has to press Confirm
+ *   TRADE_ACCEPT_THRESHOLD=0     # trades of this size or more need the recipient to accept (0 = never)
+ *   TRADE_ACCEPT_SECONDS=300     # how long the recipient has to accept
+ *   TRADE_POLICY=...             # optional path to the trade policy (default ./trade-policy.json)
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require('discord.js');
+const { postToAudit } = require('../lib/audit-channel');
+const { TRADE_STATES } = require('../lib/trade-journal');
+const { createTradeRunner } = require('../lib/trade-runner');
+const { DEFAULT_POLICY_PATH, DAY_MS, loadPolicy, checkTrade } = require('../lib/trade-policy');
+
+// ---- CONFIG ----------------------------------------------------------------
+// Read at use time from ctx.config, so a config.json reload applies right away.
+const auditChannelId = guildId => config.get('AUDIT_CHANNEL_ID', guildId);
+const confirmMs = () => config.get('TRADE_CONFIRM_SECONDS') * 1000;
+const acceptThreshold = guildId => config.get('TRADE_ACCEPT_THRESHOLD', guildId);
+// Offers are edited through the bot's own message, so the 15 min interaction token limit doesn't apply.
+const acceptMs = () => config.get('TRADE_ACCEPT_SECONDS') * 1000;
+
+// Shared services, handed over by index.js in init()
+let client, config, communities, outbox, enqueueForPlayer, permissions;
+let tradePolicy, journal, runner;
+
+// What the sender is told about a trade that did not complete right away.
+function tradeStatusMessage(trade) {
+  const ref = `Transfer \`${trade.id}\``;
+  switch (trade.state) {
+    case 'pending':
+      return `⏳ ${ref} is waiting on GSA. It will complete automatically.`;
+    case 'debited':
+      return `⏳ ${ref}: **${trade.amount}** tokens were taken from your balance, but GSA did not answer for **${trade.recipientName}** yet. ` +
+        'The credit will be delivered automatically (or refunded if it keeps failing).';
+    case 'failed':
+      return `❌ ${ref} failed. No tokens were moved.`;
+    case 'rolling_back':
+      return `❌ ${ref} failed. Your tokens are being refunded automatically.`;
+    case 'rolled_back':
+      return `❌ ${ref} failed. Your **${trade.amount}** tokens were refunded.`;
+    default:
+      return `⚠️ ${ref} could not be completed or refunded. Staff have been notified and will sort it out.`;
+  }
+}
+
+// ---- Trade policy ----------------------------------------------------------
+// Runs when the offer is made and again when it executes (caps may have filled up meanwhile).
+function evaluatePolicy(offer) {
+  const since = Date.now() - DAY_MS;
+  return checkTrade(tradePolicy, {
+    amount: offer.amount,
+    senderId: offer.senderId,
+    recipientId: offer.recipientId,
+    accountCreatedAt: offer.accountCreatedAt,
+    memberJoinedAt: offer.memberJoinedAt,
+    senderRoleIds: offer.senderRoleIds,
+    sentLast24h: journal.sumSince('senderId', offer.senderId, since),
+    receivedLast24h: journal.sumSince('recipientId', offer.recipientId, since),
+  });
+}
+
+// ---- Trade offers (confirm / accept buttons) -------------------------------
+// Offers only live in memory: nothing has moved yet, so a restart just drops them.
+const tradeOffers = new Map(); // offerId -> offer
+
+function needsAcceptance(offer) {
+  const threshold = acceptThreshold(offer.guildId);
+  return threshold > 0 && offer.amount >= threshold;
+}
+
+function offerText(offer) {
+  const expires = `<t:${Math.floor(offer.expiresAt / 1000)}:R>`;
+  if (offer.stage === 'confirm') {
+    return `🤝 <@${offer.senderId}>, send **${offer.amount}** tokens to **${offer.recipientName}** (<@${offer.recipientId}>)?\n` +
+      (offer.fee ? `💸 Trade fee: **${offer.fee}** tokens (you pay **${offer.amount + offer.fee}** in total)\n` : '') +
+      `📝 ${offer.note}\n` +
+      (needsAcceptance(offer) ? `ℹ️ <@${offer.recipientId}> will have to accept this trade.\n` : '') +
+      `⌛ Expires ${expires}.`;
+  }
+  return `🤝 <@${offer.recipientId}>, **${offer.senderName}** (<@${offer.senderId}>) wants to send you **${offer.amount}** tokens.\n` +
+    `📝 ${offer.note}\n` +
+    `⌛ Accept or decline ${expires}.`;
+}
+
+function offerButtons(offer) {
+  const [yes, no] = offer.stage === 'confirm'
+    ? [['confirm', 'Confirm', ButtonStyle.Success], ['cancel', 'Cancel', ButtonStyle.Secondary]]
+    : [['accept', 'Accept', ButtonStyle.Success], ['decline', 'Decline', ButtonStyle.Danger]];
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`trade:${yes[0]}:${offer.id}`).setLabel(yes[1]).setStyle(yes[2]),
+      new ButtonBuilder().setCustomId(`trade:${no[0]}:${offer.id}`).setLabel(no[1]).setStyle(no[2]),
+    ),
+  ];
+}
+
+function dropOffer(offer) {
+  clearTimeout(offer.timer);
+  tradeOffers.delete(offer.id);
+}
+
+function armExpiry(offer, ms) {
+  clearTimeout(offer.timer);
+  offer.expiresAt = Date.now() + ms;
+  offer.timer = setTimeout(() => {
+    if (tradeOffers.get(offer.id) !== offer) return;
+    dropOffer(offer);
+    offer.message?.edit({
+      content: `⌛ Trade offer of **${offer.amount}** tokens to **${offer.recipientName}** expired. Nothing was sent.`,
+      components: [],
+    }).catch(() => {});
+  }, ms);
+}
+
+// Re-checks policy and balance (both may have changed while the offer was open), then journals and runs the trade.
+async function executeTrade(offer) {
+  const verdict = evaluatePolicy(offer);
+  if (!verdict.ok) return verdict.message;
+  const { fee } = verdict;
+  const { gsa } = communities.for(offer.guildId);
+
+  let treasury = null;
+  if (fee > 0 && tradePolicy.fee.destination === 'treasury') {
+    treasury = await gsa.findPlayerByServiceId(tradePolicy.fee.treasuryDiscordId).catch(() => null);
+    if (!treasury) return '❌ The server treasury account could not be found in GSA. Nothing was sent; please tell a manager.';
+  }
+
+  let senderBalance;
+  try {
+    senderBalance = await gsa.getPlayerTokenBalance(offer.senderUuid);
+  } catch {
+    return '❌ Could not check your token balance. Nothing was sent.';
+  }
+  if (senderBalance < offer.amount + fee) {
+    return `❌ Not enough tokens. You have **${senderBalance}**, need **${offer.amount + fee}**` +
+      (fee ? ` (${offer.amount} + ${fee} fee).` : '.');
+  }
+
+  // Journal first, then debit -> credit (refund on failure) through the outbox
+  const trade = journal.create({
+    guildId: offer.guildId,
+    senderId: offer.senderId,
+    senderUuid: offer.senderUuid,
+    senderName: offer.senderName,
+    recipientId: offer.recipientId,
+    recipientUuid: offer.recipientUuid,
+    recipientName: offer.recipientName,
+    amount: offer.amount,
+    fee,
+    treasuryUuid: treasury?.uuid || null,
+    note: offer.note,
+  });
+  const settled = await runner.advance(trade.id);
+  // paying_fee: the recipient has their tokens, only the treasury credit is still queued
+  if (!['credited', 'paying_fee'].includes(settled.state)) return tradeStatusMessage(settled);
+
+  // Optional: show new sender balance
+  let newBal = null;
+  try { newBal = await gsa.getPlayerTokenBalance(offer.senderUuid); } catch {}
+
+  // Optional audit embed
+  const embed = new EmbedBuilder()
+    .setTitle('🤝 Player Trade')
+    .setDescription(`**${offer.amount}** tokens`)
+    .addFields(
+      { name: 'From', value: `${offer.senderName} (<@${offer.senderId}>)`, inline: true },
+      { name: 'To', value: `${offer.recipientName} (<@${offer.recipientId}>)`, inline: true },
+      { name: 'Fee', value: fee ? `${fee} (${tradePolicy.fee.destination})` : 'none', inline: true },
+      { name: 'Note', value: offer.note, inline: false },
+    )
+    .setFooter({ text: `Trade ${trade.id}` })
+    .setTimestamp(new Date());
+  postToAudit(client, auditChannelId(offer.guildId), { embeds: [embed] });
+
+  return `✅ **${offer.senderTag}** sent **${offer.amount}** tokens to **${offer.recipientName}** (<@${offer.recipientId}>)` +
+    (fee ? `\n💸 Trade fee: **${fee}**` : '') +
+    (typeof newBal === 'number' ? `\n💳 Your new balance: **${newBal}**` : '');
+}
+
+// Who may press which button, and at which stage (null = any).
+const OFFER_ACTIONS = {
+  confirm: { by: 'senderId', stage: 'confirm' },
+  cancel: { by: 'senderId', stage: null },
+  accept: { by: 'recipientId', stage: 'accept' },
+  decline: { by: 'recipientId', stage: 'accept' },
+};
+
+async function handleTradeButton(interaction) {
+  const [, action, offerId] = interaction.customId.split(':');
+  const offer = tradeOffers.get(offerId);
+  if (!offer || !OFFER_ACTIONS[action]) {
+    return interaction.update({ content: '⌛ This trade offer has expired. Nothing was sent.', components: [] });
+  }
+  // A click that was already on its way while the trade runs must not touch the message.
+  if (offer.stage === 'executing') {
+    return interaction.reply({ content: '⏳ This trade is already being sent.', ephemeral: true });
+  }
+
+  const rule = OFFER_ACTIONS[action];
+  const allowedUser = offer[rule.by];
+  if (interaction.user.id !== allowedUser) {
+    return interaction.reply({ content: `⛔ Only <@${allowedUser}> can do that.`, ephemeral: true });
+  }
+  if (rule.stage && offer.stage !== rule.stage) {
+    return interaction.reply({ content: '⛔ That button is no longer active.', ephemeral: true });
+  }
+
+  if (action === 'cancel' || action === 'decline') {
+    dropOffer(offer);
+    const what = action === 'cancel' ? 'cancelled by the sender' : `declined by <@${offer.recipientId}>`;
+    return interaction.update({ content: `🚫 Trade of **${offer.amount}** tokens was ${what}. Nothing was sent.`, components: [] });
+  }
+
+  if (action === 'confirm' && needsAcceptance(offer)) {
+    offer.stage = 'accept';
+    armExpiry(offer, acceptMs());
+    return interaction.update({ content: offerText(offer), components: offerButtons(offer) });
+  }
+
+  // Kept (without its expiry) until the trade is done, so late clicks find it
+  offer.stage = 'executing';
+  clearTimeout(offer.timer);
+  try {
+    await interaction.update({ content: `⏳ Sending **${offer.amount}** tokens to **${offer.recipientName}**…`, components: [] });
+    return await interaction.editReply(await executeTrade(offer));
+  } finally {
+    dropOffer(offer);
+  }
+}
+
+// ---- Slash commands --------------------------------------------------------
+const balanceCmd = new SlashCommandBuilder()
+  .setName('balance')
+  .setDescription('Show token balance (public)')
+  .addUserOption(o => o.setName('user').setDescription('Discord user (default: you)'));
+
+const tradeCmd = new SlashCommandBuilder()
+  .setName('trade')
+  .setDescription('Send your own tokens to another player (public)')
+  .addUserOption(o => o.setName('user').setDescription('Recipient (must be linked in GSA)').setRequired(true))
+  .addIntegerOption(o => o.setName('amount').setDescription('Amount to send (minimum 1)').setRequired(true))
+  .addStringOption(o => o.setName('reason').setDescription('Optional note (e.g., trade, gift)'))
+  .setDefaultMemberPermissions(PermissionFlagsBits.SendMessages);
+
+// #3: Manager-only balance inspector
+const balDebugCmd = new SlashCommandBuilder()
+  .setName('baldebug')
+  .setDescription('Managers: inspect balance fields for a user (public)')
+  .addUserOption(o => o.setName('user').setDescription('Discord user (default: you)'));
+
+// Manager-only trade journal tools
+const tradesCmd = new SlashCommandBuilder()
+  .setName('trades')
+  .setDescription('Managers: inspect and resolve journaled trades')
+  .addSubcommand(sc => sc
+    .setName('list')
+    .setDescription('List unfinished trades (default) or trades in one state')
+    .addStringOption(o => {
+      const opt = o.setName('state').setDescription('Only this state');
+      TRADE_STATES.forEach(st => opt.addChoices({ name: st, value: st }));
+      return opt;
+    })
+  )
+  .addSubcommand(sc => sc
+    .setName('resolve')
+    .setDescription('Retry or close a stuck trade')
+    .addStringOption(o => o.setName('id').setDescription('Trade id').setRequired(true))
+    .addStringOption(o => o.setName('action').setDescription('What to do').setRequired(true).addChoices(
+      { name: 'retry the failed step', value: 'retry' },
+      { name: 'close (fixed by hand)', value: 'close' },
+    ))
+    .addStringOption(o => o.setName('note').setDescription('What was done (for the journal)'))
+  );
+
+// ---- Module ------------------------------------------------------------------
+async function handleButton(interaction) {
+  try {
+    return await handleTradeButton(interaction);
+  } catch (err) {
+    console.error('[Trade button error]', err?.response?.data || err);
+    const reply = { content: '❌ Something went wrong.', components: [] };
+    return (interaction.deferred || interaction.replied ? interaction.editReply(reply) : interaction.update(reply)).catch(() => {});
+  }
+}
+
+async function execute(interaction) {
+  try {
+    const name = interaction.commandName;
+    await interaction.deferReply({ ephemeral: name === 'trades' }); // everything else is public
+    const { gsa } = communities.for(interaction.guildId);
+
+    // ---------------------- /balance ----------------------
+    if (name === 'balance') {
+      const user = interaction.options.getUser('user') || interaction.user;
+      const player = await gsa.findPlayerByServiceId(user.id);
+      if (!player) {
+        return interaction.editReply(`❌ No GSA player found for **${user.tag}**. Is Discord linked in GSA? \`/link\` shows how.`);
+      }
+      try {
+        const bal = await gsa.getPlayerTokenBalance(player.uuid);
+        return interaction.editReply(`💳 **${player.username}** has **${bal}** tokens.`);
+      } catch {
+        return interaction.editReply('❌ Could not fetch token balance.');
+      }
+    }
+
+    // ---------------------- /trade ------------------------
+    if (name === 'trade') {
+      const recipientUser = interaction.options.getUser('user', true);
+      const amount = interaction.options.getInteger('amount', true);
+      const note = interaction.options.getString('reason') || `P2P transfer by ${interaction.user.tag}`;
+
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return interaction.editReply('❌ Amount must be a positive whole number.');
+      }
+      if (recipientUser.id === interaction.user.id) {
+        return interaction.editReply('❌ You cannot pay yourself.');
+      }
+
+      // Resolve sender & recipient
+      const senderPlayer = await gsa.findPlayerByServiceId(interaction.user.id);
+      if (!senderPlayer) return interaction.editReply('❌ Your Discord is not linked to a GSA player. Run `/link` to see how.');
+      const recipientPlayer = await gsa.findPlayerByServiceId(recipientUser.id);
+      if (!recipientPlayer) {
+        return interaction.editReply(`❌ No GSA player found for **${recipientUser.tag}**. Is their Discord linked in GSA? \`/link\` shows how.`);
+      }
+
+      // Nothing moves until the sender (and for large trades the recipient) presses a button
+      const member = await interaction.guild.members.fetch(interaction.user.id);
+      const offer = {
+        id: interaction.id,
+        stage: 'confirm',
+        guildId: interaction.guildId,
+        senderId: interaction.user.id,
+        senderTag: interaction.user.tag,
+        senderUuid: senderPlayer.uuid,
+        senderName: senderPlayer.username,
+        senderRoleIds: [...member.roles.cache.keys()],
+        accountCreatedAt: interaction.user.createdTimestamp,
+        memberJoinedAt: member.joinedTimestamp,
+        recipientId: recipientUser.id,
+        recipientUuid: recipientPlayer.uuid,
+        recipientName: recipientPlayer.username,
+        amount,
+        note,
+      };
+
+      // Limits, caps and blocklist; the fee is added on top of the amount
+      const verdict = evaluatePolicy(offer);
+      if (!verdict.ok) return interaction.editReply(verdict.message);
+      offer.fee = verdict.fee;
+
+      // Check sender balance (again at execution time, the offer may sit for a while)
+      let senderBalance;
+      try {
+        senderBalance = await gsa.getPlayerTokenBalance(senderPlayer.uuid);
+      } catch {
+        return interaction.editReply('❌ Could not check your token balance.');
+      }
+      if (senderBalance < amount + offer.fee) {
+        return interaction.editReply(`❌ Not enough tokens. You have **${senderBalance}**, need **${amount + offer.fee}**.`);
+      }
+
+      tradeOffers.set(offer.id, offer);
+      armExpiry(offer, confirmMs());
+      offer.message = await interaction.editReply({ content: offerText(offer), components: offerButtons(offer) });
+      return;
+    }
+
+    // ---------------------- /baldebug (Managers only) -----------------------
+    if (name === 'baldebug') {
+      const member = await interaction.guild.members.fetch(interaction.user.id);
+      if (!permissions.can(member, 'baldebug')) {
+        return interaction.editReply('⛔ Managers only.');
+      }
+
+      const user = interaction.options.getUser('user') || interaction.user;
+      const player = await gsa.findPlayerByServiceId(user.id);
+      if (!player) return interaction.editReply(`❌ No GSA player found for **${user.tag}**.`);
+
+      let details = null;
+      try { details = await gsa.getPlayerDetails(player.uuid); } catch {}
+      if (!details) return interaction.editReply('❌ Could not fetch player details.');
+
+      const snapshot = {
+        username: player.username,
+        uuid: player.uuid,
+        picks: gsa.balanceFieldsOf(details),
+      };
+
+      await interaction.editReply('```json\n' + JSON.stringify(snapshot, null, 2) + '\n```');
+      return;
+    }
+
+    // ---------------------- /trades (Managers only) -------------------------
+    if (name === 'trades') {
+      const member = await interaction.guild.members.fetch(interaction.user.id);
+      if (!permissions.can(member, 'trades')) {
+        return interaction.editReply('⛔ Managers only.');
+      }
+
+      // Only this guild's trades; ones from before trades kept their guild are GUILD_ID's
+      const here = t => (t.guildId || config.get('GUILD_ID')) === interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'list') {
+        const state = interaction.options.getString('state');
+        const trades = (state ? journal.list({ states: [state] }) : journal.open()).filter(here);
+        if (!trades.length) return interaction.editReply(`ℹ️ No ${state || 'unfinished'} trades.`);
+        const lines = trades.slice(-20).map(t =>
+          `\`${t.id}\` • ${t.state} • **${t.amount}** ${t.senderName} → ${t.recipientName} • <t:${Math.floor(t.updatedAt / 1000)}:R>` +
+          (t.history.at(-1)?.detail ? `\n  ↳ ${t.history.at(-1).detail}` : '')
+        );
+        return interaction.editReply(`📒 ${state || 'Unfinished'} trades (${trades.length}):\n\n${lines.join('\n')}`);
+      }
+
+      if (sub === 'resolve') {
+        const id = interaction.options.getString('id', true).trim();
+        const action = interaction.options.getString('action', true);
+        const note = interaction.options.getString('note');
+        if (journal.get(id) && !here(journal.get(id))) {
+          return interaction.editReply(`❌ No trade with id ${id}`);
+        }
+        let trade;
+        try {
+          trade = await runner.resolve(id, action, { by: interaction.user.tag, note });
+        } catch (e) {
+          return interaction.editReply(`❌ ${e.message}`);
+        }
+        postToAudit(client, auditChannelId(interaction.guildId),
+          `🛠️ ${interaction.user.tag} ran **${action}** on trade \`${trade.id}\` → now **${trade.state}**${note ? ` (${note})` : ''}`);
+        return interaction.editReply(`🛠️ Trade \`${trade.id}\` is now **${trade.state}**.`);
+      }
+    }
+
+  } catch (err) {
+    console.error('[Interaction error]', err?.response?.data || err);
+    const apiMsg = err?.response?.data?.error || err?.response?.data?.message;
+    const hint = apiMsg ? `\n🔎 API: ${apiMsg}` : '';
+    if (err?.code === 'rate_limited') {
+      return interaction.editReply(`⏳ Slow down! This player has a 5s cooldown.${hint}`);
+    }
+    if (err?.code === 'unavailable') {
+      return interaction.editReply('⏳ GSA is not answering right now. Please try again in a minute.');
+    }
+    return interaction.editReply(`❌ Something went wrong.${hint}`);
+  }
+}
+
+function init(ctx) {
+  ({ client, config, communities, outbox, enqueueForPlayer, permissions } = ctx);
+  tradePolicy = loadPolicy(config.get('TRADE_POLICY') || DEFAULT_POLICY_PATH);
+
+  journal = ctx.trades;
+  runner = createTradeRunner({
+    journal,
+    outbox,
+    // Both sides of a trade are in the GSA community of the guild it was made in
+    mutate: (uuid, amount, description, opts) => {
+      const { mutatePlayerTokens } = communities.for(opts.meta.guildId);
+      return enqueueForPlayer(uuid, () => mutatePlayerTokens(uuid, amount, description, opts));
+    },
+    onChange: (trade, previous) => {
+      console.log(`[Trade] ${trade.id}: ${previous} -> ${trade.state}`);
+      if (trade.state === 'stuck') {
+        postToAudit(client, auditChannelId(trade.guildId),
+          `🚨 Trade \`${trade.id}\` is stuck (${trade.amount} tokens, ${trade.senderName} → ${trade.recipientName}). ` +
+          'Use `/trades resolve` once it is sorted out.');
+      }
+    },
+  });
+
+  // Retried / dead trade steps move their trade on
+  const advance = job => runner.advance(job.meta.tradeId).catch(e => console.error('[Trade] advance failed', e));
+  ctx.onJob('trade', { onDone: advance, onDead: advance });
+}
+
+// Unfinished trades from a previous run continue before the outbox starts retrying.
+async function ready() {
+  await runner.resumeAll();
+}
+
+module.exports = {
+  data: [balanceCmd, tradeCmd, balDebugCmd, tradesCmd],
+  buttonPrefix: 'trade',
+  init,
+  ready,
+  execute,
+  handleButton,
+};
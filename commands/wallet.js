@@ -0,0 +1,179 @@
+/**
+ * Player wallet (/wallet, /history)
+ * ------------------------------------------------------
+ * Self-service views for players; every answer is ephemeral, so nobody
+ * else sees another player's money:
+ *   /wallet                 -> balance, what came in and went out lately,
+ *                              unfinished trades and recognition rewards
+ *   /history [direction] [from] [to]
+ *                           -> own token transactions, page by page
+ *                              (same view as /tokens history, see lib/token-history.js)
+ *
+ * Trades come from the trade journal and rewards from the reaction reward
+ * ledger (ctx.trades / ctx.rewards); money from GSA's token-transactions.
+ * All of it is about the GSA community of the guild the command is used in
+ * (lib/communities.js): a sister server's tokens are a different currency.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { createHistoryView, parseDay } = require('../lib/token-history');
+const { classifyTransaction } = require('../lib/token-transactions');
+
+const SUMMARY_DAYS = 30;
+const HISTORY_VIEW_MS = 10 * 60_000;
+const MAX_REWARDS_SHOWN = 5;
+
+// Shared services, handed over by index.js in init()
+let communities, trades, rewards;
+
+// ---- SLASH COMMANDS --------------------------------------------------------
+const walletCmd = new SlashCommandBuilder()
+  .setName('wallet')
+  .setDescription('Your tokens at a glance (only you can see it)');
+
+const historyCmd = new SlashCommandBuilder()
+  .setName('history')
+  .setDescription('Your token transactions (only you can see them)')
+  .addStringOption(o => o
+    .setName('direction')
+    .setDescription('Only grants, removals or trades')
+    .addChoices(
+      { name: 'all', value: 'all' },
+      { name: 'grants', value: 'grants' },
+      { name: 'removals', value: 'removals' },
+      { name: 'trades', value: 'trades' },
+    ))
+  .addStringOption(o => o.setName('from').setDescription('First day, YYYY-MM-DD'))
+  .addStringOption(o => o.setName('to').setDescription('Last day, YYYY-MM-DD'));
+
+// ---- WALLET ----------------------------------------------------------------
+// In / out over the last SUMMARY_DAYS, from one page of GSA history.
+async function spendingSummary(gsa, uuid) {
+  const since = Date.now() - SUMMARY_DAYS * 86_400_000;
+  const list = (await gsa.getPlayerTokenHistory(uuid, 100, 1))?.data || [];
+  const sum = { earned: 0, removed: 0, received: 0, sent: 0 };
+  for (const tx of list) {
+    if (!(Date.parse(tx.date) >= since)) continue;
+    const value = Number(tx.transaction_value) || 0;
+    const kind = classifyTransaction(tx);
+    if (kind === 'grant') sum.earned += value;
+    else if (kind === 'removal') sum.removed -= value;
+    else if (value >= 0) sum.received += value;
+    else sum.sent -= value;
+  }
+  return sum;
+}
+
+function tradeLine(t, userId) {
+  const outgoing = t.senderId === userId;
+  return `\`${t.id}\` • ${outgoing ? `➖${t.amount} to ${t.recipientName}` : `➕${t.amount} from ${t.senderName}`} • ${t.state}`;
+}
+
+function rewardLine(e) {
+  const where = e.channelId && e.guildId && e.messageId && e.source !== 'command'
+    ? ` • [message](https://discord.com/channels/${e.guildId}/${e.channelId}/${e.messageId})`
+    : '';
+  return `<t:${Math.floor(e.grantedAt / 1000)}:R> ${e.rule}${e.amount ? ` (${e.amount > 0 ? '+' : ''}${e.amount})` : ''}${where}`;
+}
+
+async function showWallet(interaction, player) {
+  const userId = interaction.user.id;
+  const community = communities.for(interaction.guildId);
+  const here = guildId => communities.for(guildId) === community;
+  const [balance, summary] = await Promise.all([
+    community.gsa.getPlayerTokenBalance(player.uuid),
+    spendingSummary(community.gsa, player.uuid),
+  ]);
+  const openTrades = trades.open().filter(t => (t.senderId === userId || t.recipientId === userId) && here(t.guildId));
+  // Positive rules only: a 💩 penalty is no recognition
+  const received = rewards.recognitions({ helperId: userId }).filter(e => here(e.guildId));
+  const rewardTotal = received.reduce((sum, e) => sum + (e.amount || 0), 0);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`👛 ${player.username}`)
+    .setColor(0x2ecc71)
+    .setDescription(`💳 **${balance}** tokens`)
+    .addFields(
+      {
+        name: `Last ${SUMMARY_DAYS} days`,
+        value: `➕ Earned ${summary.earned} • ➖ Removed ${summary.removed}\n` +
+          `🔁 Received ${summary.received} • Sent ${summary.sent} (fees included)\n` +
+          `Net ${summary.earned - summary.removed + summary.received - summary.sent}`,
+      },
+      {
+        name: `Unfinished trades (${openTrades.length})`,
+        value: openTrades.length ? openTrades.slice(-5).map(t => tradeLine(t, userId)).join('\n') : 'None',
+      },
+      {
+        name: `Recognitions (${received.length}${rewardTotal ? `, ${rewardTotal} tokens` : ''})`,
+        value: received.length ? received.slice(0, MAX_REWARDS_SHOWN).map(rewardLine).join('\n') : 'None yet',
+      },
+    )
+    .setFooter({ text: 'Use /history for every transaction' });
+  return interaction.editReply({ embeds: [embed] });
+}
+
+// ---- HISTORY ---------------------------------------------------------------
+const historyViews = new Map(); // id -> { view, userId, page, timer }
+
+async function showHistory(interaction, player) {
+  const from = parseDay(interaction.options.getString('from'));
+  const to = parseDay(interaction.options.getString('to'), true);
+  if (Number.isNaN(from) || Number.isNaN(to)) return interaction.editReply('❌ Dates must look like 2024-12-31.');
+
+  const view = createHistoryView({
+    gsa: communities.for(interaction.guildId).gsa,
+    player,
+    filter: { direction: interaction.options.getString('direction') || 'all', from, to },
+    prefix: 'wallet',
+    id: interaction.id,
+    title: '📜 Your token history',
+  });
+  const state = { view, userId: interaction.user.id, page: 0 };
+  state.timer = setTimeout(() => {
+    historyViews.delete(view.id);
+    interaction.editReply({ components: [] }).catch(() => {});
+  }, HISTORY_VIEW_MS);
+  state.timer.unref?.();
+  historyViews.set(view.id, state);
+
+  return interaction.editReply(await view.render(0));
+}
+
+async function handleButton(interaction) {
+  try {
+    const [, action, id] = interaction.customId.split(':');
+    const state = historyViews.get(id);
+    if (!state || interaction.user.id !== state.userId) return interaction.update({ components: [] });
+
+    await interaction.deferUpdate();
+    state.page = Math.max(0, state.page + (action === 'hnext' ? 1 : -1));
+    return await interaction.editReply(await state.view.render(state.page));
+  } catch (err) {
+    console.error('[Wallet button error]', err?.response?.data || err);
+    return interaction.editReply({ content: '❌ Something went wrong.', embeds: [], components: [] }).catch(() => {});
+  }
+}
+
+// ---- HANDLER ---------------------------------------------------------------
+async function execute(interaction) {
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    const player = await communities.for(interaction.guildId).gsa.findPlayerByServiceId(interaction.user.id);
+    if (!player) return interaction.editReply('❌ No GSA player found for your Discord account. Run `/link` to see how to link it.');
+
+    if (interaction.commandName === 'wallet') return showWallet(interaction, player);
+    return showHistory(interaction, player);
+  } catch (err) {
+    console.error('[Interaction error]', err?.response?.data || err);
+    if (err?.code === 'rate_limited') return interaction.editReply('⏳ GSA is rate limiting us. Try again in a few seconds.');
+    return interaction.editReply('❌ Something went wrong.');
+  }
+}
+
+function init(ctx) {
+  ({ communities, trades, rewards } = ctx);
+}
+
+module.exports = { data: [walletCmd, historyCmd], buttonPrefix: 'wallet', init, execute, handleButton };
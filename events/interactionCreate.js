@@ -0,0 +1,19 @@
+// Routes slash and context menu commands by name, and buttons and modal submits by the prefix of their customId ("trade:...").
+// Interactions from a guild the config doesn't name are ignored.
+module.exports = {
+  name: 'interactionCreate',
+  async execute(interaction, ctx) {
+    if (!ctx.communities.for(interaction.guildId)) return;
+
+    if (interaction.isButton() || interaction.isModalSubmit()) {
+      const prefix = interaction.customId.split(':')[0];
+      const mod = ctx.modules.find(m => m.buttonPrefix === prefix);
+      return interaction.isButton() ? mod?.handleButton(interaction, ctx) : mod?.handleModal?.(interaction, ctx);
+    }
+
+    if (!interaction.isChatInputCommand() && !interaction.isMessageContextMenuCommand()) return;
+    const mod = ctx.commands.get(interaction.commandName);
+    if (!mod) return;
+    return mod.execute(interaction, ctx);
+  },
+};
@@ -0,0 +1,8 @@
+const rewards = require('../lib/reaction-rewards');
+
+// An admin reacted: grant whatever reward the emoji's rule names.
+module.exports = {
+  name: 'messageReactionAdd',
+  init: rewards.init,
+  execute: (reaction, user) => rewards.onReactionAdd(reaction, user),
+};
@@ -0,0 +1,8 @@
+const rewards = require('../lib/reaction-rewards');
+
+// The same admin took the reaction back within the undo window: reverse the reward.
+module.exports = {
+  name: 'messageReactionRemove',
+  init: rewards.init,
+  execute: (reaction, user) => rewards.onReactionRemove(reaction, user),
+};
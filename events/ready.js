@@ -0,0 +1,34 @@
+const { REST, Routes } = require('discord.js');
+
+// Every command module's slash commands, registered in one go per guild (a PUT replaces the whole list).
+// GUILD_ID and every guild with a section in config.json; one failing guild doesn't stop the others.
+async function registerCommands(ctx) {
+  const body = ctx.modules.flatMap(m => [].concat(m.data)).map(d => d.toJSON());
+  const { config } = ctx;
+  const rest = new REST({ version: '10' }).setToken(config.get('DISCORD_TOKEN'));
+  for (const guildId of config.guildIds()) {
+    try {
+      await rest.put(Routes.applicationGuildCommands(config.get('DISCORD_APP_ID'), guildId), { body });
+      console.log(`[Slash] Registered guild commands in ${guildId}:`, body.map(c => c.name));
+    } catch (e) {
+      console.error(`[Slash] Failed to register in ${guildId}`, e);
+    }
+  }
+}
+
+module.exports = {
+  name: 'ready',
+  once: true,
+  async execute(client, ctx) {
+    console.log(`[Ready] Logged in as ${client.user.tag}`);
+
+    // Modules pick up their own unfinished work (e.g. journaled trades) before the outbox retries anything.
+    for (const mod of ctx.modules) {
+      if (!mod.ready) continue;
+      try { await mod.ready(ctx); } catch (e) { console.error('[Ready] Module startup failed', e); }
+    }
+    ctx.outbox.start();
+
+    await registerCommands(ctx);
+  },
+};
@@ -1,22 +1,74 @@
-const {token} = require('./config.json');
-const {Client, Events, SlashCommandBuilder, GatewayIntentBits, Collection } = require('discord.js');
-const fs = require('node:fs')
-const path = require('node:path')
-const axios = require('axios');
-
-const client = new Client({ intents: [GatewayIntentBits.Guilds] | [GatewayIntentBits.GuildMembers] | [GatewayIntentBits.MessageContent] | [GatewayIntentBits.GuildMessages] });
-
-const eventsPath = path.join(__dirname, 'events');
-const eventFiles = fs.readdirSync(eventsPath).filter(file => file.endsWith('.js'));
-
- for(const file of eventFiles){
-   const filePath = path.join(eventsPath, file);
-   const event = require(filePath);
-   if (event.once) {
-      client.once(event.name, (...args) => event.execute(...args));
-   } else {
-      client.on(event.name, (...args) => event.execute(...args));
-   }
- }
-
-client.login(token);
\ No newline at end of file
+/**
+ * DinoParadise bot – single entry point
+ * ------------------------------------------------------
+ * Runs every feature in one process with one Discord client:
+ *   commands/*.js -> slash commands (/tokens, /balance, /trade, ...)
+ *   events/*.js   -> Discord events (reaction rewards, interaction routing, ready)
+ *
+ * The module contract and the shared `ctx` are described in lib/bot.js.
+ *
+ * All slash commands are registered together once the client is ready, and
+ * every GSA / webhook mutation goes through one shared outbox (DATA_DIR/outbox.json).
+ *
+ * Settings come from .env and config.json, checked against one schema
+ * (lib/config.js): the bot refuses to start until every problem is fixed.
+ * config.json is re-read when it changes (or on SIGHUP). Its "guilds" sections add
+ * more servers, each possibly with a GSA community of its own (lib/communities.js).
+ *   DISCORD_TOKEN=...
+ *   DISCORD_APP_ID=...
+ *   GUILD_ID=...
+ *   GSA_API_URL=https://api.gameserverapp.com
+ *   GSA_API_KEY=...
+ *   GSA_BALANCE_FIELDS=...       # optional, where the token balance lives (see lib/gsa-client.js)
+ *   GSA_FIXTURES=record|replay   # optional, record GSA answers / answer from them (lib/gsa-fixtures.js)
+ *   GSA_FIXTURE_FILE=...         # optional, default DATA_DIR/gsa-fixtures.json
+ *   AUTH_TOKEN=...               # bearer for reward webhooks / GSA tasks
+ *   AUDIT_CHANNEL_ID=...         # optional, failed GSA calls are reported here
+ *   DRY_RUN=false                # true to simulate (no mutations leave the bot)
+ *   DATA_DIR=./data
+ * Each module documents the extra settings it reads.
+ *
+ * Run: node index.js
+ */
+
+require('dotenv').config();
+const { Client, GatewayIntentBits, Partials } = require('discord.js');
+const { createConfig, ConfigError } = require('./lib/config');
+const { createContext, loadModules } = require('./lib/bot');
+
+// ---- CONFIG ----------------------------------------------------------------
+let config;
+try {
+  config = createConfig();
+} catch (e) {
+  if (!(e instanceof ConfigError)) throw e;
+  console.error(`[BOOT] Invalid configuration, fix these and start again:\n${e.problems.map(p => `  - ${p}`).join('\n')}`);
+  process.exit(1);
+}
+config.watch();
+process.on('SIGHUP', () => config.reloadAndLog());
+
+// ---- Discord client --------------------------------------------------------
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildMessageReactions,
+  ],
+  partials: [Partials.Message, Partials.Reaction, Partials.User],
+});
+
+// ---- Modules ---------------------------------------------------------------
+let ctx;
+try {
+  ctx = createContext({ client, config });
+  loadModules(ctx);
+} catch (e) {
+  console.error(`[BOOT] ${e.message}`);
+  process.exit(1);
+}
+
+console.log('[BOOT] Commands:', [...ctx.commands.keys()].map(n => `/${n}`).join(', '));
+client.login(config.get('DISCORD_TOKEN'));
@@ -0,0 +1,228 @@
+/**
+ * Approval requests
+ * ------------------------------------------------------
+ * Two-person approval for anything moving more than APPROVAL_THRESHOLD
+ * tokens: the request is posted to APPROVAL_CHANNEL_ID (default: the audit
+ * channel) with Approve / Reject buttons, and only runs once a manager with
+ * "tokens.approve" other than the requester approves it. Requests expire
+ * after APPROVAL_HOURS.
+ *
+ * What an approved request does depends on its kind; the command that asks
+ * for it registers that with onApproved(kind, run):
+ *
+ *   grant      -> /tokens send, preset, bulk and import pay the entries (commands/tokens.js)
+ *   schedule   -> /schedule add creates the schedule (commands/schedule.js)
+ *   recognize  -> "Recognize helper" / /recognize grant their custom amount (commands/recognize.js)
+ *
+ * run(request, approver) resolves to the summary posted in the approval
+ * message and the audit channel. While a request waits, its total counts
+ * against the requester's maxPerDay (permissions.reserve); on approval the
+ * requester's caps for the request's command key are checked again first.
+ * Requests wait in DATA_DIR/approvals.json
+ * (lib/grant-approvals.js), so they survive a restart; the buttons keep their
+ * old "tokens:approve:<id>" ids and commands/tokens.js routes them here.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { postToAudit } = require('./audit-channel');
+const { approvalTotal, createApprovalStore } = require('./grant-approvals');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.client       discord.js Client
+ * @param {object} deps.config       lib/config.js
+ * @param {object} deps.permissions  lib/permissions.js
+ * @param {boolean} [deps.isDryRun]
+ * @param {object} [deps.store]      lib/grant-approvals.js store
+ */
+function createApprovalRequests({ client, config, permissions, isDryRun = false, store = createApprovalStore() }) {
+  // Read at use time, so a config.json reload applies right away.
+  const auditChannelId = guildId => config.get('AUDIT_CHANNEL_ID', guildId);
+  // Requests moving more than this many tokens (all players together) need a second manager; 0 = never
+  const threshold = guildId => config.get('APPROVAL_THRESHOLD', guildId);
+  const channelIdFor = guildId => config.get('APPROVAL_CHANNEL_ID', guildId) || auditChannelId(guildId);
+  const approvalMs = () => config.get('APPROVAL_HOURS') * 60 * 60_000;
+
+  const runners = new Map(); // kind -> run(request, approver)
+  const timers = new Map();  // id -> expiry timeout
+
+  function onApproved(kind, run) {
+    if (runners.has(kind)) throw new Error(`Approval kind "${kind}" is already handled`);
+    runners.set(kind, run);
+  }
+
+  function needsApproval(entries, guildId) {
+    return threshold(guildId) > 0 && approvalTotal(entries) > threshold(guildId);
+  }
+
+  function buttons(id) {
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`tokens:approve:${id}`).setLabel('Approve').setStyle(ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`tokens:reject:${id}`).setLabel('Reject').setStyle(ButtonStyle.Danger),
+      ),
+    ];
+  }
+
+  function embed(r) {
+    const players = r.entries.map(e => (e.discordId ? `<@${e.discordId}>` : `\`${e.uuid}\``) + ` ${e.amount >= 0 ? '+' : ''}${e.amount}`);
+    const reasons = [...new Set(r.entries.map(e => e.reason))];
+    return new EmbedBuilder()
+      .setTitle('🕒 Approval needed')
+      .setDescription(`**${r.title}**${isDryRun ? ' (DRY-RUN)' : ''}`)
+      .setColor(0xf1c40f)
+      .addFields(
+        { name: 'Requested by', value: `<@${r.requestedBy.id}> (${r.requestedBy.name})`, inline: true },
+        { name: 'Tokens moved', value: String(r.total), inline: true },
+        { name: 'Expires', value: `<t:${Math.floor(r.expiresAt / 1000)}:R>`, inline: true },
+        { name: `Players (${players.length})`, value: (players.length > 20 ? [...players.slice(0, 20), `… and ${players.length - 20} more`] : players).join('\n'), inline: false },
+        { name: 'Reason', value: reasons.slice(0, 5).join('\n').slice(0, 1024), inline: false },
+      )
+      .setFooter({ text: `Request ${r.id} • needs a manager other than the requester` });
+  }
+
+  async function messageOf(r) {
+    const ch = client.channels.cache.get(r.channelId) || await client.channels.fetch(r.channelId);
+    return ch.messages.fetch(r.messageId);
+  }
+
+  /**
+   * Posts the request to APPROVAL_CHANNEL_ID; resolves to what to tell the requester.
+   * @param {object} interaction  the requester's
+   * @param {object} opts { title, entries: [{ discordId | uuid, amount, reason }], key, kind?, data? }
+   *   entries are what the request moves (shown, and counted for the threshold and the day);
+   *   key is the permission whose caps it is checked against (e.g. "tokens.bulk");
+   *   data is whatever else the kind's run() needs
+   */
+  async function request(interaction, { title, entries, key, kind = 'grant', data = null }) {
+    const channelId = channelIdFor(interaction.guildId);
+    if (!channelId) return '❌ This needs a second manager, but no APPROVAL_CHANNEL_ID is set.';
+    const r = store.create({
+      kind,
+      key,
+      title,
+      entries,
+      data,
+      requestedBy: { id: interaction.user.id, name: interaction.user.tag },
+      guildId: interaction.guildId,
+      channelId,
+      messageId: null,
+      expiresAt: Date.now() + approvalMs(),
+    });
+
+    let message;
+    try {
+      const ch = client.channels.cache.get(channelId) || await client.channels.fetch(channelId);
+      message = await ch.send({ embeds: [embed(r)], components: buttons(r.id) });
+    } catch (e) {
+      store.claim(r.id);
+      console.error('[Approvals] Could not post request', e?.message || e);
+      return '❌ Could not post the approval request. Nothing was sent.';
+    }
+    store.patch(r.id, { messageId: message.id });
+    permissions.reserve(r.requestedBy.id, r.id, r.total);
+    arm(r);
+
+    return `🕒 **${r.total}** tokens is over the approval threshold of **${threshold(interaction.guildId)}**. ` +
+      `Request \`${r.id}\` is waiting in <#${channelId}> for a second manager; ` +
+      `it expires <t:${Math.floor(r.expiresAt / 1000)}:R>. Nothing was sent yet.`;
+  }
+
+  function arm(r) {
+    const timer = setTimeout(() => expire(r.id), Math.max(0, r.expiresAt - Date.now()));
+    timer.unref?.();
+    timers.set(r.id, timer);
+  }
+
+  async function expire(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    const r = store.claim(id);
+    if (!r) return;
+    permissions.release(r.requestedBy.id, r.id);
+    console.log(`[Approvals] ${id} expired`);
+    const content = `⌛ **${r.title}** requested by <@${r.requestedBy.id}> expired. Nothing was sent.`;
+    try {
+      await (await messageOf(r)).edit({ content, embeds: [], components: [] });
+    } catch (e) {
+      console.error(`[Approvals] Could not update expired request ${id}`, e?.message || e);
+    }
+  }
+
+  // Expires every request past its time at `now`.
+  function expireDue(now = Date.now()) {
+    return Promise.all(store.list().filter(r => r.expiresAt <= now).map(r => expire(r.id)));
+  }
+
+  // Requests still waiting from before a restart get their expiry back; overdue ones expire now.
+  function resume() {
+    const overdue = expireDue();
+    for (const r of store.list()) arm(r);
+    return overdue;
+  }
+
+  // The requester's caps once more, with the request's own reservation already released.
+  async function requesterAllowed(r) {
+    if (!r.key) return { ok: true }; // requests from before they kept their key
+    const guild = client.guilds.cache.get(r.guildId) || await client.guilds.fetch(r.guildId);
+    const requester = await guild.members.fetch(r.requestedBy.id).catch(() => null);
+    if (!requester) return { ok: false, message: `<@${r.requestedBy.id}> is no longer on this server.` };
+    const perAction = Math.max(...r.entries.map(e => Math.abs(e.amount)));
+    return permissions.checkAmount(requester, r.key, { perAction, total: r.total });
+  }
+
+  // Approve / Reject on a request.
+  async function handleButton(interaction) {
+    const [, action, id] = interaction.customId.split(':');
+    const r = store.get(id);
+    if (!r) return interaction.update({ content: 'ℹ️ This request is no longer pending.', embeds: [], components: [] });
+
+    const member = await interaction.guild.members.fetch(interaction.user.id);
+    const isRequester = interaction.user.id === r.requestedBy.id;
+    if (action === 'approve' && isRequester) {
+      return interaction.reply({ content: '⛔ Someone else has to approve your request.', ephemeral: true });
+    }
+    if (!isRequester && !permissions.can(member, 'tokens.approve')) {
+      return interaction.reply({ content: '⛔ You do not have permission.', ephemeral: true });
+    }
+    // Requests from before kinds existed are grants. Without a handler it stays pending.
+    const run = runners.get(r.kind || 'grant');
+    if (action === 'approve' && !run) {
+      return interaction.reply({ content: `❌ Nothing handles "${r.kind}" requests right now; the request stays pending.`, ephemeral: true });
+    }
+
+    // Whoever claims it first acts on it; a second click finds nothing.
+    if (!store.claim(id)) return interaction.update({ content: 'ℹ️ This request is no longer pending.', embeds: [], components: [] });
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    permissions.release(r.requestedBy.id, r.id);
+
+    const footer = `👤 requested by ${r.requestedBy.name} • ${action === 'approve' ? 'approved' : 'rejected'} by ${interaction.user.tag}`;
+    if (action === 'reject') {
+      postToAudit(client, auditChannelId(r.guildId), `🚫 **${r.title}** was rejected. Nothing was sent.\n${footer}`);
+      return interaction.update({ content: `🚫 **${r.title}** rejected. Nothing was sent.\n${footer}`, embeds: [], components: [] });
+    }
+
+    const allowed = await requesterAllowed(r);
+    if (!allowed.ok) {
+      const text = `❌ **${r.title}** is no longer within the requester's limits. Nothing was sent.\n${allowed.message}\n${footer}`;
+      postToAudit(client, auditChannelId(r.guildId), text);
+      return interaction.update({ content: text, embeds: [], components: [] });
+    }
+
+    await interaction.update({ content: `⏳ Approved by ${interaction.user.tag}, sending **${r.total}** tokens…`, embeds: [], components: [] });
+    let summary;
+    try {
+      summary = await run(r, interaction.user);
+    } catch (e) {
+      console.error(`[Approvals] ${r.id} failed`, e?.message || e);
+      summary = `❌ **${r.title}** was approved but failed: ${e?.message || e}. Check the balances before sending it again.`;
+    }
+    postToAudit(client, auditChannelId(r.guildId), `${summary}\n${footer}`);
+    return interaction.editReply({ content: `${summary}\n${footer}`, embeds: [], components: [] });
+  }
+
+  return { onApproved, needsApproval, request, expireDue, resume, handleButton };
+}
+
+module.exports = { createApprovalRequests };
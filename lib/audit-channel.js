@@ -0,0 +1,18 @@
+/**
+ * Audit channel helpers
+ * ------------------------------------------------------
+ * Small helpers for posting to AUDIT_CHANNEL_ID. Everything here is
+ * best-effort: a missing channel or failed send is logged, never thrown.
+ */
+
+async function postToAudit(client, channelId, payload) {
+  if (!channelId) return;
+  try {
+    const ch = client.channels.cache.get(channelId) || await client.channels.fetch(channelId);
+    if (ch && 'send' in ch) await ch.send(payload);
+  } catch (e) {
+    console.error('[Audit] Could not post to audit channel:', e?.message || e);
+  }
+}
+
+module.exports = { postToAudit };
@@ -0,0 +1,165 @@
+/**
+ * Audit log
+ * ------------------------------------------------------
+ * Every token mutation and reward call the bot makes ends up here: appended
+ * to DATA_DIR/audit-log.jsonl (one JSON object per line, never rewritten)
+ * and posted as an embed to the audit channel.
+ *
+ * Entries are fed by the outbox (onAttempt in lib/bot.js), so grants,
+ * removals, trade steps, rollbacks, reaction rewards and their reversals,
+ * helper milestone bonuses, shop purchases, deliveries and refunds are covered no matter which command
+ * submitted them. Who did what for whom comes from the job's meta.audit:
+ *
+ *   { action, actor: { id, name }, player: { id, name }, amount?, reason?, ref? }
+ *
+ * and the guild it happened in from meta.guildId (null for entries from
+ * before the bot served more than one guild, which all happened in GUILD_ID).
+ *
+ * outcome per attempt:
+ *   done      -> GSA / the reward service accepted it
+ *   retrying  -> attempt failed, the outbox tries again (posted once per job)
+ *   failed    -> given up on, or failed before it could be sent
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { EmbedBuilder } = require('discord.js');
+const { dataPath } = require('./json-store');
+
+const ACTIONS = {
+  grant: '➕ Tokens granted',
+  removal: '➖ Tokens removed',
+  trade_debit: '🔁 Trade: sender debited',
+  trade_credit: '🔁 Trade: recipient credited',
+  trade_fee: '🔁 Trade: fee paid',
+  trade_refund: '↩️ Trade: sender refunded',
+  reward: '🏅 Reaction reward',
+  reward_reversal: '↩️ Reaction reward reversed',
+  shop_purchase: '🛒 Shop: item paid',
+  shop_delivery: '🎁 Shop: item delivered',
+  shop_refund: '↩️ Shop: purchase refunded',
+  milestone_bonus: '🏆 Helper milestone bonus',
+};
+
+const COLORS = { done: 0x2ecc71, retrying: 0xf1c40f, failed: 0xd83c3e };
+
+// What a job is about: meta.audit, with the gaps filled in from the request itself.
+function describeJob(job) {
+  const audit = job.meta?.audit || {};
+  const mutation = String(job.url || '').match(/\/player\/([^/]+)\/mutate-tokens$/);
+  const amount = audit.amount ?? (mutation ? Number(job.data?.amount) : null);
+  return {
+    action: audit.action || (mutation ? (amount >= 0 ? 'grant' : 'removal') : 'reward'),
+    amount,
+    playerUuid: mutation?.[1] || null,
+    player: audit.player || null,
+    actor: audit.actor || null,
+    reason: audit.reason ?? job.data?.description ?? null,
+    ref: audit.ref || null,
+    guildId: job.meta?.guildId ?? null,
+  };
+}
+
+function auditEmbed(e) {
+  const title = e.outcome === 'failed' ? '🚨 GSA call permanently failed'
+    : e.outcome === 'retrying' ? '⏳ GSA call failed, will retry'
+    : ACTIONS[e.action] || e.action;
+  const who = p => (p ? (p.id ? `<@${p.id}> (${p.name})` : p.name) : '-');
+  const fields = [
+    { name: 'Action', value: e.action, inline: true },
+    { name: 'Player', value: who(e.player) + (e.playerUuid ? `\n\`${e.playerUuid}\`` : ''), inline: true },
+    { name: 'By', value: who(e.actor), inline: true },
+  ];
+  if (e.amount != null) fields.push({ name: 'Amount', value: `${e.amount >= 0 ? '+' : ''}${e.amount}`, inline: true });
+  if (e.attempts) fields.push({ name: 'Attempts', value: String(e.attempts), inline: true });
+  if (e.ref) fields.push({ name: 'Ref', value: `\`${e.ref}\``, inline: true });
+  if (e.reason) fields.push({ name: 'Reason', value: String(e.reason).slice(0, 1024), inline: false });
+  if (e.error) fields.push({ name: 'Last error', value: String(e.error).slice(0, 1024), inline: false });
+  if (e.jobId) fields.push({ name: 'Job', value: `\`${e.jobId}\``, inline: false });
+
+  return new EmbedBuilder()
+    .setTitle(title + (e.dryRun ? ' (DRY-RUN)' : ''))
+    .setDescription(e.label || null)
+    .setColor(COLORS[e.outcome] || COLORS.done)
+    .addFields(fields)
+    .setTimestamp(new Date(e.at));
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.name]    file inside DATA_DIR
+ * @param {function} [opts.post]  (payload, entry) => posts to the audit channel of entry.guildId
+ * @param {boolean} [opts.dryRun] marks every entry as a dry run
+ * @param {string} [opts.mainGuildId] GUILD_ID, where entries without a guild belong
+ */
+function createAuditLog({ name = 'audit-log.jsonl', post = () => {}, dryRun = false, mainGuildId = null } = {}) {
+  const file = dataPath(name);
+
+  // Append one entry (and post it unless `quiet`). Never throws: a full disk must not stop a payout.
+  function record(fields, { quiet = false, content } = {}) {
+    const entry = { id: crypto.randomUUID(), at: Date.now(), dryRun, ...fields };
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.error('[Audit] Could not write the audit log:', e.message);
+    }
+    if (!quiet) Promise.resolve(post({ content, embeds: [auditEmbed(entry)] }, entry)).catch(() => {});
+    return entry;
+  }
+
+  // One outbox attempt. Retries after the first failure only go to the file.
+  function recordJob(job, result) {
+    const outcome = result.status === 'done' ? 'done' : result.status === 'dead' ? 'failed' : 'retrying';
+    return record({
+      ...describeJob(job),
+      outcome,
+      label: job.label,
+      jobId: job.id,
+      attempts: job.attempts,
+      error: outcome === 'done' ? null : job.lastError,
+    }, {
+      quiet: outcome === 'retrying' && job.attempts > 1,
+      content: outcome === 'done' && job.attempts > 1 ? `✅ Delayed GSA call went through: ${job.label}` : undefined,
+    });
+  }
+
+  function readAll() {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch { /* a torn last line after a crash */ }
+    }
+    return entries;
+  }
+
+  /**
+   * Newest first. With `guildId`, entries of other guilds are left out (those without a guild are the main guild's).
+   * @param {object} q { guildId, playerId, actorId, action, outcome, from, to, limit }
+   */
+  function search({ guildId, playerId, actorId, action, outcome, from = null, to = null, limit = 20 } = {}) {
+    return readAll()
+      .filter(e =>
+        (!guildId || (e.guildId || mainGuildId) === guildId) &&
+        (!playerId || e.player?.id === playerId) &&
+        (!actorId || e.actor?.id === actorId) &&
+        (!action || e.action === action) &&
+        (!outcome || e.outcome === outcome) &&
+        (from == null || e.at >= from) &&
+        (to == null || e.at <= to))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { file, record, recordJob, search };
+}
+
+module.exports = { ACTIONS, createAuditLog, auditEmbed };
@@ -0,0 +1,182 @@
+/**
+ * Bot wiring
+ * ------------------------------------------------------
+ * Builds the shared services every module gets (`ctx`) and loads the command
+ * and event modules onto a Discord client. index.js uses it with a real
+ * client; the tests use it with a fake one (test/support/fake-discord.js).
+ *
+ * A command module exports:
+ *   { data, execute(interaction, ctx), init?(ctx), ready?(ctx),
+ *     buttonPrefix?, handleButton?(interaction, ctx), handleModal?(interaction, ctx) }
+ * where `data` is a SlashCommandBuilder or ContextMenuCommandBuilder (or an
+ * array of them). Modal customIds start with the buttonPrefix too.
+ * An event module exports { name, once?, init?(ctx), execute(...args, ctx) }.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { Collection } = require('discord.js');
+const { createOutbox } = require('./outbox');
+const { createCommunities } = require('./communities');
+const { postToAudit } = require('./audit-channel');
+const { createAuditLog } = require('./audit-log');
+const { enqueueForPlayer } = require('./player-queue');
+const { createTradeJournal } = require('./trade-journal');
+const { createLedger } = require('./reward-ledger');
+const { createMilestones } = require('./helper-milestones');
+const { loadPermissions, createPermissions, DEFAULT_PERMISSIONS_PATH } = require('./permissions');
+const { createApprovalRequests } = require('./approval-requests');
+const { createScheduleStore, createScheduler } = require('./payout-schedule');
+const { createConfig } = require('./config');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @param {object} opts
+ * @param {object} opts.client            discord.js Client (or a fake with the same surface)
+ * @param {object} [opts.config]          lib/config.js (default: built from process.env and config.json)
+ * @param {object} [opts.outboxOptions]   createOutbox() overrides (delays, attempts)
+ */
+function createContext({ client, config = createConfig(), outboxOptions = {} }) {
+  const setting = name => config.get(name);
+  const isDryRun = setting('DRY_RUN');
+
+  // ---- GSA communities -----------------------------------------------------
+  // One GSA client, link cache and pair of outbox transports per community (lib/communities.js).
+  const communities = createCommunities({ config, submit: spec => outbox.submit(spec) });
+
+  // In DRY_RUN the outbox still journals every job, it just never sends it.
+  const dryRunTransport = {
+    request: async () => ({ data: { data: 'DRY_RUN: Tokens would be mutated.' } }),
+  };
+
+  // mutatePlayerTokens for previews (/tokens import): the dry-run transport answers, nothing is journaled or sent.
+  async function previewTokens(playerUuid, amount, description) {
+    const job = communities.main.gsa.mutateTokensJob(playerUuid, amount, description);
+    const response = await dryRunTransport.request({ method: job.method, url: job.url, data: job.data });
+    return { status: 'done', response };
+  }
+
+  // ---- Outbox --------------------------------------------------------------
+  // Modules claim the jobs they submit by meta.kind (see ctx.onJob below).
+  const jobHandlers = new Map(); // kind -> { onDone, onDead }
+
+  // Every attempt of every job is written to the audit log and posted to the AUDIT_CHANNEL_ID of its guild.
+  const audit = createAuditLog({
+    dryRun: isDryRun,
+    mainGuildId: setting('GUILD_ID'),
+    post: (payload, entry) => postToAudit(client, config.get('AUDIT_CHANNEL_ID', entry.guildId), payload),
+  });
+
+  const transports = communities.transports();
+  const outbox = createOutbox({
+    ...outboxOptions,
+    transports: isDryRun
+      ? Object.fromEntries(Object.keys(transports).map(name => [name, dryRunTransport]))
+      : transports,
+    onAttempt: (job, result) => {
+      audit.recordJob(job, result);
+      // A cached uuid GSA no longer knows: look its Discord ids up again next time.
+      const uuid = String(job.url || '').match(/\/player\/([^/]+)\/mutate-tokens$/)?.[1];
+      if (uuid && result.status === 'dead' && result.error?.response?.status === 404) {
+        communities.byTransport(job.transport)?.links.forgetUuid(uuid);
+      }
+    },
+    onDone: job => {
+      console.log(`[Outbox] ${job.label} delivered after ${job.attempts} attempt(s)`);
+      jobHandlers.get(job.meta?.kind)?.onDone?.(job);
+    },
+    onDead: job => {
+      console.error(`[Outbox] Gave up on ${job.label} after ${job.attempts} attempt(s): ${job.lastError}`);
+      jobHandlers.get(job.meta?.kind)?.onDead?.(job);
+    },
+  });
+
+  // ---- Shared journals ----------------------------------------------------
+  // One copy of each file in memory: /trade and the reaction rewards write them, /wallet reads them.
+  const trades = createTradeJournal();
+  const rewards = createLedger();
+  // Recognition milestones are counted from the reward ledger (lib/helper-milestones.js).
+  const milestones = createMilestones({ config, client, communities, ledger: rewards });
+
+  // ---- Permissions --------------------------------------------------------
+  // Which roles may use which manager commands and reaction rules, and how much they may grant.
+  const permissionsFile = setting('PERMISSIONS') || DEFAULT_PERMISSIONS_PATH;
+  let permissionConfig;
+  try {
+    permissionConfig = loadPermissions(permissionsFile);
+  } catch (e) {
+    throw new Error(`Invalid permissions (${permissionsFile}): ${e.message}`);
+  }
+  const permissions = createPermissions(permissionConfig, { managerRoleId: guildId => config.get('MANAGER_ROLE_ID', guildId) });
+  if (!permissionConfig) {
+    for (const guildId of config.guildIds().filter(id => !config.get('MANAGER_ROLE_ID', id))) {
+      console.warn(`[Permissions] No permissions.json and no MANAGER_ROLE_ID for guild ${guildId}: nobody there may use manager commands.`);
+    }
+  }
+
+  // Grants, schedules and recognitions over APPROVAL_THRESHOLD wait for a second manager.
+  const approvals = createApprovalRequests({ client, config, permissions, isDryRun });
+
+  // Scheduled payouts; commands/schedule.js says how a run pays (scheduler.onRun).
+  const schedules = createScheduleStore();
+  const scheduler = createScheduler({ schedules });
+
+  return {
+    client,
+    config,       // lib/config.js
+    communities,  // lib/communities.js; communities.for(guildId) -> { gsa, links, mutatePlayerTokens, ... }
+    // GUILD_ID's community, for code that has no guild to go by
+    gsa: communities.main.gsa,
+    links: communities.main.links,
+    mutatePlayerTokens: communities.main.mutatePlayerTokens,
+    previewTokens,
+    outbox,
+    enqueueForPlayer,
+    isDryRun,
+    audit,        // lib/audit-log.js
+    trades,       // lib/trade-journal.js
+    rewards,      // lib/reward-ledger.js
+    milestones,   // lib/helper-milestones.js
+    permissions,  // lib/permissions.js
+    approvals,    // lib/approval-requests.js
+    schedules,    // lib/payout-schedule.js
+    scheduler,
+    commands: new Collection(), // command name -> module
+    modules: [],                // every loaded command module
+    onJob(kind, handlers) {
+      if (jobHandlers.has(kind)) throw new Error(`Outbox job kind "${kind}" is already handled`);
+      jobHandlers.set(kind, handlers);
+    },
+  };
+}
+
+function moduleFiles(dir) {
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return [];
+  return fs.readdirSync(full).filter(f => f.endsWith('.js')).map(f => path.join(full, f));
+}
+
+// Requires commands/*.js and events/*.js, runs their init() and subscribes the events on ctx.client.
+function loadModules(ctx) {
+  for (const file of moduleFiles('commands')) {
+    const mod = require(file);
+    for (const data of [].concat(mod.data)) {
+      if (ctx.commands.has(data.name)) throw new Error(`Command /${data.name} is defined twice (${file})`);
+      ctx.commands.set(data.name, mod);
+    }
+    mod.init?.(ctx);
+    ctx.modules.push(mod);
+  }
+
+  for (const file of moduleFiles('events')) {
+    const event = require(file);
+    event.init?.(ctx);
+    const listener = (...args) => Promise.resolve(event.execute(...args, ctx))
+      .catch(e => console.error(`[${event.name}] Unhandled error`, e));
+    if (event.once) ctx.client.once(event.name, listener);
+    else ctx.client.on(event.name, listener);
+  }
+}
+
+module.exports = { createContext, loadModules };
@@ -0,0 +1,91 @@
+/**
+ * Bulk token grants
+ * ------------------------------------------------------
+ * Pays a list of players one after another: resolve each Discord id to its
+ * GSA player, queue the mutation per player (lib/player-queue.js) and sort
+ * the outcome into
+ *
+ *   paid     -> GSA confirmed the mutation
+ *   queued   -> GSA did not answer; the outbox keeps retrying it
+ *   skipped  -> no GSA player linked to that Discord id
+ *   failed   -> GSA refused it, or the lookup failed
+ *
+ * Used by /tokens bulk and /tokens import; every entry carries its own amount
+ * and reason. Passing a mutatePlayerTokens that sends nothing turns a run
+ * into a preview.
+ */
+
+/**
+ * @param {object[]} entries   [{ discordId?, uuid?, amount, reason }]
+ * @param {object} deps        { gsa, enqueueForPlayer, mutatePlayerTokens, by, actorId?, ref?, guildId?, onProgress? }
+ *   gsa, mutatePlayerTokens  of the guild's GSA community (lib/communities.js)
+ *   by          who started it, for the job labels
+ *   actorId     their Discord id, ref what the run was (e.g. 'bulk') and guildId where, for the audit log
+ *   onProgress  (done, total) after every entry
+ */
+async function runBulkGrant(entries, { gsa, enqueueForPlayer, mutatePlayerTokens, by, actorId = null, ref = 'bulk', guildId = null, onProgress }) {
+  const result = { paid: [], queued: [], skipped: [], failed: [] };
+
+  for (const [i, entry] of entries.entries()) {
+    const who = entry.discordId ? `<@${entry.discordId}>` : `\`${entry.uuid}\``;
+    try {
+      const player = entry.uuid
+        ? { uuid: entry.uuid, username: entry.uuid }
+        : await gsa.findPlayerByServiceId(entry.discordId);
+      if (!player) {
+        result.skipped.push({ ...entry, who });
+      } else {
+        const verb = entry.amount >= 0 ? 'Granted' : 'Removed';
+        const label = `${verb} ${Math.abs(entry.amount)} tokens for ${player.username} by ${by} (bulk)`;
+        const meta = {
+          guildId,
+          audit: {
+            action: entry.amount >= 0 ? 'grant' : 'removal',
+            actor: { id: actorId, name: by },
+            player: { id: entry.discordId || null, name: player.username },
+            ref,
+          },
+        };
+        const outcome = await enqueueForPlayer(player.uuid, () =>
+          mutatePlayerTokens(player.uuid, entry.amount, entry.reason, { label, meta }));
+        const row = { ...entry, who, player };
+        if (outcome.status === 'done') result.paid.push(row);
+        else if (outcome.status === 'pending') result.queued.push(row);
+        else result.failed.push({ ...row, error: outcome.job?.lastError || outcome.error?.message });
+      }
+    } catch (e) {
+      result.failed.push({ ...entry, who, error: e?.message || String(e) });
+    }
+    try { onProgress?.(i + 1, entries.length); } catch {}
+  }
+
+  return result;
+}
+
+// Tokens that went out or are queued to, for the sender's daily cap.
+function tokensSent({ paid, queued }) {
+  return [...paid, ...queued].reduce((sum, r) => sum + Math.abs(r.amount), 0);
+}
+
+function total(rows) {
+  return rows.reduce((sum, r) => sum + r.amount, 0);
+}
+
+// Discord caps a message at 2000 characters; long name lists are cut short.
+function listOf(rows, fmt, max = 350) {
+  const text = rows.map(fmt).join(', ');
+  return text.length > max ? `${text.slice(0, max).replace(/,[^,]*$/, '')}, … (+more)` : text;
+}
+
+// paidVerb: 'Will pay' for previews
+function formatBulkSummary(result, { title = 'Bulk grant', paidVerb = 'Paid' } = {}) {
+  const { paid, queued, skipped, failed } = result;
+  const lines = [`📦 **${title}** – ${paid.length + queued.length + skipped.length + failed.length} player(s)`];
+  if (paid.length) lines.push(`✅ ${paidVerb} ${paid.length} (${total(paid)} tokens): ${listOf(paid, r => r.who)}`);
+  if (queued.length) lines.push(`⏳ Queued for retry ${queued.length}: ${listOf(queued, r => r.who)}`);
+  if (skipped.length) lines.push(`⏭️ Skipped (not linked) ${skipped.length}: ${listOf(skipped, r => r.who)}`);
+  if (failed.length) lines.push(`❌ Failed ${failed.length}: ${listOf(failed, r => `${r.who} (${r.error || 'unknown'})`, 600)}`);
+  return lines.join('\n');
+}
+
+module.exports = { runBulkGrant, formatBulkSummary, tokensSent };
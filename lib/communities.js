@@ -0,0 +1,139 @@
+/**
+ * GSA communities
+ * ------------------------------------------------------
+ * Every guild the bot serves belongs to one GameServerApp community: the
+ * GSA_API_URL, GSA_API_KEY, AUTH_TOKEN and GSA_BALANCE_FIELDS it gets from
+ * lib/config.js. Guilds with the same values share a community; a sister
+ * server with its own key in config.json gets its own:
+ *
+ *   - a GSA client, with player lookups cached in a link file of its own
+ *     (the same Discord id is a different GSA player in every community),
+ *   - outbox transports "gsa:<guild id>" and "webhook:<guild id>" carrying
+ *     its keys, so a queued job is retried against the right community.
+ *
+ * The community of GUILD_ID keeps the plain "gsa" / "webhook" transports
+ * and player-links.json, so jobs and links from before keep working. A guild
+ * the config doesn't name has no community: for() returns null and the bot
+ * ignores what happens there.
+ *
+ *   const { gsa, mutatePlayerTokens, taskJob } = communities.for(interaction.guildId);
+ */
+
+const axios = require('axios');
+const { createGsaClient } = require('./gsa-client');
+const { createPlayerLinks } = require('./player-links');
+const { createFixtureAdapter } = require('./gsa-fixtures');
+
+// Guilds agreeing on all of these share a community.
+const COMMUNITY_SETTINGS = ['GSA_API_URL', 'GSA_API_KEY', 'AUTH_TOKEN', 'GSA_BALANCE_FIELDS'];
+
+/**
+ * @param {object} opts
+ * @param {object} opts.config     lib/config.js
+ * @param {function} opts.submit   (job spec) => outbox outcome; token mutations go through it
+ */
+function createCommunities({ config, submit }) {
+  const byKey = new Map();   // settings of COMMUNITY_SETTINGS -> community
+  const byGuild = new Map(); // guild id -> community
+
+  function build(guildId, isMain) {
+    const setting = name => config.get(name, guildId);
+    const suffix = isMain ? '' : `:${guildId}`;
+
+    // Every community records to / replays from its own fixture file.
+    const fixtureFile = setting('GSA_FIXTURE_FILE') || 'gsa-fixtures.json';
+    const http = axios.create({
+      baseURL: setting('GSA_API_URL'),
+      adapter: setting('GSA_FIXTURES')
+        ? createFixtureAdapter(setting('GSA_FIXTURES'), isMain ? fixtureFile : fixtureFile.replace(/(\.json)?$/, `-${guildId}.json`))
+        : undefined,
+      headers: {
+        Authorization: `Bearer ${setting('GSA_API_KEY')}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      timeout: 15_000,
+    });
+    const client = createGsaClient({ http, balanceFields: setting('GSA_BALANCE_FIELDS') || undefined, transport: `gsa${suffix}` });
+
+    // "Which player is this Discord id?" is answered from the link cache; everything else goes to GSA.
+    const links = createPlayerLinks({
+      gsa: client,
+      ttlMs: setting('LINK_CACHE_HOURS') * 60 * 60_000,
+      missTtlMs: setting('LINK_MISS_SECONDS') * 1000,
+      name: isMain ? 'player-links.json' : `player-links-${guildId}.json`,
+    });
+    const gsa = { ...client, findPlayerByServiceId: links.find, getLinkedPlayer: links.getLinked };
+
+    // Reward webhooks and GSA task executions authenticate with AUTH_TOKEN.
+    const webhook = axios.create({
+      headers: {
+        Authorization: `Bearer ${setting('AUTH_TOKEN')}`,
+        'Content-Type': 'application/json',
+      },
+      timeout: 15_000,
+    });
+
+    // Outbox job executing a GSA task for a Discord id (reaction rewards, shop items).
+    // GSA_DASH_URL may differ between the guilds of one community, hence `guildId`.
+    function taskJob(taskId, serviceId, data, guildId) {
+      return {
+        transport: `webhook${suffix}`,
+        url: `${config.get('GSA_DASH_URL', guildId)}/system-api/v2/task/${taskId}/execute?service_id=${serviceId}`,
+        data,
+        queueKey: String(serviceId),
+        label: `task ${taskId} for ${serviceId}`,
+      };
+    }
+
+    // Resolves to the outbox outcome: { status: 'done' | 'pending' | 'dead', response?, error?, job? }
+    function mutatePlayerTokens(playerUuid, amount, description, { id, label, meta } = {}) {
+      const job = gsa.mutateTokensJob(playerUuid, amount, description);
+      return submit({ ...job, id, label: label || job.label, meta });
+    }
+
+    return {
+      id: isMain ? 'main' : guildId,
+      guildIds: [],
+      gsa,          // lib/gsa-client.js, player lookups cached by `links`
+      links,        // lib/player-links.js
+      http,
+      webhook,
+      transports: { gsa: `gsa${suffix}`, webhook: `webhook${suffix}` },
+      taskJob,
+      mutatePlayerTokens,
+    };
+  }
+
+  // config.guildIds() starts with GUILD_ID, so the first community built is the main one.
+  for (const guildId of config.guildIds()) {
+    const key = JSON.stringify(COMMUNITY_SETTINGS.map(name => config.get(name, guildId)));
+    if (!byKey.has(key)) byKey.set(key, build(guildId, byKey.size === 0));
+    byKey.get(key).guildIds.push(guildId);
+    byGuild.set(guildId, byKey.get(key));
+  }
+  const main = byGuild.get(config.get('GUILD_ID'));
+
+  // null for a guild the bot doesn't serve.
+  function forGuild(guildId) {
+    return byGuild.get(guildId) || null;
+  }
+
+  function list() {
+    return [...byKey.values()];
+  }
+
+  // name -> axios instance, for createOutbox()
+  function transports() {
+    return Object.fromEntries(list().flatMap(c => [[c.transports.gsa, c.http], [c.transports.webhook, c.webhook]]));
+  }
+
+  // Whose job is this? null for a transport no community has (anymore).
+  function byTransport(name) {
+    return list().find(c => c.transports.gsa === name || c.transports.webhook === name) || null;
+  }
+
+  return { main, for: forGuild, list, transports, byTransport };
+}
+
+module.exports = { createCommunities };
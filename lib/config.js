@@ -0,0 +1,322 @@
+/**
+ * Configuration
+ * ------------------------------------------------------
+ * Every setting the bot reads, in one schema. Values come from (strongest first)
+ *
+ *   1. the environment (.env)
+ *   2. config.json (CONFIG_FILE to point elsewhere)
+ *   3. the defaults below
+ *
+ * config.json uses the same names as .env, plus per-guild sections for the
+ * settings marked `guild`:
+ *
+ *   {
+ *     "AUDIT_CHANNEL_ID": "123",
+ *     "guilds": {
+ *       "<guild id>": { "MANAGER_ROLE_ID": "456", "APPROVAL_THRESHOLD": 500 }
+ *     }
+ *   }
+ *
+ * The old "token" / "clientId" / "guildId" keys still work.
+ *
+ * The bot serves GUILD_ID plus every guild with a section. A section with
+ * its own GSA_API_KEY (and GSA_API_URL / AUTH_TOKEN) is a separate GSA
+ * community: see lib/communities.js.
+ *
+ * createConfig() throws a ConfigError listing every missing or invalid value,
+ * so the bot refuses to start instead of failing on the first command.
+ * reload() re-reads config.json while running: settings read at use time
+ * (channels, roles, thresholds) change right away; those marked `restart`
+ * keep their old value until the next start, and reload() says which.
+ *
+ * Settings marked `envOnly` are refused in config.json: DATA_DIR is read by
+ * lib/json-store.js straight from the environment, since every store is
+ * opened before a config exists.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+
+// ---- SCHEMA ----------------------------------------------------------------
+// type: string | secret | id | url | int | number | bool | list | path | enum
+const SCHEMA = [
+  // Discord
+  { name: 'DISCORD_TOKEN', type: 'secret', required: true, restart: true, legacy: 'token' },
+  { name: 'DISCORD_APP_ID', type: 'id', required: true, restart: true, legacy: 'clientId' },
+  { name: 'GUILD_ID', type: 'id', required: true, restart: true, legacy: 'guildId' },
+  { name: 'AUDIT_CHANNEL_ID', type: 'id', guild: true },
+  { name: 'MANAGER_ROLE_ID', type: 'id', guild: true },
+  { name: 'ADMIN_ROLE_ID', type: 'id', restart: true, guild: true },
+
+  // GSA and rewards
+  { name: 'GSA_API_URL', type: 'url', default: 'https://api.gameserverapp.com', restart: true, guild: true },
+  { name: 'GSA_API_KEY', type: 'secret', required: true, restart: true, guild: true },
+  { name: 'GSA_BALANCE_FIELDS', type: 'list', restart: true, guild: true },
+  { name: 'GSA_FIXTURES', type: 'enum', values: ['record', 'replay'], restart: true },
+  { name: 'GSA_FIXTURE_FILE', type: 'path', restart: true },
+  { name: 'GSA_DASH_URL', type: 'url', default: 'https://dash.gameserverapp.com', guild: true },
+  { name: 'AUTH_TOKEN', type: 'secret', required: true, restart: true, guild: true },
+  { name: 'DRY_RUN', type: 'bool', default: false, restart: true },
+  { name: 'DATA_DIR', type: 'path', restart: true, envOnly: true },
+
+  // Rule files
+  { name: 'REACTION_RULES', type: 'path', restart: true, guild: true },
+  { name: 'TRADE_POLICY', type: 'path', restart: true },
+  { name: 'PERMISSIONS', type: 'path', restart: true },
+  { name: 'SHOP_CATALOG', type: 'path', restart: true, guild: true },
+  { name: 'HELPER_MILESTONES', type: 'path', restart: true, guild: true },
+
+  // /recognize, "Recognize helper"
+  { name: 'RECOGNIZE_RULE', type: 'string', guild: true },
+
+  // /trade
+  { name: 'TRADE_CONFIRM_SECONDS', type: 'int', min: 10, default: 60 },
+  { name: 'TRADE_ACCEPT_THRESHOLD', type: 'int', min: 0, default: 0, guild: true },
+  { name: 'TRADE_ACCEPT_SECONDS', type: 'int', min: 10, default: 300 },
+
+  // /shop
+  { name: 'SHOP_CONFIRM_SECONDS', type: 'int', min: 10, default: 60 },
+
+  // /tokens approvals
+  { name: 'APPROVAL_THRESHOLD', type: 'int', min: 0, default: 0, guild: true },
+  { name: 'APPROVAL_CHANNEL_ID', type: 'id', guild: true },
+  // Expiry is one setTimeout, and those can't wait longer than ~596 hours
+  { name: 'APPROVAL_HOURS', type: 'number', min: 0.01, max: 24 * 24, default: 24 },
+
+  // /leaderboard, /economy
+  { name: 'ECONOMY_REFRESH_MINUTES', type: 'number', min: 1, default: 30, restart: true },
+  { name: 'ECONOMY_HISTORY_DAYS', type: 'int', min: 1, default: 30, restart: true },
+  { name: 'ECONOMY_PAUSE_MS', type: 'int', min: 0, default: 250, restart: true },
+
+  // /link and the link cache
+  { name: 'LINK_URL', type: 'url', guild: true },
+  { name: 'LINK_CACHE_HOURS', type: 'number', min: 0, default: 24, restart: true },
+  { name: 'LINK_MISS_SECONDS', type: 'number', min: 0, default: 60, restart: true },
+];
+
+const BY_NAME = new Map(SCHEMA.map(s => [s.name, s]));
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// ---- PARSING ---------------------------------------------------------------
+// One raw value (string from .env, anything from JSON) -> { value } | { problem }
+function parseValue(setting, raw) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  const bad = what => ({ problem: `${setting.name}: ${JSON.stringify(raw)} ${what}` });
+
+  switch (setting.type) {
+    case 'secret':
+    case 'id':
+      // Placeholders like "youre bot token" or "discord server id" have spaces; real values never do
+      if (typeof text !== 'string' && typeof text !== 'number') return bad('must be a string');
+      if (/\s/.test(String(text))) return bad(setting.type === 'id' ? 'is not a Discord id' : 'looks like a placeholder');
+      return { value: String(text) };
+    case 'url':
+      try {
+        const url = new URL(String(text));
+        if (!/^https?:$/.test(url.protocol)) return bad('must be an http(s) URL');
+      } catch {
+        return bad('is not a URL');
+      }
+      return { value: String(text).replace(/\/+$/, '') };
+    case 'int':
+    case 'number': {
+      const n = Number(text);
+      if (text === '' || !Number.isFinite(n)) return bad('is not a number');
+      if (setting.type === 'int' && !Number.isInteger(n)) return bad('must be a whole number');
+      if (setting.min != null && n < setting.min) return bad(`must be at least ${setting.min}`);
+      if (setting.max != null && n > setting.max) return bad(`must be at most ${setting.max}`);
+      return { value: n };
+    }
+    case 'bool':
+      if (typeof text === 'boolean') return { value: text };
+      if (/^(1|true|yes|on)$/i.test(String(text))) return { value: true };
+      if (/^(0|false|no|off)$/i.test(String(text))) return { value: false };
+      return bad('must be true or false');
+    case 'list':
+      return { value: (Array.isArray(text) ? text : String(text).split(',')).map(s => String(s).trim()).filter(Boolean) };
+    case 'enum':
+      if (!setting.values.includes(text)) return bad(`must be one of ${setting.values.join(', ')}`);
+      return { value: text };
+    default:
+      return { value: String(text) };
+  }
+}
+
+const isUnset = v => v === undefined || v === null || v === '';
+
+/**
+ * Merges env, file and defaults and checks every value. Pure: nothing is thrown.
+ * @returns {{ values: object, guilds: object, problems: string[] }}
+ */
+function resolveConfig({ env = {}, file = {} } = {}) {
+  const problems = [];
+  const values = {};
+
+  for (const setting of SCHEMA) {
+    if (setting.envOnly && !isUnset(file[setting.name])) problems.push(`${setting.name}: can only be set in the environment (.env)`);
+    const fromFile = setting.envOnly ? [] : [file[setting.name], setting.legacy && file[setting.legacy]];
+    const raw = [env[setting.name], ...fromFile].find(v => !isUnset(v));
+    if (isUnset(raw)) {
+      if (setting.required) problems.push(`${setting.name}: missing`);
+      values[setting.name] = setting.default ?? null;
+      continue;
+    }
+    const parsed = parseValue(setting, raw);
+    if (parsed.problem) problems.push(parsed.problem);
+    values[setting.name] = parsed.problem ? setting.default ?? null : parsed.value;
+  }
+
+  const known = new Set([...BY_NAME.keys(), 'guilds', ...SCHEMA.map(s => s.legacy).filter(Boolean)]);
+  for (const key of Object.keys(file)) {
+    if (!known.has(key)) problems.push(`${key}: unknown setting in the config file`);
+  }
+
+  const guilds = {};
+  if (file.guilds != null && (typeof file.guilds !== 'object' || Array.isArray(file.guilds))) {
+    problems.push('guilds: must be an object of guild id -> settings');
+  } else {
+    for (const [guildId, section] of Object.entries(file.guilds || {})) {
+      guilds[guildId] = {};
+      for (const [key, raw] of Object.entries(section || {})) {
+        const setting = BY_NAME.get(key);
+        if (!setting?.guild) {
+          problems.push(`guilds.${guildId}.${key}: ${setting ? 'cannot be set per guild' : 'unknown setting'}`);
+          continue;
+        }
+        if (isUnset(raw)) continue;
+        const parsed = parseValue(setting, raw);
+        if (parsed.problem) problems.push(`guilds.${guildId}.${parsed.problem}`);
+        else guilds[guildId][key] = parsed.value;
+      }
+    }
+  }
+
+  return { values, guilds, problems };
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return { data: {} };
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { data: {}, problem: `${file}: must contain a JSON object` };
+    return { data };
+  } catch (e) {
+    return { data: {}, problem: `${file}: ${e.message}` };
+  }
+}
+
+// ---- CONFIG ----------------------------------------------------------------
+/**
+ * @param {object} [opts]
+ * @param {object} [opts.env]    usually process.env
+ * @param {string} [opts.file]   config.json path (default: CONFIG_FILE or ./config.json)
+ */
+function createConfig({ env = process.env, file = env.CONFIG_FILE || DEFAULT_CONFIG_PATH } = {}) {
+  function load() {
+    const { data, problem } = readConfigFile(file);
+    const resolved = resolveConfig({ env, file: data });
+    if (problem) resolved.problems.unshift(problem);
+    return resolved;
+  }
+
+  let current = load();
+  if (current.problems.length) throw new ConfigError(current.problems);
+
+  const listeners = [];
+  let watcher = null;
+
+  // A guild's own value when config.json has one, else the global one.
+  function get(name, guildId) {
+    const setting = BY_NAME.get(name);
+    if (!setting) throw new Error(`Unknown setting ${name}`);
+    const own = guildId && setting.guild ? current.guilds[guildId]?.[name] : undefined;
+    return own !== undefined ? own : current.values[name];
+  }
+
+  // GUILD_ID first, then every guild with a section in config.json.
+  function guildIds() {
+    return [...new Set([current.values.GUILD_ID, ...Object.keys(current.guilds)])];
+  }
+
+  /**
+   * Re-reads config.json. An invalid file changes nothing.
+   * @returns {{ ok: boolean, problems: string[], changed: string[], needsRestart: string[] }}
+   */
+  function reload() {
+    const next = load();
+    if (next.problems.length) return { ok: false, problems: next.problems, changed: [], needsRestart: [] };
+
+    const changed = [];
+    const needsRestart = [];
+    for (const setting of SCHEMA) {
+      if (JSON.stringify(next.values[setting.name]) === JSON.stringify(current.values[setting.name])) continue;
+      if (setting.restart) {
+        needsRestart.push(setting.name);
+        next.values[setting.name] = current.values[setting.name];
+      } else {
+        changed.push(setting.name);
+      }
+    }
+    // Same for guild sections; a guild added now is served (commands, GSA community) after a restart.
+    for (const guildId of new Set([...Object.keys(current.guilds), ...Object.keys(next.guilds)])) {
+      if (!current.guilds[guildId] !== !next.guilds[guildId]) needsRestart.push(`guilds.${guildId}`);
+      const before = current.guilds[guildId] || {};
+      const after = (next.guilds[guildId] ||= {});
+      for (const setting of SCHEMA.filter(s => s.guild && s.restart)) {
+        if (JSON.stringify(after[setting.name]) === JSON.stringify(before[setting.name])) continue;
+        needsRestart.push(`guilds.${guildId}.${setting.name}`);
+        if (before[setting.name] === undefined) delete after[setting.name];
+        else after[setting.name] = before[setting.name];
+      }
+    }
+    if (JSON.stringify(next.guilds) !== JSON.stringify(current.guilds)) changed.push('guilds');
+
+    current = next;
+    if (changed.length) listeners.forEach(fn => fn(changed));
+    return { ok: true, problems: [], changed, needsRestart };
+  }
+
+  // Logs what a reload did; used by watch() and SIGHUP in index.js.
+  function reloadAndLog() {
+    const result = reload();
+    if (!result.ok) {
+      console.error(`[Config] ${file} is invalid, keeping the running settings:\n${result.problems.map(p => `  - ${p}`).join('\n')}`);
+    } else {
+      if (result.changed.length) console.log(`[Config] Reloaded: ${result.changed.join(', ')}`);
+      if (result.needsRestart.length) console.warn(`[Config] Restart to apply: ${result.needsRestart.join(', ')}`);
+    }
+    return result;
+  }
+
+  // Polls config.json for changes; the timer doesn't keep the process alive.
+  function watch({ intervalMs = 2_000 } = {}) {
+    if (watcher) return;
+    watcher = fs.watchFile(file, { interval: intervalMs, persistent: false }, (now, before) => {
+      if (now.mtimeMs !== before.mtimeMs) reloadAndLog();
+    });
+  }
+
+  function unwatch() {
+    if (!watcher) return;
+    fs.unwatchFile(file);
+    watcher = null;
+  }
+
+  // fn(changedNames) after every reload that changed something.
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  return { file, get, guildIds, reload, reloadAndLog, watch, unwatch, onChange };
+}
+
+module.exports = { SCHEMA, DEFAULT_CONFIG_PATH, ConfigError, resolveConfig, createConfig };
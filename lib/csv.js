@@ -0,0 +1,56 @@
+/**
+ * CSV helpers
+ * ------------------------------------------------------
+ * Just enough CSV for spreadsheet round-trips (Excel, Google Sheets):
+ * comma or semicolon separated, double-quoted fields with "" escapes,
+ * CRLF or LF line endings, optional UTF-8 BOM.
+ */
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+// -> array of rows (arrays of strings); blank lines are dropped
+function parseCsv(text) {
+  const src = text.replace(/^﻿/, '');
+  const delimiter = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.map(r => r.map(f => f.trim())).filter(r => r.some(f => f !== ''));
+}
+
+function escapeField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: array of arrays; the first one is usually the header
+function toCsv(rows) {
+  return rows.map(r => r.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,147 @@
+/**
+ * Economy snapshot
+ * ------------------------------------------------------
+ * /leaderboard and /economy stats read from a snapshot instead of asking
+ * GSA on every command: one pass over the guild's linked members collects
+ * each balance plus the last `historyDays` of transactions, bucketed per UTC
+ * day. Snapshots are kept in DATA_DIR/economy.json (one per guild) and
+ * rebuilt in the background every `refreshMs`:
+ *
+ *   {
+ *     guildId, builtAt, members, linked, failed,
+ *     holders: [{ discordId, username, uuid, balance }],   // richest first
+ *     days: { 'YYYY-MM-DD': { granted, removed, traded } }
+ *   }
+ *
+ * A pass goes one player at a time with `pauseMs` in between, so a big
+ * guild is a slow trickle of reads rather than a burst.
+ */
+
+const { openStore } = require('./json-store');
+const { classifyTransaction } = require('./token-transactions');
+
+const DAY_MS = 86_400_000;
+const HISTORY_MAX_PAGES = 5; // x 100 transactions per player
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const dayOf = ms => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * @param {object} deps
+ * @param {object} deps.client       discord.js client
+ * @param {function} deps.guildIds  () => the guilds to snapshot (config.guildIds())
+ * @param {function} deps.gsaFor    (guildId) => lib/gsa-client.js of that guild's community, if it has one yet
+ * @param {number} [deps.refreshMs]  how old a snapshot may get
+ * @param {number} [deps.historyDays]
+ * @param {number} [deps.pauseMs]    pause between players
+ */
+function createEconomySnapshots({ client, guildIds, gsaFor, refreshMs = 30 * 60_000, historyDays = 30, pauseMs = 250 }) {
+  const store = openStore('economy.json', { guilds: {} });
+  const building = new Map(); // guildId -> promise of the pass in progress
+  let timer = null;
+
+  async function addHistory(gsa, uuid, since, days) {
+    for (let page = 1; page <= HISTORY_MAX_PAGES; page++) {
+      const list = (await gsa.getPlayerTokenHistory(uuid, 100, page))?.data || [];
+      for (const tx of list) {
+        const at = Date.parse(tx.date);
+        if (!(at >= since)) continue;
+        const value = Number(tx.transaction_value) || 0;
+        const day = (days[dayOf(at)] ||= { granted: 0, removed: 0, traded: 0 });
+        const kind = classifyTransaction(tx);
+        if (kind === 'grant') day.granted += value;
+        else if (kind === 'removal') day.removed -= value;
+        else if (value < 0) day.traded -= value; // what senders paid, fees included
+      }
+      if (list.length < 100 || Date.parse(list.at(-1)?.date) < since) return;
+    }
+  }
+
+  async function build(guildId) {
+    const guild = client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId);
+    const gsa = gsaFor(guildId);
+    if (!gsa) throw new Error(`Guild ${guildId} has no GSA community until the bot restarts`);
+    const members = [...(await guild.members.fetch()).values()].filter(m => !m.user?.bot);
+    const since = Date.now() - historyDays * DAY_MS;
+    const holders = [];
+    const days = {};
+    let failed = 0;
+
+    for (const m of members) {
+      try {
+        const player = await gsa.findPlayerByServiceId(m.id);
+        if (!player) continue;
+        const balance = await gsa.getPlayerTokenBalance(player.uuid);
+        holders.push({ discordId: m.id, username: player.username, uuid: player.uuid, balance });
+        await addHistory(gsa, player.uuid, since, days);
+      } catch (e) {
+        if (e.code === 'auth_failed') throw e; // every other player would fail the same way
+        failed++;
+        console.error(`[Economy] Skipped ${m.id}: ${e.message}`);
+      }
+      if (pauseMs) await sleep(pauseMs);
+    }
+
+    holders.sort((a, b) => b.balance - a.balance);
+    const snapshot = { guildId, builtAt: Date.now(), members: members.length, linked: holders.length, failed, holders, days };
+    store.data.guilds[guildId] = snapshot;
+    store.save();
+    console.log(`[Economy] Snapshot of ${guildId}: ${holders.length} linked of ${members.length} member(s)`);
+    return snapshot;
+  }
+
+  // One pass per guild at a time; callers asking meanwhile share it.
+  function refresh(guildId) {
+    if (!building.has(guildId)) {
+      building.set(guildId, build(guildId).finally(() => building.delete(guildId)));
+    }
+    return building.get(guildId);
+  }
+
+  function get(guildId) {
+    return store.data.guilds[guildId] || null;
+  }
+
+  function isBuilding(guildId) {
+    return building.has(guildId);
+  }
+
+  // Totals for the last `periodDays` UTC calendar days of a snapshot, the day it was built included.
+  function totals(snapshot, periodDays) {
+    const since = dayOf(snapshot.builtAt - (periodDays - 1) * DAY_MS);
+    const sum = { supply: 0, granted: 0, removed: 0, traded: 0 };
+    for (const h of snapshot.holders) sum.supply += h.balance;
+    for (const [day, d] of Object.entries(snapshot.days)) {
+      if (day < since) continue;
+      sum.granted += d.granted;
+      sum.removed += d.removed;
+      sum.traded += d.traded;
+    }
+    return sum;
+  }
+
+  // Rebuild stale snapshots of every guild the bot serves; failures wait for the next round.
+  async function refreshStale() {
+    for (const guildId of guildIds()) {
+      const s = get(guildId);
+      if (s && Date.now() - s.builtAt < refreshMs) continue;
+      try { await refresh(guildId); } catch (e) { console.error(`[Economy] Snapshot of ${guildId} failed`, e); }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(refreshStale, Math.min(refreshMs, 5 * 60_000));
+    timer.unref?.();
+    refreshStale();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { get, refresh, isBuilding, totals, start, stop };
+}
+
+module.exports = { createEconomySnapshots };
@@ -0,0 +1,68 @@
+/**
+ * Grant approvals
+ * ------------------------------------------------------
+ * Grants and removals over APPROVAL_THRESHOLD are not sent right away: they
+ * wait here until a second manager approves them (or they expire). Nothing
+ * has reached GSA yet, so a pending request is just a list of entries in the
+ * same shape lib/bulk-grant.js pays:
+ *
+ *   { id, kind, title, entries: [{ discordId | uuid, amount, reason }], data, total,
+ *     requestedBy: { id, name }, guildId, channelId, messageId, createdAt, expiresAt }
+ *
+ * kind says what approving it does (lib/approval-requests.js): "grant" pays
+ * the entries, other kinds use `data` and show the entries for the total.
+ *
+ * Kept in DATA_DIR/approvals.json, so a restart neither forgets a request
+ * nor lets it run twice: claim() removes it before anyone pays it out.
+ */
+
+const crypto = require('node:crypto');
+const { openStore } = require('./json-store');
+
+// Tokens a request moves, removals counted like grants.
+function approvalTotal(entries) {
+  return entries.reduce((sum, e) => sum + Math.abs(e.amount), 0);
+}
+
+function createApprovalStore(name = 'approvals.json') {
+  const store = openStore(name, { requests: {} });
+  const { requests } = store.data;
+
+  function create(r, now = Date.now()) {
+    let id;
+    do id = crypto.randomUUID().slice(0, 6); while (requests[id]);
+    const request = { ...r, id, total: approvalTotal(r.entries), createdAt: now };
+    requests[id] = request;
+    store.save();
+    return request;
+  }
+
+  function get(id) {
+    return requests[id] || null;
+  }
+
+  function patch(id, fields) {
+    const r = requests[id];
+    if (!r) throw new Error(`Unknown approval ${id}`);
+    Object.assign(r, fields);
+    store.save();
+    return r;
+  }
+
+  // Takes a request out for good: whoever gets it back is the only one acting on it.
+  function claim(id) {
+    const r = requests[id];
+    if (!r) return null;
+    delete requests[id];
+    store.save();
+    return r;
+  }
+
+  function list() {
+    return Object.values(requests).sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+
+  return { create, get, patch, claim, list };
+}
+
+module.exports = { approvalTotal, createApprovalStore };
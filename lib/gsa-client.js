@@ -0,0 +1,211 @@
+/**
+ * GameServerApp System API client
+ * ------------------------------------------------------
+ * The one place that knows GSA's endpoints and response shapes. Every
+ * failure is turned into a GsaError with a `code` callers can switch on:
+ *
+ *   not_linked    -> no GSA player has this Discord id linked
+ *   not_found     -> 404 (unknown player uuid, endpoint missing in this deployment)
+ *   rate_limited  -> 429; `retryAfterMs` says how long to wait
+ *   auth_failed   -> 401 / 403, GSA_API_KEY is wrong or lacks permissions
+ *   unavailable   -> network error, timeout or 5xx
+ *   bad_response  -> GSA answered, but not with what we asked for (e.g. no balance field)
+ *   request_failed-> any other 4xx
+ *
+ * The original axios error stays on `cause` and its `response` is kept, so
+ * `err.response?.data` logging keeps working.
+ *
+ * Token balances are read from the first numeric field in GSA_BALANCE_FIELDS
+ * (comma separated dotted paths into the player details), then from a deep
+ * scan of the details, then from the /stats and /token-balance endpoints.
+ *
+ * Mutations are not sent from here: mutateTokensJob() describes the call and
+ * the outbox (lib/outbox.js) sends and retries it on the "gsa" transport
+ * (or the transport of another GSA community, see lib/communities.js).
+ */
+
+const DEFAULT_BALANCE_FIELDS = [
+  'stats.token_balance',
+  'stats.tokens',
+  'wallet.tokens',
+  'economy.tokens',
+  'token_balance',
+  'tokens',
+  'balance',
+  'currency.tokens',
+];
+
+const BALANCE_KEY = /(token_?balance|tokens|balance|credits|points)/i;
+
+class GsaError extends Error {
+  constructor(code, message, { cause, status, retryAfterMs } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GsaError';
+    this.code = code;
+    this.status = status ?? null;
+    this.retryAfterMs = retryAfterMs ?? null;
+    this.response = cause?.response;
+  }
+}
+
+function toGsaError(error, what) {
+  if (error instanceof GsaError) return error;
+  const status = error?.response?.status;
+  const apiMsg = error?.response?.data?.error || error?.response?.data?.message;
+  const detail = `${what}: ${[status && `HTTP ${status}`, apiMsg || error?.message].filter(Boolean).join(' – ')}`;
+
+  if (!status || status >= 500) return new GsaError('unavailable', detail, { cause: error, status });
+  if (status === 401 || status === 403) return new GsaError('auth_failed', detail, { cause: error, status });
+  if (status === 404) return new GsaError('not_found', detail, { cause: error, status });
+  if (status === 429) {
+    const seconds = Number(error.response.headers?.['retry-after']);
+    const retryAfterMs = Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+    return new GsaError('rate_limited', detail, { cause: error, status, retryAfterMs });
+  }
+  return new GsaError('request_failed', detail, { cause: error, status });
+}
+
+function parseBalanceFields(value) {
+  if (!value) return DEFAULT_BALANCE_FIELDS;
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function pick(obj, dotted) {
+  return dotted.split('.').reduce((cur, key) => (cur == null ? undefined : cur[key]), obj);
+}
+
+function findFirstNumericByKey(obj, keysRegex = BALANCE_KEY) {
+  const stack = [obj];
+  while (stack.length) {
+    const cur = stack.pop();
+    if (!cur || typeof cur !== 'object') continue;
+    for (const [k, v] of Object.entries(cur)) {
+      if (typeof v === 'number' && keysRegex.test(k)) return { value: v, path: k };
+      if (v && typeof v === 'object') stack.push(v);
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.http              axios instance with baseURL and the API key
+ * @param {string[]|string} [opts.balanceFields] dotted paths tried in order (GSA_BALANCE_FIELDS)
+ * @param {string} [opts.transport]       outbox transport carrying this community's API key
+ */
+function createGsaClient({ http, balanceFields, transport = 'gsa' }) {
+  const fields = Array.isArray(balanceFields) ? balanceFields : parseBalanceFields(balanceFields);
+
+  async function call(what, method, url, { data, params } = {}) {
+    try {
+      const res = await http.request({ method, url, data, params });
+      return res.data;
+    } catch (e) {
+      throw toGsaError(e, what);
+    }
+  }
+
+  // Resolves to null when nobody has this Discord id linked.
+  async function findPlayerByServiceId(serviceId) {
+    const data = await call('players/find', 'post', '/system-api/v2/players/find', { data: { service_id: String(serviceId) } });
+    return data?.data?.[0] || null; // { uuid, username, ... }
+  }
+
+  // Like findPlayerByServiceId, but a missing link is a not_linked error.
+  async function getLinkedPlayer(serviceId) {
+    const player = await findPlayerByServiceId(serviceId);
+    if (!player) throw new GsaError('not_linked', `No GSA player linked to ${serviceId}`);
+    return player;
+  }
+
+  // Deployments differ: try with stats, without, then the plural path. Auth and rate limits are not retried here.
+  async function getPlayerDetails(playerUuid) {
+    const attempts = [
+      [`/system-api/v2/player/${playerUuid}`, { include: 'stats' }],
+      [`/system-api/v2/player/${playerUuid}`, undefined],
+      [`/system-api/v2/players/${playerUuid}`, undefined],
+    ];
+    let lastError;
+    for (const [url, params] of attempts) {
+      try {
+        const data = await call('player details', 'get', url, { params });
+        return data?.data || data || null;
+      } catch (e) {
+        if (e.code === 'auth_failed' || e.code === 'rate_limited') throw e;
+        lastError = e;
+      }
+    }
+    throw lastError;
+  }
+
+  // Every configured balance field with its value, for /baldebug.
+  function balanceFieldsOf(details) {
+    return Object.fromEntries(fields.map(f => [f, pick(details, f)]));
+  }
+
+  async function getPlayerTokenBalance(playerUuid) {
+    let details = null;
+    try {
+      details = await getPlayerDetails(playerUuid);
+    } catch (e) {
+      if (e.code === 'auth_failed' || e.code === 'rate_limited') throw e;
+    }
+    if (details) {
+      const picked = fields.map(f => pick(details, f)).find(v => typeof v === 'number');
+      if (typeof picked === 'number') return picked;
+      const found = findFirstNumericByKey(details);
+      if (found) return found.value;
+    }
+
+    // Dedicated endpoints (if present in your deployment)
+    try {
+      const data = await call('player stats', 'get', `/system-api/v2/player/${playerUuid}/stats`);
+      const v = data?.data?.token_balance ?? data?.data?.tokens ?? data?.token_balance ?? data?.tokens;
+      if (typeof v === 'number') return v;
+    } catch (e) {
+      if (e.code === 'auth_failed' || e.code === 'rate_limited') throw e;
+    }
+    try {
+      const data = await call('token-balance', 'get', `/system-api/v2/player/${playerUuid}/token-balance`);
+      const v = data?.data ?? data;
+      if (typeof v === 'number') return v;
+    } catch (e) {
+      if (e.code === 'auth_failed' || e.code === 'rate_limited') throw e;
+    }
+
+    throw new GsaError('bad_response', `Unable to fetch token balance for ${playerUuid}`);
+  }
+
+  async function getPlayerTokenHistory(playerUuid, limit = 10, page = 1) {
+    return call('token-transactions', 'get', `/system-api/v2/player/${playerUuid}/token-transactions`, {
+      params: { per_page: Math.max(1, Math.min(100, limit)), page },
+    });
+  }
+
+  // Outbox job spec for a token mutation; add id / label / meta and submit it.
+  function mutateTokensJob(playerUuid, amount, description) {
+    return {
+      transport,
+      url: `/system-api/v2/player/${playerUuid}/mutate-tokens`,
+      data: {
+        amount: Number(amount),
+        description: description || undefined,
+      },
+      queueKey: playerUuid,
+      label: `mutate ${amount} tokens for ${playerUuid}`,
+    };
+  }
+
+  return {
+    http,
+    findPlayerByServiceId,
+    getLinkedPlayer,
+    getPlayerDetails,
+    getPlayerTokenBalance,
+    getPlayerTokenHistory,
+    balanceFieldsOf,
+    mutateTokensJob,
+  };
+}
+
+module.exports = { createGsaClient, GsaError, toGsaError, DEFAULT_BALANCE_FIELDS, findFirstNumericByKey };
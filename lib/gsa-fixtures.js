@@ -0,0 +1,94 @@
+/**
+ * GSA record / replay fixtures
+ * ------------------------------------------------------
+ * An axios adapter that either records every GSA answer to a JSON file
+ * (GSA_FIXTURES=record) or answers from that file without any network
+ * (GSA_FIXTURES=replay). GSA_FIXTURE_FILE picks the file (default
+ * DATA_DIR/gsa-fixtures.json).
+ *
+ * Requests are keyed by method, path (without the host), query and body, so
+ * a recording made against a local fake server replays against any baseURL.
+ * The same request may be recorded several times (a balance before and after
+ * a mutation); replay hands the answers out in order and repeats the last one.
+ * A request that was never recorded fails with HTTP 599 in replay mode.
+ */
+
+const axios = require('axios');
+const { openStore } = require('./json-store');
+
+function requestKey(config) {
+  const url = new URL(config.url, config.baseURL || 'http://gsa.local');
+  const params = Object.entries(config.params || {})
+    .filter(([, v]) => v !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  const query = [url.search.slice(1), params].filter(Boolean).join('&');
+  const body = config.data == null ? '' : ` ${typeof config.data === 'string' ? config.data : JSON.stringify(config.data)}`;
+  return `${(config.method || 'get').toUpperCase()} ${url.pathname}${query ? `?${query}` : ''}${body}`;
+}
+
+// The adapter sees the raw body; keep JSON readable in the fixture file.
+function parseBody(data) {
+  if (typeof data !== 'string') return data;
+  try { return JSON.parse(data); } catch { return data; }
+}
+
+function toResponse(config, entry) {
+  return { data: entry.data, status: entry.status, statusText: '', headers: entry.headers || {}, config, request: {} };
+}
+
+// Same outcome axios would give for this status (validateStatus included).
+function settle(config, response) {
+  const valid = config.validateStatus ? config.validateStatus(response.status) : response.status < 400;
+  if (valid) return response;
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config, null, response
+  );
+}
+
+/**
+ * @param {'record'|'replay'} mode
+ * @param {string} [file] fixture file (absolute, or relative to DATA_DIR)
+ */
+function createFixtureAdapter(mode, file = 'gsa-fixtures.json') {
+  if (!['record', 'replay'].includes(mode)) throw new Error(`Unknown GSA_FIXTURES mode "${mode}"`);
+  const store = openStore(file, { requests: {} });
+  const { requests } = store.data;
+  const cursors = new Map();
+
+  if (mode === 'replay') {
+    return async config => {
+      const key = requestKey(config);
+      const answers = requests[key];
+      if (!answers?.length) {
+        return settle(config, toResponse(config, { status: 599, data: { error: `No recorded GSA answer for ${key}` } }));
+      }
+      const i = cursors.get(key) ?? 0;
+      cursors.set(key, i + 1);
+      return settle(config, toResponse(config, answers[Math.min(i, answers.length - 1)]));
+    };
+  }
+
+  const send = axios.getAdapter(axios.defaults.adapter);
+  return async config => {
+    const key = requestKey(config);
+    const record = res => {
+      const headers = res.headers?.['retry-after'] ? { 'retry-after': res.headers['retry-after'] } : undefined;
+      (requests[key] ??= []).push({ status: res.status, data: parseBody(res.data), ...(headers && { headers }) });
+      store.save();
+    };
+    try {
+      const response = await send(config);
+      record(response);
+      return response;
+    } catch (e) {
+      if (e.response) record(e.response); // network errors are not worth replaying
+      throw e;
+    }
+  };
+}
+
+module.exports = { createFixtureAdapter, requestKey };
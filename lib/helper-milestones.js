@@ -0,0 +1,218 @@
+/**
+ * Helper milestones
+ * ------------------------------------------------------
+ * Bonuses for helpers who keep getting recognized, loaded from
+ * milestones.json (HELPER_MILESTONES to point elsewhere, also per guild in
+ * config.json):
+ *
+ *   {
+ *     "milestones": [
+ *       {
+ *         "count": 10,                   // recognitions in this guild, all time
+ *         "roleId": "123",               // optional, role given to the helper
+ *         "tokens": 500,                 // optional, tokens granted to their linked GSA player
+ *         "message": "..."               // optional, posted where the last recognition happened
+ *       }
+ *     ]
+ *   }
+ *
+ * A recognition is a granted reward under a positive reaction rule (see
+ * lib/reward-ledger.js); reversed ones don't count. Every milestone is
+ * awarded once per helper and guild, recorded in DATA_DIR/helper-milestones.json,
+ * and kept even if a later reversal drops the count below it. A role or
+ * token bonus that fails (helper not linked, GSA gave up, role missing) is
+ * posted to the audit channel, kept as owed and tried again on the helper's
+ * next recognition.
+ *
+ * Messages accept {helper}, {helperMention}, {count} and {rewards}
+ * (" They get the @role role and **500** tokens.", or nothing).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { openStore } = require('./json-store');
+const { renderTemplate } = require('./reaction-rules');
+const { postToAudit } = require('./audit-channel');
+
+const DEFAULT_MILESTONES_PATH = path.join(__dirname, '..', 'milestones.json');
+const DEFAULT_MESSAGE = '🏆 {helperMention} reached **{count}** recognitions!{rewards}';
+
+function normalizeMilestones(raw = {}) {
+  if (!Array.isArray(raw.milestones ?? [])) throw new Error('"milestones" must be an array');
+  const errors = [];
+  const milestones = (raw.milestones ?? []).map((m, i) => {
+    const where = `milestone #${i + 1}`;
+    if (!m || typeof m !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return null;
+    }
+    const milestone = {
+      count: m.count,
+      roleId: m.roleId ? String(m.roleId) : null,
+      tokens: m.tokens ?? 0,
+      message: m.message ? String(m.message) : DEFAULT_MESSAGE,
+    };
+    if (!Number.isInteger(milestone.count) || milestone.count <= 0) errors.push(`${where}: "count" must be a whole number > 0`);
+    if (!Number.isInteger(milestone.tokens) || milestone.tokens < 0) errors.push(`${where}: "tokens" must be a whole number >= 0`);
+    return milestone;
+  }).filter(Boolean);
+
+  const counts = milestones.map(m => m.count);
+  for (const count of new Set(counts.filter((c, i) => counts.indexOf(c) !== i))) {
+    errors.push(`count ${count}: listed twice`);
+  }
+
+  if (errors.length) throw new Error(errors.join('; '));
+  return milestones.sort((a, b) => a.count - b.count);
+}
+
+// A missing file means "no milestones".
+function loadMilestones(file = DEFAULT_MILESTONES_PATH) {
+  if (!fs.existsSync(file)) return [];
+  return normalizeMilestones(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.config       lib/config.js
+ * @param {object} deps.client       discord.js Client
+ * @param {object} deps.communities  lib/communities.js
+ * @param {object} deps.ledger       lib/reward-ledger.js, where recognitions are counted
+ * @param {string} [deps.name]       store file inside DATA_DIR
+ */
+function createMilestones({ config, client, communities, ledger, name = 'helper-milestones.json' }) {
+  const store = openStore(name, { reached: {}, owed: {} });
+  store.data.owed ||= {}; // files from before owed bonuses were kept
+  const { reached, owed } = store.data; // "<guildId>:<helperId>" -> { <count>: at } / { <count>: ['role' | 'tokens'] }
+
+  // One list per guild; guilds pointing at the same file share it.
+  const loaded = new Map();
+  const byGuild = new Map();
+  for (const guildId of config.guildIds()) {
+    const file = config.get('HELPER_MILESTONES', guildId) || DEFAULT_MILESTONES_PATH;
+    if (!loaded.has(file)) {
+      try {
+        loaded.set(file, loadMilestones(file));
+      } catch (e) {
+        throw new Error(`Invalid helper milestones (${file}): ${e.message}`);
+      }
+    }
+    byGuild.set(guildId, loaded.get(file));
+  }
+
+  // null for a guild the bot doesn't serve.
+  function forGuild(guildId) {
+    return byGuild.get(guildId) || null;
+  }
+
+  // Milestone counts this helper has been awarded in this guild.
+  function reachedBy(guildId, helperId) {
+    return Object.keys(reached[`${guildId}:${helperId}`] || {}).map(Number);
+  }
+
+  async function addRole(guildId, helperId, milestone) {
+    const guild = client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId);
+    const member = await guild.members.fetch(helperId);
+    await member.roles.add(milestone.roleId, `Helper milestone: ${milestone.count} recognitions`);
+  }
+
+  // Through the outbox like every other grant, so it is retried and audited.
+  async function grantTokens(guildId, helperId, helperName, milestone) {
+    const { gsa, mutatePlayerTokens } = communities.for(guildId);
+    const player = await gsa.getLinkedPlayer(helperId);
+    const result = await mutatePlayerTokens(player.uuid, milestone.tokens, `Helper milestone: ${milestone.count} recognitions`, {
+      label: `Milestone ${milestone.count}: ${milestone.tokens} tokens for ${helperName} (${helperId})`,
+      meta: {
+        kind: 'milestone',
+        guildId,
+        audit: {
+          action: 'milestone_bonus',
+          actor: { id: null, name: 'milestones' },
+          player: { id: helperId, name: helperName },
+          ref: `milestone:${milestone.count}:${helperId}`,
+        },
+      },
+    });
+    if (result.status === 'dead') throw result.error;
+  }
+
+  // Gives the `parts` ('role', 'tokens') of a milestone; resolves to what was given. What failed is owed.
+  async function award(guildId, helperId, helperName, milestone, parts) {
+    const given = [];
+    const failed = [];
+    if (parts.includes('role')) {
+      const what = `the <@&${milestone.roleId}> role`;
+      await addRole(guildId, helperId, milestone)
+        .then(() => given.push(what))
+        .catch(e => failed.push({ part: 'role', what, error: e?.message || String(e) }));
+    }
+    if (parts.includes('tokens')) {
+      const what = `**${milestone.tokens}** tokens`;
+      await grantTokens(guildId, helperId, helperName, milestone)
+        .then(() => given.push(what))
+        .catch(e => failed.push({ part: 'tokens', what, error: e?.message || String(e) }));
+    }
+
+    if (failed.length) {
+      (owed[`${guildId}:${helperId}`] ||= {})[milestone.count] = failed.map(f => f.part);
+      store.save();
+      const reasons = failed.map(f => `${f.what} (${f.error})`).join(' or ');
+      console.error(`[Milestones] Could not give ${helperId} ${reasons}`);
+      await postToAudit(client, config.get('AUDIT_CHANNEL_ID', guildId),
+        `⚠️ Helper milestone **${milestone.count}** for <@${helperId}> (${helperName}): could not give ${reasons}. ` +
+        'It is tried again on their next recognition.');
+    }
+    return given;
+  }
+
+  /**
+   * Award every milestone the helper has reached and not been given yet, and
+   * whatever an earlier award still owes them.
+   * Called after each granted recognition; resolves to the awarded milestones.
+   * @param {object} opts { guildId, helperId, helperName, channelId }
+   */
+  async function check({ guildId, helperId, helperName, channelId }) {
+    const key = `${guildId}:${helperId}`;
+    const list = forGuild(guildId) || [];
+    const count = ledger.recognitions({ guildId, helperId }).length;
+    const done = reachedBy(guildId, helperId);
+    const due = list.filter(m => m.count <= count && !done.includes(m.count));
+    // Milestones taken out of milestones.json owe nothing anymore.
+    const retry = Object.entries(owed[key] || {})
+      .map(([n, parts]) => [list.find(m => m.count === Number(n)), parts])
+      .filter(([milestone]) => milestone);
+
+    // All recorded (and owed parts taken) before the first await: a recognition landing meanwhile must not award any of them twice.
+    for (const milestone of due) (reached[key] ||= {})[milestone.count] = Date.now();
+    delete owed[key];
+    if (due.length || retry.length) store.save();
+
+    for (const [milestone, parts] of retry) {
+      const given = await award(guildId, helperId, helperName, milestone, parts);
+      if (given.length) {
+        await postToAudit(client, config.get('AUDIT_CHANNEL_ID', guildId),
+          `✅ Helper milestone **${milestone.count}** for <@${helperId}> (${helperName}): ${given.join(' and ')} given after all.`);
+      }
+    }
+
+    for (const milestone of due) {
+      console.log(`[Milestones] ${helperName} (${helperId}) reached ${milestone.count} recognitions in ${guildId}`);
+
+      const parts = [milestone.roleId && 'role', milestone.tokens && 'tokens'].filter(Boolean);
+      const rewards = await award(guildId, helperId, helperName, milestone, parts);
+
+      const channel = client.channels.cache.get(channelId) || await client.channels.fetch(channelId).catch(() => null);
+      await channel?.send(renderTemplate(milestone.message, {
+        helper: helperName,
+        helperMention: `<@${helperId}>`,
+        count: milestone.count,
+        rewards: rewards.length ? ` They get ${rewards.join(' and ')}.` : '',
+      })).catch(console.error);
+    }
+    return due;
+  }
+
+  return { forGuild, reachedBy, check };
+}
+
+module.exports = { DEFAULT_MILESTONES_PATH, normalizeMilestones, loadMilestones, createMilestones };
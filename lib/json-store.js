@@ -0,0 +1,43 @@
+/**
+ * Tiny JSON file store
+ * ------------------------------------------------------
+ * Keeps one JSON document in memory and writes it back atomically
+ * (temp file + rename) so a crash mid-write never leaves a torn file.
+ * Writes are synchronous on purpose: callers can check-then-set inside a
+ * single tick without another event handler slipping in between.
+ *
+ * Files live in DATA_DIR (default ./data), which is git-ignored.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(name) {
+  return path.isAbsolute(name) ? name : path.join(DATA_DIR, name);
+}
+
+function openStore(name, fallback = {}) {
+  const file = dataPath(name);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`Corrupt store ${file}: ${e.message}`);
+    data = structuredClone(fallback);
+  }
+
+  return {
+    file,
+    data,
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+module.exports = { DATA_DIR, dataPath, openStore };
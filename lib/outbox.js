@@ -0,0 +1,231 @@
+/**
+ * Persistent outbox for GSA / webhook calls
+ * ------------------------------------------------------
+ * Every mutation the bots want to make (token mutations, task executions,
+ * reward webhooks) is written to DATA_DIR/<name> before it is sent, then
+ * retried with exponential backoff until it succeeds or is given up on:
+ *
+ *   - network errors, timeouts and 5xx  -> retried
+ *   - 429                               -> retried after Retry-After (or the 5s GSA cooldown)
+ *   - any other 4xx                     -> dead right away (retrying won't help)
+ *   - more than maxAttempts failures    -> dead
+ *
+ * Jobs sharing a `queueKey` (e.g. a player uuid) are sent strictly in order.
+ * Jobs left in the file by a restart are picked up again by start(); a job
+ * that was in flight when the process died is sent again (at-least-once).
+ * Finished jobs are dropped from the file (only their id is remembered for a
+ * week so status() can tell "done" from "never sent"); dead ones are kept.
+ *
+ * Headers are never persisted: a job names a `transport` (an axios instance
+ * passed to createOutbox) that carries the credentials.
+ */
+
+const crypto = require('node:crypto');
+const { openStore } = require('./json-store');
+
+const DEFAULTS = {
+  maxAttempts: 8,
+  baseDelayMs: 5_000,
+  maxDelayMs: 15 * 60_000,
+  cooldownMs: 5_000, // GSA per-player cooldown, used for 429 without Retry-After
+  keepCompletedMs: 7 * 24 * 60 * 60_000,
+};
+
+function isRetryable(error) {
+  const status = error?.response?.status;
+  if (!status) return true; // network error / timeout
+  return status === 429 || status >= 500;
+}
+
+function retryAfterMs(error, fallback) {
+  const header = error?.response?.headers?.['retry-after'];
+  const seconds = Number(header);
+  if (Number.isFinite(seconds) && seconds > 0) return seconds * 1000;
+  return fallback;
+}
+
+function describeError(error) {
+  const status = error?.response?.status;
+  const apiMsg = error?.response?.data?.error || error?.response?.data?.message;
+  return [status && `HTTP ${status}`, apiMsg || error?.message].filter(Boolean).join(' – ');
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.name]         store file name inside DATA_DIR
+ * @param {object} opts.transports     name -> axios instance
+ * @param {function} [opts.onDone]     (job, response) after a retried job finally succeeds
+ * @param {function} [opts.onDead]     (job, error) whenever a job is given up on, first attempt included
+ * @param {function} [opts.onAttempt]  (job, { status, response?, error? }) after every single attempt
+ */
+function createOutbox({ name = 'outbox.json', transports, onDone, onDead, onAttempt, ...options }) {
+  const cfg = { ...DEFAULTS, ...options };
+  const store = openStore(name, { jobs: [], completed: {} });
+  store.data.completed ??= {};
+  const { jobs, completed } = store.data;
+  const inFlight = new Set();
+  let timer = null;
+  let started = false;
+
+  function backoffMs(job, error) {
+    const exp = Math.min(cfg.maxDelayMs, cfg.baseDelayMs * 2 ** (job.attempts - 1));
+    const jittered = exp / 2 + Math.random() * (exp / 2);
+    if (error?.response?.status === 429) return Math.max(jittered, retryAfterMs(error, cfg.cooldownMs));
+    return jittered;
+  }
+
+  function remove(job) {
+    const i = jobs.indexOf(job);
+    if (i !== -1) jobs.splice(i, 1);
+  }
+
+  function rememberCompleted(job, now = Date.now()) {
+    completed[job.id] = now;
+    for (const [id, at] of Object.entries(completed)) {
+      if (now - at > cfg.keepCompletedMs) delete completed[id];
+    }
+  }
+
+  // An observer that throws must not break delivery.
+  function notifyAttempt(job, result) {
+    try { onAttempt?.(job, result); } catch (e) { console.error('[Outbox] onAttempt failed', e); }
+    return result;
+  }
+
+  // Attempt a job once. Resolves to { status: 'done' | 'pending' | 'dead', response?, error? }.
+  async function attempt(job) {
+    const transport = transports[job.transport];
+    if (!transport) throw new Error(`Unknown outbox transport "${job.transport}"`);
+
+    inFlight.add(job.id);
+    job.attempts += 1;
+    job.lastAttemptAt = Date.now();
+    store.save();
+
+    try {
+      const response = await transport.request({ method: job.method, url: job.url, data: job.data });
+      remove(job);
+      rememberCompleted(job);
+      store.save();
+      return notifyAttempt(job, { status: 'done', response });
+    } catch (error) {
+      job.lastError = describeError(error);
+      if (!isRetryable(error) || job.attempts >= cfg.maxAttempts) {
+        job.status = 'dead';
+        job.deadAt = Date.now();
+        store.save();
+        notifyAttempt(job, { status: 'dead', error });
+        onDead?.(job, error);
+        return { status: 'dead', error };
+      }
+      job.nextAttemptAt = Date.now() + backoffMs(job, error);
+      store.save();
+      return notifyAttempt(job, { status: 'pending', error });
+    } finally {
+      inFlight.delete(job.id);
+      schedule();
+    }
+  }
+
+  // First queued job of every queueKey; later jobs wait until it is done or dead.
+  function heads() {
+    const seen = new Set();
+    const result = [];
+    for (const job of jobs) {
+      if (job.status !== 'queued') continue;
+      const key = job.queueKey || job.id;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      result.push(job);
+    }
+    return result;
+  }
+
+  async function tick() {
+    timer = null;
+    const now = Date.now();
+    for (const job of heads()) {
+      if (inFlight.has(job.id) || job.nextAttemptAt > now) continue;
+      attempt(job).then(result => {
+        if (result.status === 'done') onDone?.(job, result.response);
+      }).catch(e => console.error('[Outbox] Unexpected error', e));
+    }
+    schedule();
+  }
+
+  function schedule() {
+    if (!started) return;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const waiting = heads().filter(j => !inFlight.has(j.id));
+    if (!waiting.length) return;
+    const next = Math.min(...waiting.map(j => j.nextAttemptAt));
+    timer = setTimeout(tick, Math.max(0, next - Date.now()));
+    timer.unref?.();
+  }
+
+  /**
+   * Persist a job and make its first attempt straight away (after any earlier
+   * job with the same queueKey). The promise settles with the outcome of that
+   * first attempt: 'done', 'dead', or 'pending' (failed but will be retried,
+   * or waiting behind another job). Later retries report through onDone / onDead.
+   *
+   * Pass `spec.id` to know the job id before it is sent (e.g. to journal it first).
+   *
+   * @param {object} spec { id, transport, method, url, data, queueKey, label, meta }
+   */
+  async function submit(spec) {
+    const job = {
+      id: spec.id || crypto.randomUUID(),
+      transport: spec.transport,
+      method: spec.method || 'post',
+      url: spec.url,
+      data: spec.data,
+      queueKey: spec.queueKey || null,
+      label: spec.label || `${spec.method || 'post'} ${spec.url}`,
+      meta: spec.meta || {},
+      status: 'queued',
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+    };
+    jobs.push(job);
+    store.save();
+
+    const waiting = job.queueKey && jobs.some(j => j !== job && j.status === 'queued' && j.queueKey === job.queueKey);
+    if (waiting) {
+      schedule();
+      return { status: 'pending', job };
+    }
+    return { ...(await attempt(job)), job };
+  }
+
+  // Resume whatever a previous run left behind.
+  function start() {
+    started = true;
+    const pending = jobs.filter(j => j.status === 'queued');
+    if (pending.length) console.log(`[Outbox] Resuming ${pending.length} pending job(s) from ${store.file}`);
+    schedule();
+  }
+
+  function stop() {
+    started = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  // 'queued' | 'dead' | 'done' for a known job, null if it was never submitted (or is long gone).
+  function status(id) {
+    const job = jobs.find(j => j.id === id);
+    if (job) return job.status;
+    return id in completed ? 'done' : null;
+  }
+
+  function list(status) {
+    return jobs.filter(j => !status || j.status === status);
+  }
+
+  return { submit, status, start, stop, list };
+}
+
+module.exports = { createOutbox, isRetryable, describeError };
@@ -0,0 +1,153 @@
+/**
+ * Scheduled token payouts
+ * ------------------------------------------------------
+ * One-off and recurring grants, kept in DATA_DIR/schedules.json so they
+ * survive restarts:
+ *
+ *   {
+ *     id, guildId, amount, reason,
+ *     target: { userIds: [...], roleId },     // everyone listed plus everyone with the role
+ *     repeat: null | 'daily' | 'weekly' | 'monthly',
+ *     nextRunAt, lastRunAt, runs, paused, createdBy, createdById, createdAt
+ *   }
+ *
+ * The scheduler moves nextRunAt on (or drops a one-off) and saves *before*
+ * paying, so a crash mid-run never pays the same occurrence twice; the
+ * mutations themselves are safe in the outbox. Occurrences missed while the
+ * bot was offline are paid once on startup, not once per missed slot.
+ */
+
+const crypto = require('node:crypto');
+const { openStore } = require('./json-store');
+
+const REPEATS = ['daily', 'weekly', 'monthly'];
+const CHECK_EVERY_MS = 60_000;
+
+// The first occurrence after `after`, stepping from `from` by `repeat`.
+function nextOccurrence(from, repeat, after = Date.now()) {
+  const d = new Date(from);
+  while (d.getTime() <= after) {
+    if (repeat === 'daily') d.setUTCDate(d.getUTCDate() + 1);
+    else if (repeat === 'weekly') d.setUTCDate(d.getUTCDate() + 7);
+    else if (repeat === 'monthly') d.setUTCMonth(d.getUTCMonth() + 1);
+    else throw new Error(`Unknown repeat "${repeat}"`);
+  }
+  return d.getTime();
+}
+
+// 'YYYY-MM-DD HH:MM' (UTC) -> ms, NaN when it doesn't parse
+function parseWhen(text) {
+  const m = String(text || '').trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})$/);
+  if (!m) return NaN;
+  return Date.parse(`${m[1]}T${m[2].padStart(2, '0')}:${m[3]}:00Z`);
+}
+
+function createScheduleStore(name = 'schedules.json') {
+  const store = openStore(name, { schedules: {} });
+  const { schedules } = store.data;
+
+  function create(s, now = Date.now()) {
+    if (s.repeat && !REPEATS.includes(s.repeat)) throw new Error(`Unknown repeat "${s.repeat}"`);
+    let id;
+    do id = crypto.randomUUID().slice(0, 6); while (schedules[id]);
+    const schedule = {
+      repeat: null,
+      ...s,
+      id,
+      lastRunAt: null,
+      runs: 0,
+      paused: false,
+      createdAt: now,
+    };
+    schedules[id] = schedule;
+    store.save();
+    return schedule;
+  }
+
+  function get(id) {
+    return schedules[id] || null;
+  }
+
+  function patch(id, fields) {
+    const s = schedules[id];
+    if (!s) throw new Error(`Unknown schedule ${id}`);
+    Object.assign(s, fields);
+    store.save();
+    return s;
+  }
+
+  function remove(id) {
+    const s = schedules[id];
+    delete schedules[id];
+    store.save();
+    return s || null;
+  }
+
+  function list() {
+    return Object.values(schedules).sort((a, b) => a.nextRunAt - b.nextRunAt);
+  }
+
+  return { create, get, patch, remove, list };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.schedules createScheduleStore()
+ * @param {function} [deps.run]  async (schedule) => void, pays one occurrence;
+ *                               schedule.runAt is the slot being paid. Or set later with onRun().
+ */
+function createScheduler({ schedules, run = null }) {
+  let timer = null;
+  let ticking = false;
+
+  function onRun(fn) {
+    if (run) throw new Error('Scheduled payouts are already handled');
+    run = fn;
+  }
+
+  // Claim the occurrence first: move nextRunAt on (or drop a one-off) and save.
+  function claim(s, now) {
+    if (s.repeat) schedules.patch(s.id, { nextRunAt: nextOccurrence(s.nextRunAt, s.repeat, now), lastRunAt: now, runs: s.runs + 1 });
+    else schedules.remove(s.id);
+  }
+
+  // Pays every schedule due at `now`; nothing is claimed before someone pays them.
+  async function tick(now = Date.now()) {
+    if (ticking || !run) return;
+    ticking = true;
+    try {
+      for (const s of schedules.list()) {
+        if (s.paused || s.nextRunAt > now) continue;
+        const occurrence = { ...s, runAt: s.nextRunAt };
+        claim(s, now);
+        try { await run(occurrence); } catch (e) { console.error(`[Schedule] Run of ${s.id} failed`, e); }
+      }
+    } finally {
+      ticking = false;
+      arm();
+    }
+  }
+
+  // Wake up for the next due schedule, or at least every CHECK_EVERY_MS.
+  function arm() {
+    if (timer) clearTimeout(timer);
+    const next = Math.min(...schedules.list().filter(s => !s.paused).map(s => s.nextRunAt), Date.now() + CHECK_EVERY_MS);
+    timer = setTimeout(() => tick(), Math.max(0, next - Date.now()));
+    timer.unref?.();
+  }
+
+  function start() {
+    const due = schedules.list().filter(s => !s.paused && s.nextRunAt <= Date.now());
+    if (due.length) console.log(`[Schedule] ${due.length} payout(s) became due while offline, running them now`);
+    return tick();
+  }
+
+  function stop() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  return { onRun, start, stop, tick, poke: arm };
+}
+
+module.exports = { REPEATS, nextOccurrence, parseWhen, createScheduleStore, createScheduler };
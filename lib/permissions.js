@@ -0,0 +1,205 @@
+/**
+ * Permissions
+ * ------------------------------------------------------
+ * Which roles may use which manager commands and reaction rules, and how
+ * much they may grant. Loaded from permissions.json (PERMISSIONS in .env to
+ * point elsewhere):
+ *
+ *   {
+ *     "roles": {
+ *       "<role id>": {
+ *         "name": "Event team",            // shown by /permissions
+ *         "commands": ["tokens.send", "tokens.bulk", "schedule"],
+ *         "reactions": ["contribution"],   // reaction rule names, on top of the rule's requiredRoles
+ *                                          // (also "Recognize helper" / /recognize with that rule)
+ *         "maxPerAction": 500,             // biggest grant/removal in one command (0 = no limit)
+ *         "maxPerDay": 2000                // tokens granted + removed per member, rolling 24 hours (0 = no limit)
+ *       }
+ *     }
+ *   }
+ *
+ * Command keys are "<command>" or "<command>.<subcommand>"; "*" and
+ * "tokens.*" are wildcards. Public commands (/balance, /trade, /wallet,
+ * /history, /leaderboard, /helpers, /tokens balance, /shop list, /shop buy) are not gated.
+ *
+ * A member gets everything any of their roles grants; for the caps, the
+ * most generous role that allows the command wins. Without a file,
+ * MANAGER_ROLE_ID may use every command with no caps; with neither, nobody
+ * may use the manager commands.
+ *
+ * Amounts counted against maxPerDay are kept in DATA_DIR/permission-usage.json,
+ * together with what requests still waiting for a second manager hold back
+ * (reserve / release), which counts until the request is decided.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { openStore } = require('./json-store');
+
+const DEFAULT_PERMISSIONS_PATH = path.join(__dirname, '..', 'permissions.json');
+const DAY_MS = 24 * 60 * 60_000;
+
+// Every gated command key, for validation and for /permissions.
+const COMMAND_KEYS = [
+  'tokens.send', 'tokens.preset', 'tokens.history', 'tokens.bulk', 'tokens.import', 'tokens.export', 'tokens.approve',
+  'schedule', 'economy', 'audit', 'trades', 'baldebug', 'permissions', 'player', 'shop.orders', 'shop.resolve',
+];
+
+function keyMatches(pattern, key) {
+  if (pattern === '*' || pattern === key) return true;
+  return pattern.endsWith('.*') && key.startsWith(pattern.slice(0, -1));
+}
+
+function normalizePermissions(raw = {}) {
+  const errors = [];
+  const roles = {};
+  if (!raw.roles || typeof raw.roles !== 'object' || Array.isArray(raw.roles)) {
+    throw new Error('"roles" must be an object of role id -> grants');
+  }
+
+  for (const [roleId, r] of Object.entries(raw.roles)) {
+    const where = `role ${roleId}${r?.name ? ` (${r.name})` : ''}`;
+    if (!r || typeof r !== 'object') { errors.push(`${where}: must be an object`); continue; }
+    const role = {
+      name: r.name ? String(r.name) : roleId,
+      commands: r.commands ?? [],
+      reactions: r.reactions ?? [],
+      maxPerAction: r.maxPerAction ?? 0,
+      maxPerDay: r.maxPerDay ?? 0,
+    };
+    for (const field of ['commands', 'reactions']) {
+      if (!Array.isArray(role[field]) || role[field].some(v => typeof v !== 'string')) {
+        errors.push(`${where}: "${field}" must be an array of strings`);
+        role[field] = [];
+      }
+    }
+    for (const key of role.commands) {
+      if (!COMMAND_KEYS.some(k => keyMatches(key, k))) errors.push(`${where}: unknown command "${key}"`);
+    }
+    for (const field of ['maxPerAction', 'maxPerDay']) {
+      if (!Number.isInteger(role[field]) || role[field] < 0) errors.push(`${where}: "${field}" must be a whole number >= 0`);
+    }
+    roles[roleId] = role;
+  }
+
+  if (errors.length) throw new Error(errors.join('; '));
+  return { roles };
+}
+
+// null without a file: then MANAGER_ROLE_ID may do everything (see createPermissions).
+function loadPermissions(file = DEFAULT_PERMISSIONS_PATH) {
+  if (!fs.existsSync(file)) return null;
+  return normalizePermissions(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// The larger cap, where 0 (no limit) beats everything.
+const looser = (a, b) => (a === 0 || b === 0 ? 0 : Math.max(a, b));
+
+/**
+ * @param {object|null} config      loadPermissions() result
+ * @param {object} [opts]
+ * @param {string} [opts.usageFile]
+ * @param {function} [opts.managerRoleId]  (guildId) => the role that gets everything when there is no file
+ */
+function createPermissions(config, { usageFile = 'permission-usage.json', managerRoleId = () => null } = {}) {
+  const usage = openStore(usageFile, { members: {} });
+  usage.data.reserved ||= {}; // memberId -> { ref: amount }
+
+  // Asked on every check, so a MANAGER_ROLE_ID changed in config.json applies right away.
+  function configuredRoles(member) {
+    if (config) return config.roles;
+    const id = managerRoleId(member?.guild?.id);
+    return id ? { [id]: { name: 'Manager', commands: ['*'], reactions: [], maxPerAction: 0, maxPerDay: 0 } } : {};
+  }
+
+  function rolesOf(member) {
+    return Object.entries(configuredRoles(member))
+      .filter(([id]) => member?.roles?.cache?.has(id))
+      .map(([id, role]) => ({ id, ...role }));
+  }
+
+  function can(member, key) {
+    return rolesOf(member).some(r => r.commands.some(p => keyMatches(p, key)));
+  }
+
+  function canReact(member, ruleName) {
+    return rolesOf(member).some(r => r.reactions.includes('*') || r.reactions.includes(ruleName));
+  }
+
+  // Caps from the roles that allow `key`; null when none does.
+  function capsFor(member, key) {
+    const granting = rolesOf(member).filter(r => r.commands.some(p => keyMatches(p, key)));
+    if (!granting.length) return null;
+    return granting.slice(1).reduce(
+      (caps, r) => ({ maxPerAction: looser(caps.maxPerAction, r.maxPerAction), maxPerDay: looser(caps.maxPerDay, r.maxPerDay) }),
+      { maxPerAction: granting[0].maxPerAction, maxPerDay: granting[0].maxPerDay },
+    );
+  }
+
+  function usedToday(memberId, now = Date.now()) {
+    const reserved = Object.values(usage.data.reserved[memberId] || {}).reduce((sum, amount) => sum + amount, 0);
+    return reserved + (usage.data.members[memberId] || [])
+      .filter(u => now - u.at < DAY_MS)
+      .reduce((sum, u) => sum + u.amount, 0);
+  }
+
+  /**
+   * May `member` move these tokens with `key`? `perAction` is the biggest single
+   * amount (e.g. per player in a bulk run), `total` what counts against the day.
+   * -> { ok: true } | { ok: false, message }
+   */
+  function checkAmount(member, key, { perAction, total = perAction }, now = Date.now()) {
+    const caps = capsFor(member, key);
+    if (!caps) return { ok: false, message: '⛔ You do not have permission.' };
+    if (caps.maxPerAction && Math.abs(perAction) > caps.maxPerAction) {
+      return { ok: false, message: `⛔ Your roles allow at most **${caps.maxPerAction}** tokens per action.` };
+    }
+    if (caps.maxPerDay) {
+      const used = usedToday(member.id, now);
+      if (used + Math.abs(total) > caps.maxPerDay) {
+        return {
+          ok: false,
+          message: `⛔ Your roles allow **${caps.maxPerDay}** tokens per 24 hours; **${Math.max(0, caps.maxPerDay - used)}** left.`,
+        };
+      }
+    }
+    return { ok: true };
+  }
+
+  // Count tokens against a member's daily cap (call once the grant is going ahead).
+  function recordUsage(memberId, amount, now = Date.now()) {
+    const list = (usage.data.members[memberId] || []).filter(u => now - u.at < DAY_MS);
+    list.push({ at: now, amount: Math.abs(amount) });
+    usage.data.members[memberId] = list;
+    usage.save();
+  }
+
+  // Hold back tokens a pending request (`ref`) would move, so the member can't open more on the same cap.
+  function reserve(memberId, ref, amount) {
+    (usage.data.reserved[memberId] ||= {})[ref] = Math.abs(amount);
+    usage.save();
+  }
+
+  function release(memberId, ref) {
+    const held = usage.data.reserved[memberId];
+    if (!held || !(ref in held)) return;
+    delete held[ref];
+    if (!Object.keys(held).length) delete usage.data.reserved[memberId];
+    usage.save();
+  }
+
+  // What /permissions shows.
+  function effective(member) {
+    const roles = rolesOf(member);
+    return {
+      roles: roles.map(r => ({ id: r.id, name: r.name })),
+      commands: COMMAND_KEYS.filter(k => can(member, k)).map(k => ({ key: k, ...capsFor(member, k) })),
+      reactions: [...new Set(roles.flatMap(r => r.reactions))],
+      usedToday: usedToday(member.id),
+    };
+  }
+
+  return { config, can, canReact, capsFor, checkAmount, recordUsage, reserve, release, usedToday, effective };
+}
+
+module.exports = { DEFAULT_PERMISSIONS_PATH, COMMAND_KEYS, normalizePermissions, loadPermissions, createPermissions };
@@ -0,0 +1,106 @@
+/**
+ * Discord -> GSA player links
+ * ------------------------------------------------------
+ * Caches which GSA player each Discord id is linked to, so a busy channel
+ * doesn't send a players/find to GSA for every /balance, /trade and
+ * reaction. Kept in DATA_DIR/player-links.json:
+ *
+ *   links: { "<discord id>": { uuid, username, at } }   uuid null = not linked
+ *
+ * A link is trusted for LINK_CACHE_HOURS; "not linked" only for
+ * LINK_MISS_SECONDS, so somebody who just linked their account (and ran
+ * /link) is picked up right away. Entries are dropped early when
+ *   - /link or /player refresh looks the member up again (refresh()),
+ *   - GSA answers 404 for the cached uuid (forgetUuid(), see lib/bot.js).
+ *
+ * find() / getLinked() have the same contract as the GSA client's
+ * findPlayerByServiceId() / getLinkedPlayer(), and replace them on the GSA
+ * client of their community (lib/communities.js).
+ */
+
+const { GsaError } = require('./gsa-client');
+const { openStore } = require('./json-store');
+
+/**
+ * @param {object} opts
+ * @param {object} opts.gsa              the uncached GSA client (lib/gsa-client.js)
+ * @param {number} [opts.ttlMs]          how long a link is trusted
+ * @param {number} [opts.missTtlMs]      how long "not linked" is trusted
+ * @param {string} [opts.name]           file inside DATA_DIR
+ */
+function createPlayerLinks({ gsa, ttlMs = 24 * 60 * 60_000, missTtlMs = 60_000, name = 'player-links.json' }) {
+  const store = openStore(name, { links: {} });
+  const { links } = store.data;
+  const inflight = new Map(); // discord id -> promise, so a burst of reactions asks GSA once
+
+  function fresh(entry, now) {
+    return entry && now - entry.at < (entry.uuid ? ttlMs : missTtlMs);
+  }
+
+  function remember(discordId, player, now = Date.now()) {
+    links[discordId] = { uuid: player?.uuid || null, username: player?.username || null, at: now };
+    store.save();
+  }
+
+  // Asks GSA, whatever the cache says.
+  function refresh(discordId) {
+    const id = String(discordId);
+    if (inflight.has(id)) return inflight.get(id);
+    const lookup = gsa.findPlayerByServiceId(id)
+      .then(player => {
+        remember(id, player);
+        return player;
+      })
+      .finally(() => inflight.delete(id));
+    inflight.set(id, lookup);
+    return lookup;
+  }
+
+  // Resolves to null when nobody has this Discord id linked.
+  async function find(discordId, now = Date.now()) {
+    const entry = links[String(discordId)];
+    if (fresh(entry, now)) return entry.uuid ? { uuid: entry.uuid, username: entry.username } : null;
+    return refresh(discordId);
+  }
+
+  async function getLinked(discordId) {
+    const player = await find(discordId);
+    if (!player) throw new GsaError('not_linked', `No GSA player linked to ${discordId}`);
+    return player;
+  }
+
+  function forget(discordId) {
+    if (!links[String(discordId)]) return false;
+    delete links[String(discordId)];
+    store.save();
+    return true;
+  }
+
+  // GSA no longer knows this player (deleted, merged): every Discord id pointing at it is looked up again.
+  function forgetUuid(uuid) {
+    const ids = Object.keys(links).filter(id => links[id].uuid === uuid);
+    ids.forEach(id => delete links[id]);
+    if (ids.length) store.save();
+    return ids;
+  }
+
+  /**
+   * Known links whose uuid or GSA username matches `query` (exact matches first).
+   * Only members the bot has looked up before are known; stale entries are included.
+   * -> [{ discordId, uuid, username, at }]
+   */
+  function search(query) {
+    const q = String(query).trim().toLowerCase();
+    if (!q) return [];
+    const known = Object.entries(links)
+      .filter(([, l]) => l.uuid)
+      .map(([discordId, l]) => ({ discordId, ...l }));
+    const exact = known.filter(l => l.uuid.toLowerCase() === q || l.username?.toLowerCase() === q);
+    const partial = known.filter(l => !exact.includes(l) && l.username?.toLowerCase().includes(q));
+    return [...exact, ...partial];
+  }
+
+  return { find, getLinked, refresh, remember, forget, forgetUuid, search };
+}
+
+module.exports = { createPlayerLinks };
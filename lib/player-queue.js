@@ -0,0 +1,20 @@
+/**
+ * Per-player queue
+ * ------------------------------------------------------
+ * GSA enforces a 5s cooldown per player, so calls for the same player are
+ * chained one after another. One queue is shared by every command module.
+ * A failed job does not stop the ones queued behind it.
+ */
+
+const playerQueues = new Map(); // uuid -> promise chain
+
+async function enqueueForPlayer(uuid, job) {
+  const prev = playerQueues.get(uuid) || Promise.resolve();
+  const next = prev.catch(() => {}).then(job).finally(() => {
+    if (playerQueues.get(uuid) === next) playerQueues.delete(uuid);
+  });
+  playerQueues.set(uuid, next);
+  return next;
+}
+
+module.exports = { enqueueForPlayer };
@@ -0,0 +1,463 @@
+/**
+ * Reaction rewards
+ * ------------------------------------------------------
+ * Admins react on a player's message to reward (or deduct from) its author.
+ * What each emoji does is configured in reactions.json (see lib/reaction-rules.js):
+ *   ✅ -> contribution webhook, 💩 -> GSA "jackass" task, and whatever else you add.
+ * Wired to Discord by events/messageReactionAdd.js and events/messageReactionRemove.js.
+ *
+ * Settings (.env or config.json, see lib/config.js), on top of what index.js needs:
+ *   AUTH_TOKEN=...               # bearer for webhook / GSA task rewards (read by index.js)
+ *   ADMIN_ROLE_ID=...            # default role for rules without "requiredRoles"
+ *                                # (roles with the rule under "reactions" in permissions.json may use it too)
+ *   REACTION_RULES=...           # optional path to the rules file (default ./reactions.json)
+ *   GSA_DASH_URL=https://dash.gameserverapp.com   # host for "task" rewards
+ * All four can differ per guild: each guild rewards from its own rules, in
+ * its own GSA community (lib/communities.js).
+ *
+ * Each message is rewarded at most once per rule (see lib/reward-ledger.js).
+ * Removing the reaction within the rule's undo window (same admin only)
+ * reverses the reward and edits the acknowledgement. Reward calls go through
+ * the persistent outbox (lib/outbox.js), so a GSA hiccup retries instead of
+ * losing the reward.
+ *
+ * "Recognize helper" and /recognize (commands/recognize.js) grant through
+ * recognize() as well, with a reason and optionally a custom amount.
+ *
+ * Granted rewards under positive rules are recognitions: /helpers ranks
+ * them and each one may reach a helper milestone (lib/helper-milestones.js).
+ */
+
+const {
+  DEFAULT_RULES_PATH,
+  loadRules,
+  rulesForReaction,
+  hasRequiredRole,
+  isReversible,
+  renderTemplate,
+} = require('./reaction-rules');
+
+// Set up by init(); both reaction events share them.
+let client, config, communities, outbox, rulesByGuild, ledger, auditLog, permissions, milestones;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function formatWait(ms) {
+  const minutes = Math.ceil(ms / 60_000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+// null for a guild the bot doesn't serve; reactions there are ignored.
+function rulesFor(guildId) {
+  return rulesByGuild.get(guildId) || null;
+}
+
+// ---- Rewards ---------------------------------------------------------------
+async function findPlayerUuid(guildId, serviceId) {
+  return (await communities.for(guildId).gsa.getLinkedPlayer(serviceId)).uuid;
+}
+
+function taskJob(guildId, taskId, serviceId, payload) {
+  return communities.for(guildId).taskJob(taskId, serviceId, payload, guildId);
+}
+
+// Outbox job for a grant, plus what a later reversal needs to know about it.
+async function buildGrant(guildId, rule, helper, payload, amount = rule.reward.amount) {
+  const { reward } = rule;
+  const { gsa, transports } = communities.for(guildId);
+  const label = `[${rule.name}] reward for ${helper.username} (${helper.id})`;
+
+  if (reward.type === 'webhook') {
+    return { job: { transport: transports.webhook, url: reward.url, data: payload, queueKey: helper.id, label }, details: {} };
+  }
+  if (reward.type === 'task') {
+    return { job: { ...taskJob(guildId, reward.taskId, helper.id, payload), label }, details: {} };
+  }
+
+  const playerUuid = await findPlayerUuid(guildId, helper.id);
+  return {
+    job: { ...gsa.mutateTokensJob(playerUuid, amount, payload.description), label },
+    details: { playerUuid, amount },
+  };
+}
+
+// Compensating job for a recorded grant: opposite token mutation, undo task or undo webhook.
+async function buildReversal(guildId, rule, entry, payload) {
+  const { reward } = rule;
+  const { gsa, transports } = communities.for(guildId);
+  const label = `[${rule.name}] reversal for ${payload.helper_username} (${entry.helperId})`;
+
+  if (reward.type === 'webhook') {
+    return { transport: transports.webhook, url: reward.undoUrl, data: payload, queueKey: entry.helperId, label };
+  }
+  if (reward.type === 'task') {
+    return { ...taskJob(guildId, reward.undoTaskId, entry.helperId, payload), label };
+  }
+
+  const playerUuid = entry.playerUuid || await findPlayerUuid(guildId, entry.helperId);
+  return { ...gsa.mutateTokensJob(playerUuid, -(entry.amount ?? reward.amount), payload.description), label };
+}
+
+async function sendToChannel(channelId, content) {
+  const ch = client.channels.cache.get(channelId) || await client.channels.fetch(channelId).catch(() => null);
+  return ch?.send(content).catch(console.error);
+}
+
+// Strike through the original acknowledgement and append the reversal note.
+async function markAckReversed(channelId, ackMessageId, note) {
+  const ch = client.channels.cache.get(channelId) || await client.channels.fetch(channelId).catch(() => null);
+  const ack = ackMessageId ? await ch?.messages.fetch(ackMessageId).catch(() => null) : null;
+  if (ack?.editable) return ack.edit(`~~${ack.content}~~\n${note}`).catch(console.error);
+  return ch?.send(note).catch(console.error);
+}
+
+// Reward / reversal jobs that only got through on a later retry (first-try successes are handled inline).
+async function onJobDone(job) {
+  const { meta } = job;
+  if (meta.kind === 'reward') {
+    const ack = await sendToChannel(meta.channelId, meta.successText);
+    const entry = ledger.markGranted(meta.ledgerKey, { ...meta.details, ackMessageId: ack?.id });
+    if (entry) await checkMilestones(entry);
+  }
+  if (meta.kind === 'reversal') {
+    ledger.finishReversal(meta.ledgerKey, true);
+    await markAckReversed(meta.channelId, meta.ackMessageId, meta.successText);
+  }
+}
+
+// Positive recognitions count towards the helper's milestones (lib/helper-milestones.js).
+async function checkMilestones(entry) {
+  if (entry.polarity !== 'positive') return;
+  await milestones.check({ guildId: entry.guildId, helperId: entry.helperId, helperName: entry.helperName, channelId: entry.channelId })
+    .catch(e => console.error('[Milestones] check failed', e));
+}
+
+// Any reward / reversal job the outbox gives up on, first attempt included
+// (the audit log reports it to the audit channel).
+async function onJobDead(job) {
+  const { meta } = job;
+  if (meta.kind === 'reward') ledger.release(meta.ledgerKey);
+  if (meta.kind === 'reversal') ledger.finishReversal(meta.ledgerKey, false);
+  await sendToChannel(meta.channelId, meta.failureText);
+}
+
+/**
+ * Load every guild's rules and register the reward / reversal job handlers.
+ * Called by both reaction events and commands/recognize.js; only the first call does anything.
+ */
+function init(ctx) {
+  if (rulesByGuild) return;
+  const loaded = new Map(); // guilds sharing a file and admin role share the rules
+  const byGuild = new Map();
+  for (const guildId of ctx.config.guildIds()) {
+    const rulesFile = ctx.config.get('REACTION_RULES', guildId) || DEFAULT_RULES_PATH;
+    const defaultRoleId = ctx.config.get('ADMIN_ROLE_ID', guildId);
+    const key = JSON.stringify([rulesFile, defaultRoleId]);
+    if (!loaded.has(key)) {
+      try {
+        loaded.set(key, loadRules(rulesFile, { defaultRoleId }));
+      } catch (e) {
+        throw new Error(`Invalid reaction rules (${rulesFile}): ${e.message}`);
+      }
+    }
+    byGuild.set(guildId, loaded.get(key));
+  }
+  rulesByGuild = byGuild;
+  ({ client, config, communities, outbox, rewards: ledger, audit: auditLog, permissions, milestones } = ctx);
+
+  // Entries from before the ledger kept polarity take their rule's (left out of /helpers if the rule is gone).
+  ledger.backfill('polarity', e => rulesFor(e.guildId || config.get('GUILD_ID'))?.find(r => r.name === e.rule)?.polarity);
+
+  const handlers = {
+    onDone: job => onJobDone(job).catch(console.error),
+    onDead: job => onJobDead(job).catch(console.error),
+  };
+  ctx.onJob('reward', handlers);
+  ctx.onJob('reversal', handlers);
+  for (const [guildId, rules] of rulesByGuild) {
+    console.log(`Reaction rules (${guildId}):`, rules.map(r => `${r.emoji} ${r.name}`).join(', '));
+  }
+}
+
+// ---- Recognitions -----------------------------------------------------------
+// Who may hand out `rule`: its requiredRoles, or a role with the rule under "reactions" in permissions.json.
+function mayUse(member, rule) {
+  return hasRequiredRole(rule, member) || permissions.canReact(member, rule.name);
+}
+
+// The rule /recognize and "Recognize helper" grant: RECOGNIZE_RULE, else the positive ✅ rule, else the first positive one.
+function recognitionRule(guildId) {
+  const positive = (rulesFor(guildId) || []).filter(r => r.polarity === 'positive');
+  const name = config.get('RECOGNIZE_RULE', guildId);
+  if (name) return positive.find(r => r.name === name) || null;
+  return positive.find(r => r.emoji === '✅') || positive[0] || null;
+}
+
+/**
+ * Grant `rule` to `helper` on behalf of `admin`, the way a reaction does: claim
+ * the (message, rule) slot, send the reward through the outbox and post the
+ * acknowledgement in `channel`. Reactions, "Recognize helper" and /recognize
+ * all end up here.
+ *
+ * @param {object} opts
+ * @param {object} opts.guild, opts.channel  where it happens; the acknowledgement goes to `channel`
+ * @param {string} opts.messageId  the recognized message (for /recognize: the interaction id)
+ * @param {object} opts.rule, opts.helper, opts.admin  helper / admin are Discord users
+ * @param {string} [opts.reason]   added to the payload, the description and the acknowledgement
+ * @param {number} [opts.amount]   instead of the rule's amount (token rewards), passed on to webhooks / tasks
+ * @param {string} [opts.source]   'reaction' | 'context-menu' | 'command', kept in the ledger
+ * @param {function} [opts.say]    (text) => posts notes other than the acknowledgement (default: to `channel`)
+ * @returns {Promise<'granted' | 'pending' | 'failed' | 'duplicate' | 'cooldown'>}
+ */
+async function recognize({ guild, channel, messageId, rule, helper, admin, reason = null, amount = null, source = 'reaction', say }) {
+  say ||= text => channel.send(text).catch(console.error);
+  const value = amount ?? rule.reward.amount;
+  const vars = {
+    helper: helper.username,
+    helperMention: `<@${helper.id}>`,
+    admin: admin.username,
+    amount: value != null ? Math.abs(value) : '',
+    rule: rule.name,
+    reason: reason || '',
+  };
+
+  // Claim the (message, rule) slot before anything is paid out
+  const claim = ledger.claim({
+    messageId,
+    channelId: channel.id,
+    guildId: guild.id,
+    rule: rule.name,
+    polarity: rule.polarity,
+    helperId: helper.id,
+    helperName: helper.username,
+    adminId: admin.id,
+    adminName: admin.username,
+    source,
+    reason,
+    cooldownMs: rule.cooldownMs,
+  });
+  if (!claim.ok) {
+    console.log(`[${rule.name}] Ignored ${claim.reason} for message ${messageId} (by ${admin.username})`);
+    const template = claim.reason === 'duplicate' ? rule.duplicateMessage : rule.cooldownMessage;
+    await say(renderTemplate(template, {
+      ...vars,
+      previousAdmin: claim.entry?.adminName || 'another admin',
+      retryIn: claim.retryAt ? formatWait(claim.retryAt - Date.now()) : '',
+    }));
+    return claim.reason;
+  }
+
+  // Templates without {reason} get it appended
+  const withReason = (template, suffix) => renderTemplate(template, vars) + (reason && !template.includes('{reason}') ? suffix : '');
+  const payload = {
+    helper_id: helper.id,
+    helper_username: helper.username,
+    rule: rule.name,
+    polarity: rule.polarity,
+    description: withReason(rule.description, ` Reason: ${reason}`),
+    reason: reason || undefined,
+    amount: amount ?? undefined,
+    timestamp: new Date().toISOString(),
+  };
+
+  console.log(`[${rule.name}] Payload:`, payload);
+
+  const successText = withReason(rule.message, `\n📝 ${reason}`);
+  const failureText = renderTemplate(rule.failureMessage, vars);
+
+  const audit = {
+    action: 'reward',
+    actor: { id: admin.id, name: admin.username },
+    player: { id: helper.id, name: helper.username },
+    amount: rule.reward.type === 'tokens' ? value : null,
+    reason: payload.description,
+    ref: `${rule.name}:${messageId}`,
+  };
+
+  let result;
+  try {
+    await delay(1000);
+    const { job, details } = await buildGrant(guild.id, rule, helper, payload, value);
+    result = await outbox.submit({
+      ...job,
+      meta: {
+        kind: 'reward',
+        guildId: guild.id,
+        ledgerKey: claim.entry.key,
+        channelId: channel.id,
+        details,
+        successText,
+        failureText,
+        audit,
+      },
+    });
+    result.details = details;
+  } catch (error) {
+    result = { status: 'dead', error };
+  }
+
+  if (result.status === 'done') {
+    console.log(`[${rule.name}] Rewarded helper: ${payload.helper_id}`);
+    const ack = await channel.send(successText).catch(console.error);
+    const entry = ledger.markGranted(claim.entry.key, { ...result.details, ackMessageId: ack?.id });
+    await checkMilestones(entry);
+    return 'granted';
+  }
+
+  if (result.status === 'pending') {
+    console.warn(`[${rule.name}] Reward for ${payload.helper_id} queued for retry:`, result.error?.message || 'waiting');
+    await say(`⏳ Couldn't reach the reward service for ${helper.username} right now; it's queued and will be retried automatically.`);
+    return 'pending';
+  }
+
+  // Dead jobs are released and announced by onJobDead; only errors before submitting land here.
+  console.error(`[${rule.name}] Failed to send reward:`, result.error?.response?.data || result.error?.message);
+  if (!result.job) {
+    ledger.release(claim.entry.key);
+    auditLog.record({ ...audit, guildId: guild.id, outcome: 'failed', error: result.error?.message || String(result.error) });
+    await say(failureText);
+  }
+  return 'failed';
+}
+
+// ---- Reaction events ---------------------------------------------------------
+async function onReactionAdd(reaction, user) {
+  if (user.bot) return;
+
+  // Fetch the full reaction/message if it's partial
+  try {
+    if (reaction.partial) await reaction.fetch();
+    if (reaction.message.partial) await reaction.message.fetch();
+  } catch (error) {
+    console.error('Error fetching reaction:', error);
+    return;
+  }
+
+  const message = reaction.message;
+  const guild = message.guild;
+  const rules = guild && rulesFor(guild.id);
+  if (!rules) return;
+
+  // Only emoji with a rule for this channel are interesting
+  const candidates = rulesForReaction(rules, reaction.emoji, message.channel);
+  if (!candidates.length) return;
+
+  // Ensure the user holds a role allowed to use one of them
+  const member = await guild.members.fetch(user.id).catch(console.error);
+  if (!member) return;
+  const rule = candidates.find(r => mayUse(member, r));
+  if (!rule) return;
+
+  const helper = message.author;  // This is the player who gets the reward
+  if (!helper) {
+    console.error('Could not fetch message author.');
+    return;
+  }
+
+  await recognize({ guild, channel: message.channel, messageId: message.id, rule, helper, admin: user });
+}
+
+async function onReactionRemove(reaction, user) {
+  if (user.bot) return;
+
+  try {
+    if (reaction.partial) await reaction.fetch();
+    if (reaction.message.partial) await reaction.message.fetch();
+  } catch (error) {
+    console.error('Error fetching reaction:', error);
+    return;
+  }
+
+  const message = reaction.message;
+  const rules = message.guild && rulesFor(message.guild.id);
+  if (!rules) return;
+
+  // Find a grant this admin made for this emoji on this message
+  for (const rule of rulesForReaction(rules, reaction.emoji, message.channel)) {
+    const entry = ledger.get(message.id, rule.name);
+    if (!entry || entry.adminId !== user.id) continue;
+
+    if (!isReversible(rule)) {
+      console.log(`[${rule.name}] Reaction removed on ${message.id}, but the rule cannot be undone automatically.`);
+      return;
+    }
+
+    const begun = ledger.beginReversal(entry.key, { adminId: user.id, windowMs: rule.undoWindowMs });
+    if (!begun.ok) {
+      console.log(`[${rule.name}] Not reversing ${message.id}: ${begun.reason}`);
+      return;
+    }
+
+    const helperName = message.author?.username || entry.helperId;
+    const vars = {
+      helper: helperName,
+      helperMention: `<@${entry.helperId}>`,
+      admin: user.username,
+      amount: entry.amount != null ? Math.abs(entry.amount) : '',
+      rule: rule.name,
+    };
+    const payload = {
+      helper_id: entry.helperId,
+      helper_username: helperName,
+      rule: rule.name,
+      polarity: rule.polarity,
+      reversal: true,
+      description: `Reversal: administrator ${user.username} removed the "${rule.name}" reaction for ${helperName}.`,
+      timestamp: new Date().toISOString(),
+    };
+
+    const note = renderTemplate(rule.reversedMessage, vars);
+    const failureText = `Failed to reverse the "${rule.name}" reward for ${helperName}. Please fix it manually. 😢`;
+    const audit = {
+      action: 'reward_reversal',
+      actor: { id: user.id, name: user.username },
+      player: { id: entry.helperId, name: helperName },
+      amount: entry.amount != null ? -entry.amount : null,
+      reason: payload.description,
+      ref: `${rule.name}:${message.id}`,
+    };
+
+    let result;
+    try {
+      await delay(1000);
+      const job = await buildReversal(message.guild.id, rule, entry, payload);
+      result = await outbox.submit({
+        ...job,
+        meta: {
+          kind: 'reversal',
+          guildId: message.guild.id,
+          ledgerKey: entry.key,
+          channelId: message.channel.id,
+          ackMessageId: entry.ackMessageId,
+          successText: note,
+          failureText,
+          audit,
+        },
+      });
+    } catch (error) {
+      result = { status: 'dead', error };
+    }
+
+    if (result.status === 'done') {
+      ledger.finishReversal(entry.key, true);
+      console.log(`[${rule.name}] Reversed reward for helper: ${entry.helperId}`);
+      // Edit the original acknowledgement so the channel shows what happened
+      await markAckReversed(message.channel.id, entry.ackMessageId, note);
+    } else if (result.status === 'pending') {
+      console.warn(`[${rule.name}] Reversal for ${entry.helperId} queued for retry`);
+      message.channel.send(`⏳ Reversal of the "${rule.name}" reward for ${helperName} is queued and will be retried automatically.`).catch(console.error);
+    } else {
+      console.error(`[${rule.name}] Failed to reverse reward:`, result.error?.response?.data || result.error?.message);
+      if (!result.job) {
+        ledger.finishReversal(entry.key, false);
+        auditLog.record({ ...audit, guildId: message.guild.id, outcome: 'failed', error: result.error?.message || String(result.error) });
+        message.channel.send(failureText).catch(console.error);
+      }
+    }
+    return;
+  }
+}
+
+module.exports = { init, onReactionAdd, onReactionRemove, recognize, recognitionRule, mayUse };
@@ -0,0 +1,190 @@
+/**
+ * Reaction reward rules
+ * ------------------------------------------------------
+ * Loads the rules file (reactions.json by default) and matches incoming
+ * reactions against it. Each rule describes one emoji an admin can react
+ * with and what happens to the message author:
+ *
+ *   {
+ *     "name": "contribution",          // unique, used in logs
+ *     "emoji": "✅",                    // unicode emoji or custom emoji id/name
+ *     "polarity": "positive",          // "positive" | "negative"
+ *     "requiredRoles": ["123"],        // any of these roles may use it (default: ADMIN_ROLE_ID)
+ *     "channels": [],                  // allowlist of channel/category ids (empty = everywhere)
+ *     "reward": { "type": "webhook", "url": "...", "undoUrl": "..." }
+ *             | { "type": "task", "taskId": "...", "undoTaskId": "..." }
+ *             | { "type": "tokens", "amount": 100 },
+ *     "description": "...",            // payload / GSA description template
+ *     "message": "...",                // channel acknowledgement template
+ *     "failureMessage": "...",         // optional, posted when the reward fails
+ *     "cooldownMinutes": 0,            // optional, min. time between rewards for the same helper
+ *     "duplicateMessage": "...",       // optional, posted when the message was already rewarded
+ *     "cooldownMessage": "...",        // optional, posted when the helper is still on cooldown
+ *     "undoWindowMinutes": 15,         // how long the granting admin can undo by removing the emoji (0 = never)
+ *     "reversedMessage": "..."         // optional, appended to the edited acknowledgement
+ *   }
+ *
+ * Token rewards are undone with the opposite mutation; webhook and task
+ * rewards only when "undoUrl" / "undoTaskId" is set.
+ *
+ * Templates accept {helper}, {helperMention}, {admin}, {amount}, {rule}, {reason}
+ * (the reason given with /recognize or "Recognize helper"; appended to the
+ * description and message when they don't use it);
+ * duplicateMessage also gets {previousAdmin}, cooldownMessage gets {retryIn}.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'reactions.json');
+const REWARD_TYPES = ['webhook', 'task', 'tokens'];
+const POLARITIES = ['positive', 'negative'];
+
+const DEFAULT_DESCRIPTION = 'Administrator {admin} recognized {helper} for helping.';
+const DEFAULT_FAILURE = 'Failed to send recognition for {helper}. Please try again later. 😢';
+const DEFAULT_DUPLICATE = 'ℹ️ This message was already rewarded under "{rule}" by {previousAdmin}; ignoring.';
+const DEFAULT_COOLDOWN = '⏳ {helper} was rewarded under "{rule}" recently. Try again in {retryIn}.';
+const DEFAULT_REVERSED = '↩️ {admin} removed the reaction; the "{rule}" reward for {helper} was reversed.';
+const DEFAULT_UNDO_WINDOW_MINUTES = 15;
+
+// The same checks lib/config.js makes: placeholders like "admin role id discord"
+// have spaces where real ids never do, and GSA task ids are numbers.
+const isId = v => (typeof v === 'string' || typeof v === 'number') && /^\S+$/.test(String(v));
+const isTaskId = v => /^\d+$/.test(String(v));
+function isHttpUrl(text) {
+  try {
+    return /^https?:$/.test(new URL(String(text)).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function normalizeRule(raw, index, { defaultRoleId } = {}) {
+  const where = `rule #${index + 1}${raw?.name ? ` (${raw.name})` : ''}`;
+  if (!raw || typeof raw !== 'object') throw new Error(`${where}: must be an object`);
+  if (!raw.name || typeof raw.name !== 'string') throw new Error(`${where}: "name" is required`);
+  if (!raw.emoji || typeof raw.emoji !== 'string') throw new Error(`${where}: "emoji" is required`);
+
+  const polarity = raw.polarity || 'positive';
+  if (!POLARITIES.includes(polarity)) {
+    throw new Error(`${where}: "polarity" must be one of ${POLARITIES.join(', ')}`);
+  }
+
+  const reward = raw.reward || {};
+  if (!REWARD_TYPES.includes(reward.type)) {
+    throw new Error(`${where}: "reward.type" must be one of ${REWARD_TYPES.join(', ')}`);
+  }
+  if (reward.type === 'webhook' && !reward.url) throw new Error(`${where}: webhook reward needs "url"`);
+  if (reward.type === 'task' && !reward.taskId) throw new Error(`${where}: task reward needs "taskId"`);
+  for (const key of ['url', 'undoUrl']) {
+    if (reward[key] && !isHttpUrl(reward[key])) throw new Error(`${where}: "reward.${key}" ${JSON.stringify(reward[key])} is not an http(s) URL`);
+  }
+  for (const key of ['taskId', 'undoTaskId']) {
+    if (reward[key] && !isTaskId(reward[key])) throw new Error(`${where}: "reward.${key}" ${JSON.stringify(reward[key])} is not a GSA task id`);
+  }
+  if (reward.type === 'tokens' && (!Number.isInteger(reward.amount) || reward.amount === 0)) {
+    throw new Error(`${where}: tokens reward needs a non-zero integer "amount"`);
+  }
+  const cooldownMinutes = raw.cooldownMinutes ?? 0;
+  if (typeof cooldownMinutes !== 'number' || cooldownMinutes < 0) {
+    throw new Error(`${where}: "cooldownMinutes" must be a number >= 0`);
+  }
+  const undoWindowMinutes = raw.undoWindowMinutes ?? DEFAULT_UNDO_WINDOW_MINUTES;
+  if (typeof undoWindowMinutes !== 'number' || undoWindowMinutes < 0) {
+    throw new Error(`${where}: "undoWindowMinutes" must be a number >= 0`);
+  }
+
+  // Rules without explicit roles fall back to ADMIN_ROLE_ID; no role at all is refused
+  // rather than letting anyone hand out rewards.
+  const requiredRoles = (raw.requiredRoles?.length ? raw.requiredRoles : [defaultRoleId]).filter(Boolean).map(String);
+  if (!requiredRoles.length) {
+    throw new Error(`${where}: no "requiredRoles" and ADMIN_ROLE_ID is not set`);
+  }
+  for (const key of ['requiredRoles', 'channels']) {
+    const bad = (raw[key] || []).find(id => !isId(id));
+    if (bad !== undefined) throw new Error(`${where}: ${JSON.stringify(bad)} in "${key}" is not a Discord id`);
+  }
+
+  // Token rewards always move in the direction of the rule's polarity.
+  const normalizedReward = reward.type === 'tokens'
+    ? { ...reward, amount: Math.abs(reward.amount) * (polarity === 'negative' ? -1 : 1) }
+    : { ...reward };
+
+  return {
+    name: raw.name,
+    emoji: raw.emoji,
+    polarity,
+    requiredRoles,
+    channels: (raw.channels || []).map(String),
+    reward: normalizedReward,
+    description: raw.description || DEFAULT_DESCRIPTION,
+    message: raw.message || '{helper} has been recognized! 🎉',
+    failureMessage: raw.failureMessage || DEFAULT_FAILURE,
+    cooldownMs: cooldownMinutes * 60_000,
+    duplicateMessage: raw.duplicateMessage || DEFAULT_DUPLICATE,
+    cooldownMessage: raw.cooldownMessage || DEFAULT_COOLDOWN,
+    undoWindowMs: undoWindowMinutes * 60_000,
+    reversedMessage: raw.reversedMessage || DEFAULT_REVERSED,
+  };
+}
+
+function parseRules(json, options) {
+  const list = Array.isArray(json) ? json : json?.rules;
+  if (!Array.isArray(list)) throw new Error('rules file must contain a "rules" array');
+
+  const rules = list.map((raw, i) => normalizeRule(raw, i, options));
+  const seen = new Set();
+  for (const rule of rules) {
+    if (seen.has(rule.name)) throw new Error(`duplicate rule name "${rule.name}"`);
+    seen.add(rule.name);
+  }
+  return rules;
+}
+
+function loadRules(file = DEFAULT_RULES_PATH, options) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return parseRules(json, options);
+}
+
+// Custom emoji can be referenced by id or by name; unicode emoji only by name.
+function emojiMatches(rule, emoji) {
+  return rule.emoji === emoji.name || (emoji.id && rule.emoji === emoji.id);
+}
+
+// Allowlist entries may be a channel id or its parent (category / forum) id.
+function channelAllowed(rule, channel) {
+  if (!rule.channels.length) return true;
+  return rule.channels.includes(channel.id) || (channel.parentId && rule.channels.includes(channel.parentId));
+}
+
+function hasRequiredRole(rule, member) {
+  return rule.requiredRoles.some(id => member.roles.cache.has(id));
+}
+
+/**
+ * Rules that apply to this emoji in this channel, in file order.
+ */
+function rulesForReaction(rules, emoji, channel) {
+  return rules.filter(r => emojiMatches(r, emoji) && channelAllowed(r, channel));
+}
+
+// Whether removing the reaction can undo this rule's reward at all.
+function isReversible(rule) {
+  if (!rule.undoWindowMs) return false;
+  const { reward } = rule;
+  return reward.type === 'tokens' || Boolean(reward.undoUrl || reward.undoTaskId);
+}
+
+function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH,
+  parseRules,
+  loadRules,
+  rulesForReaction,
+  hasRequiredRole,
+  isReversible,
+  renderTemplate,
+};
@@ -0,0 +1,149 @@
+/**
+ * Reaction reward ledger
+ * ------------------------------------------------------
+ * Remembers which message has been rewarded under which rule so a second
+ * admin reacting, or the same admin removing and re-adding the emoji,
+ * never pays the helper twice. Persisted in DATA_DIR/reward-ledger.json.
+ *
+ * Entries are keyed "<messageId>:<ruleName>" and move through
+ *   pending   -> claimed, reward call in flight
+ *   granted   -> reward delivered
+ *   reversing -> admin removed the reaction, compensating call in flight
+ *   reversed  -> reward undone; the slot may be claimed again
+ * A failed reward releases its claim so the reaction can be retried. A pending
+ * entry left behind by a crash keeps blocking: better unpaid than paid twice.
+ *
+ * Granted entries under a positive rule are the recognitions /helpers counts
+ * (who, by whom, which message in which channel, when, under which rule).
+ * `source` says how it was given: 'reaction', 'context-menu' or 'command'
+ * (/recognize, whose messageId is the interaction id: there is no message).
+ */
+
+const { openStore } = require('./json-store');
+
+function ledgerKey(messageId, ruleName) {
+  return `${messageId}:${ruleName}`;
+}
+
+function createLedger(name = 'reward-ledger.json') {
+  const store = openStore(name, { entries: {} });
+  const { entries } = store.data;
+
+  // Last time this helper was granted anything under this rule.
+  function lastGrantFor(helperId, ruleName) {
+    let last = 0;
+    for (const e of Object.values(entries)) {
+      if (e.helperId === helperId && e.rule === ruleName && e.status === 'granted') {
+        last = Math.max(last, e.grantedAt || 0);
+      }
+    }
+    return last;
+  }
+
+  /**
+   * Reserve the (message, rule) slot before the reward is sent.
+   * Returns { ok: true, entry } or { ok: false, reason: 'duplicate' | 'cooldown', entry?, retryAt? }.
+   */
+  function claim({
+    messageId, channelId, guildId, rule, polarity, helperId, helperName, adminId, adminName,
+    source = 'reaction', reason = null, cooldownMs = 0, now = Date.now(),
+  }) {
+    const key = ledgerKey(messageId, rule);
+    const existing = entries[key];
+    if (existing && existing.status !== 'reversed') return { ok: false, reason: 'duplicate', entry: existing };
+
+    if (cooldownMs > 0) {
+      const last = lastGrantFor(helperId, rule);
+      if (last && now - last < cooldownMs) {
+        return { ok: false, reason: 'cooldown', retryAt: last + cooldownMs };
+      }
+    }
+
+    const entry = {
+      key, messageId, channelId, guildId, rule, polarity, helperId, helperName, adminId, adminName, source, reason,
+      status: 'pending',
+      createdAt: now,
+    };
+    entries[key] = entry;
+    store.save();
+    return { ok: true, entry };
+  }
+
+  // `details` keeps what a reversal needs later (player uuid, amount, ack message id).
+  function markGranted(key, details = {}, now = Date.now()) {
+    const entry = entries[key];
+    if (!entry) return null;
+    Object.assign(entry, details, { status: 'granted', grantedAt: now });
+    store.save();
+    return entry;
+  }
+
+  /**
+   * Move a granted entry to "reversing" if `adminId` granted it less than
+   * `windowMs` ago. Returns { ok: true, entry } or { ok: false, reason: 'not-found' | 'other-admin' | 'expired' }.
+   */
+  function beginReversal(key, { adminId, windowMs, now = Date.now() }) {
+    const entry = entries[key];
+    if (!entry || entry.status !== 'granted') return { ok: false, reason: 'not-found' };
+    if (entry.adminId !== adminId) return { ok: false, reason: 'other-admin', entry };
+    if (now - entry.grantedAt > windowMs) return { ok: false, reason: 'expired', entry };
+    entry.status = 'reversing';
+    store.save();
+    return { ok: true, entry };
+  }
+
+  function finishReversal(key, succeeded, now = Date.now()) {
+    const entry = entries[key];
+    if (!entry || entry.status !== 'reversing') return null;
+    entry.status = succeeded ? 'reversed' : 'granted';
+    if (succeeded) entry.reversedAt = now;
+    store.save();
+    return entry;
+  }
+
+  function release(key) {
+    if (!(key in entries)) return;
+    delete entries[key];
+    store.save();
+  }
+
+  function get(messageId, ruleName) {
+    return entries[ledgerKey(messageId, ruleName)] || null;
+  }
+
+  // Rewards a helper currently holds, newest first.
+  function grantedTo(helperId) {
+    return Object.values(entries)
+      .filter(e => e.helperId === helperId && e.status === 'granted')
+      .sort((a, b) => b.grantedAt - a.grantedAt);
+  }
+
+  /**
+   * Granted rewards under positive rules, newest first.
+   * @param {object} [q] { guildId, helperId, since } (since: ms, compared with grantedAt)
+   */
+  function recognitions({ guildId, helperId, since = 0 } = {}) {
+    return Object.values(entries)
+      .filter(e => e.status === 'granted' && e.polarity === 'positive' && e.grantedAt >= since &&
+        (!guildId || e.guildId === guildId) && (!helperId || e.helperId === helperId))
+      .sort((a, b) => b.grantedAt - a.grantedAt);
+  }
+
+  // Fill a field on entries written before it existed; valueOf(entry) -> value (undefined to skip).
+  function backfill(field, valueOf) {
+    let changed = 0;
+    for (const e of Object.values(entries)) {
+      if (e[field] !== undefined) continue;
+      const value = valueOf(e);
+      if (value === undefined) continue;
+      e[field] = value;
+      changed += 1;
+    }
+    if (changed) store.save();
+    return changed;
+  }
+
+  return { claim, markGranted, beginReversal, finishReversal, release, get, grantedTo, recognitions, backfill };
+}
+
+module.exports = { createLedger, ledgerKey };
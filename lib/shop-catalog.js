@@ -0,0 +1,123 @@
+/**
+ * Shop catalog
+ * ------------------------------------------------------
+ * What /shop sells, loaded from shop.json (SHOP_CATALOG to point elsewhere,
+ * also per guild in config.json). Every item is a GSA task that is executed
+ * for the buyer's Discord id (service_id) once the price has been paid:
+ *
+ *   {
+ *     "items": [
+ *       {
+ *         "id": "dino-egg",                 // what players pass to /shop buy
+ *         "name": "Dino egg",
+ *         "description": "A random egg in your inventory",
+ *         "price": 250,                     // tokens
+ *         "taskId": "1234",                 // GSA task to execute
+ *         "stock": 20,                      // units for sale in total (leave out for unlimited, raise to restock)
+ *         "perPlayerLimit": 1,              // units per player (0 = no limit)
+ *         "requiredRoles": ["123"]          // buyer needs one of these roles ([] = everyone)
+ *       }
+ *     ]
+ *   }
+ *
+ * Sold units are counted from the order journal (lib/shop-orders.js); a
+ * refunded order gives its unit back. A missing file means an empty shop.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'shop.json');
+
+function normalizeItem(raw, index, errors) {
+  const where = `item ${raw?.id ? `"${raw.id}"` : `#${index + 1}`}`;
+  if (!raw || typeof raw !== 'object') {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const item = {
+    id: typeof raw.id === 'string' ? raw.id.trim().toLowerCase() : '',
+    name: raw.name ? String(raw.name) : '',
+    description: raw.description ? String(raw.description) : '',
+    price: raw.price,
+    taskId: raw.taskId != null ? String(raw.taskId) : '',
+    stock: raw.stock ?? null,
+    perPlayerLimit: raw.perPlayerLimit ?? 0,
+    requiredRoles: raw.requiredRoles ?? [],
+  };
+
+  if (!/^[a-z0-9_-]+$/.test(item.id)) errors.push(`${where}: "id" must be letters, digits, - or _`);
+  if (!item.name) errors.push(`${where}: "name" is required`);
+  if (!Number.isInteger(item.price) || item.price <= 0) errors.push(`${where}: "price" must be a whole number > 0`);
+  if (!item.taskId) errors.push(`${where}: "taskId" is required`);
+  else if (!/^\d+$/.test(item.taskId)) errors.push(`${where}: "taskId" ${JSON.stringify(item.taskId)} is not a GSA task id`);
+  if (item.stock !== null && (!Number.isInteger(item.stock) || item.stock < 0)) {
+    errors.push(`${where}: "stock" must be a whole number >= 0`);
+  }
+  if (!Number.isInteger(item.perPlayerLimit) || item.perPlayerLimit < 0) {
+    errors.push(`${where}: "perPlayerLimit" must be a whole number >= 0`);
+  }
+  if (!Array.isArray(item.requiredRoles)) {
+    errors.push(`${where}: "requiredRoles" must be an array of role ids`);
+    item.requiredRoles = [];
+  }
+  item.requiredRoles = item.requiredRoles.map(String);
+  return item;
+}
+
+function normalizeCatalog(raw = {}) {
+  if (!Array.isArray(raw.items ?? [])) throw new Error('"items" must be an array');
+  const errors = [];
+  const items = (raw.items ?? []).map((r, i) => normalizeItem(r, i, errors)).filter(Boolean);
+
+  const seen = new Set();
+  for (const item of items) {
+    if (item.id && seen.has(item.id)) errors.push(`item "${item.id}": listed twice`);
+    seen.add(item.id);
+  }
+
+  if (errors.length) throw new Error(errors.join('; '));
+  return { items };
+}
+
+// A missing catalog file means "nothing for sale".
+function loadCatalog(file = DEFAULT_CATALOG_PATH) {
+  if (!fs.existsSync(file)) return normalizeCatalog({});
+  return normalizeCatalog(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// By id, or by name ignoring case.
+function findItem(catalog, query) {
+  const q = String(query || '').trim().toLowerCase();
+  return catalog.items.find(i => i.id === q) || catalog.items.find(i => i.name.toLowerCase() === q) || null;
+}
+
+// Units left, or null for unlimited stock.
+function stockLeft(item, sold) {
+  return item.stock === null ? null : Math.max(0, item.stock - sold);
+}
+
+function reject(rule, message) {
+  return { ok: false, rule, message: `❌ ${message}` };
+}
+
+/**
+ * @param {object} item  normalized catalog item
+ * @param {object} ctx { roleIds: string[], sold: number, bought: number }
+ *                     sold = units of the item sold so far, bought = by this player
+ * @returns {{ ok: true } | { ok: false, rule: string, message: string }}
+ */
+function checkPurchase(item, { roleIds, sold, bought }) {
+  if (item.requiredRoles.length && !item.requiredRoles.some(id => roleIds.includes(id))) {
+    return reject('requiredRoles', `You need one of these roles to buy **${item.name}**: ${item.requiredRoles.map(id => `<@&${id}>`).join(', ')}.`);
+  }
+  if (stockLeft(item, sold) === 0) {
+    return reject('stock', `**${item.name}** is sold out.`);
+  }
+  if (item.perPlayerLimit && bought >= item.perPlayerLimit) {
+    return reject('perPlayerLimit', `**${item.name}** is limited to **${item.perPlayerLimit}** per player and you already have ${bought === 1 ? 'one' : `**${bought}**`}.`);
+  }
+  return { ok: true };
+}
+
+module.exports = { DEFAULT_CATALOG_PATH, normalizeCatalog, loadCatalog, findItem, stockLeft, checkPurchase };
@@ -0,0 +1,54 @@
+/**
+ * Shop orders
+ * ------------------------------------------------------
+ * Every /shop purchase is written to DATA_DIR/shop-orders.json before any
+ * tokens move, and each step is recorded as it happens:
+ *
+ *   pending    -> written, buyer debit queued (debitJobId)
+ *   paid       -> price taken, GSA task queued (taskJobId)
+ *   delivered  -> task executed ✔
+ *   failed     -> debit never went through, nothing moved ✔
+ *   refunding  -> task failed for good, refund queued (refundJobId)
+ *   refunded   -> buyer got the price back ✔
+ *   stuck      -> refund failed or state unknown; a manager must resolve it
+ *   resolved   -> closed by a manager ✔
+ *
+ * Job ids are outbox job ids (lib/outbox.js), stored before the job is
+ * submitted; the file handling is lib/step-journal.js.
+ */
+
+const { createStepJournal } = require('./step-journal');
+
+const ORDER_STATES = ['pending', 'paid', 'delivered', 'failed', 'refunding', 'refunded', 'stuck', 'resolved'];
+const FINAL_STATES = ['delivered', 'failed', 'refunded', 'resolved'];
+// Orders that did not (and will not) take a unit of stock.
+const RETURNED_STATES = ['failed', 'refunded'];
+
+/**
+ * create(o) takes {
+ *   guildId, community, itemId, itemName, taskId, price,
+ *   buyerId, buyerName, buyerUuid
+ * }
+ */
+function createShopOrders(name = 'shop-orders.json') {
+  const journal = createStepJournal({
+    name,
+    key: 'orders',
+    noun: 'order',
+    states: ORDER_STATES,
+    finalStates: FINAL_STATES,
+    jobFields: ['debitJobId', 'taskJobId', 'refundJobId'],
+  });
+
+  // Units of an item a community sold (to one buyer, with `buyerId`), refunds not counted.
+  function countSold({ community, itemId, buyerId }) {
+    return journal.list()
+      .filter(o => o.community === community && o.itemId === itemId && (!buyerId || o.buyerId === buyerId))
+      .filter(o => !RETURNED_STATES.includes(o.state))
+      .length;
+  }
+
+  return { ...journal, countSold };
+}
+
+module.exports = { createShopOrders, ORDER_STATES, FINAL_STATES };
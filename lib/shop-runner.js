@@ -0,0 +1,65 @@
+/**
+ * Shop runner
+ * ------------------------------------------------------
+ * Drives a journaled order (lib/shop-orders.js) through its steps using the
+ * outbox for the debit, the GSA task and the refund:
+ *
+ *   pending   --debit done-->   paid      --task done-->    delivered
+ *   pending   --debit dead-->   failed
+ *   paid      --task dead-->    refunding --refund done-->  refunded
+ *   refunding --refund dead-->  stuck
+ *
+ * The stepping itself (advance, resumeAll, resolve) is lib/step-runner.js;
+ * this module only says what each step sends.
+ */
+
+const { createStepRunner } = require('./step-runner');
+
+// state -> [journal field of its job, next state when done, next state when dead]
+const STEPS = {
+  pending: ['debitJobId', 'paid', 'failed'],
+  paid: ['taskJobId', 'delivered', 'refunding'],
+  refunding: ['refundJobId', 'refunded', 'stuck'],
+};
+
+/**
+ * @param {object} deps
+ * @param {object} deps.orders    createShopOrders()
+ * @param {object} deps.outbox    createOutbox()
+ * @param {function} deps.mutate  (order, amount, description, { id, label, meta }) => outbox outcome
+ * @param {function} deps.runTask (order, payload, { id, label, meta }) => outbox outcome
+ * @param {function} [deps.onChange] (order, previousState) after every state change
+ */
+function createShopRunner({ orders, outbox, mutate, runTask, onChange }) {
+  function submit(order, { id }) {
+    const buyer = { id: order.buyerId, name: order.buyerName };
+    const meta = action => ({ kind: 'shop', orderId: order.id, guildId: order.guildId, audit: { action, actor: buyer, player: buyer, ref: `shop:${order.id}` } });
+
+    if (order.state === 'pending') {
+      return mutate(order, -order.price, `Shop: ${order.itemName}`, {
+        id, label: `Order ${order.id}: ${order.buyerName} pays ${order.price} for ${order.itemName}`, meta: meta('shop_purchase'),
+      });
+    }
+    if (order.state === 'paid') {
+      const payload = {
+        order_id: order.id,
+        item: order.itemId,
+        buyer_id: order.buyerId,
+        buyer_username: order.buyerName,
+        price: order.price,
+        description: `Shop: ${order.buyerName} bought ${order.itemName} for ${order.price} tokens`,
+        timestamp: new Date().toISOString(),
+      };
+      return runTask(order, payload, {
+        id, label: `Order ${order.id}: deliver ${order.itemName} to ${order.buyerName} (task ${order.taskId})`, meta: meta('shop_delivery'),
+      });
+    }
+    return mutate(order, order.price, `Refund: ${order.itemName} could not be delivered`, {
+      id, label: `Order ${order.id}: refund ${order.price} to ${order.buyerName} (delivery failed)`, meta: meta('shop_refund'),
+    });
+  }
+
+  return createStepRunner({ journal: orders, outbox, steps: STEPS, submit, noun: 'order', tag: 'Shop', onChange });
+}
+
+module.exports = { createShopRunner };
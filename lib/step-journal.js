@@ -0,0 +1,93 @@
+/**
+ * Step journal
+ * ------------------------------------------------------
+ * A JSON file of records that move tokens in several steps (trades, shop
+ * orders). Each record is written before anything is sent, and every state
+ * change is appended to its history, so a crash or a failed rollback can
+ * always be traced and finished by lib/step-runner.js.
+ *
+ * A record's step jobs are outbox job ids (lib/outbox.js), one field per
+ * step (e.g. "debitJobId"); they are stored before the job is submitted so a
+ * restart can tell "sent" from "never sent".
+ *
+ *   { ...fields, id, state, <jobFields>: null, createdAt, updatedAt,
+ *     history: [{ state, at, detail? }] }
+ */
+
+const crypto = require('node:crypto');
+const { openStore } = require('./json-store');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.name         store file inside DATA_DIR
+ * @param {string} opts.key          the object in the file holding the records ("trades")
+ * @param {string} opts.noun         for errors ("trade")
+ * @param {string[]} opts.states     every state; the first is the one a record starts in
+ * @param {string[]} opts.finalStates
+ * @param {string[]} opts.jobFields  one per step
+ * @param {object} [opts.defaults]   fields a new record has unless given
+ */
+function createStepJournal({ name, key, noun, states, finalStates, jobFields, defaults = {} }) {
+  const store = openStore(name, { [key]: {} });
+  const records = store.data[key];
+
+  function newId() {
+    let id;
+    do id = crypto.randomUUID().slice(0, 8); while (records[id]);
+    return id;
+  }
+
+  function create(fields, now = Date.now()) {
+    const record = {
+      ...defaults,
+      ...fields,
+      id: newId(),
+      state: states[0],
+      ...Object.fromEntries(jobFields.map(f => [f, null])),
+      createdAt: now,
+      updatedAt: now,
+      history: [{ state: states[0], at: now }],
+    };
+    records[record.id] = record;
+    store.save();
+    return record;
+  }
+
+  function get(id) {
+    return records[id] || null;
+  }
+
+  // Merge fields without a state change (e.g. a job id about to be submitted).
+  function patch(id, fields, now = Date.now()) {
+    const record = records[id];
+    if (!record) throw new Error(`Unknown ${noun} ${id}`);
+    Object.assign(record, fields, { updatedAt: now });
+    store.save();
+    return record;
+  }
+
+  function transition(id, state, detail, now = Date.now()) {
+    if (!states.includes(state)) throw new Error(`Unknown ${noun} state "${state}"`);
+    const record = records[id];
+    if (!record) throw new Error(`Unknown ${noun} ${id}`);
+    record.state = state;
+    record.updatedAt = now;
+    record.history.push(detail ? { state, at: now, detail } : { state, at: now });
+    store.save();
+    return record;
+  }
+
+  function list({ states: only, guildId } = {}) {
+    return Object.values(records)
+      .filter(r => (!only || only.includes(r.state)) && (!guildId || r.guildId === guildId))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function open() {
+    return list().filter(r => !finalStates.includes(r.state));
+  }
+
+  return { create, get, patch, transition, list, open };
+}
+
+module.exports = { createStepJournal };
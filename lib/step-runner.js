@@ -0,0 +1,110 @@
+/**
+ * Step runner
+ * ------------------------------------------------------
+ * Drives a journaled record (lib/step-journal.js) through its steps, one
+ * outbox job per step. What the steps are is a table:
+ *
+ *   state -> [journal field of its job, next state when done, next state when dead]
+ *
+ * ("next when done" may be a function of the record). lib/trade-runner.js
+ * and lib/shop-runner.js each bring their table and what a step sends.
+ *
+ * advance() is safe to call at any time and from anywhere (interaction,
+ * outbox callbacks, startup): it reads the journal, checks the outbox for the
+ * current step's job and only ever submits a step whose job was never sent.
+ * The first step ("pending") whose job never left is abandoned instead, since
+ * whatever was checked before it is stale by then; later steps (credits,
+ * deliveries, refunds) must still happen. A step that dies into "stuck"
+ * waits for a manager: resolve() retries it or closes the record.
+ */
+
+const crypto = require('node:crypto');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.journal   createStepJournal()
+ * @param {object} deps.outbox    createOutbox()
+ * @param {object} deps.steps     the table above
+ * @param {function} deps.submit  (record, { id }) => sends the current step as outbox job `id`
+ * @param {string} deps.noun      for logs and errors ("trade")
+ * @param {string} deps.tag       log prefix ("Trade")
+ * @param {function} [deps.onChange] (record, previousState) after every state change
+ */
+function createStepRunner({ journal, outbox, steps, submit, noun, tag, onChange }) {
+  // The step that ends in "stuck" when it dies: where a retry of an old stuck record starts
+  const lastResort = Object.keys(steps).find(state => steps[state][2] === 'stuck');
+
+  function move(record, state, detail) {
+    const previous = record.state;
+    const updated = journal.transition(record.id, state, detail);
+    if (state === 'stuck') journal.patch(record.id, { stuckFrom: previous });
+    try { onChange?.(updated, previous); } catch (e) { console.error(`[${tag}] onChange failed`, e); }
+    return updated;
+  }
+
+  // Record the job id first, then hand the job to the outbox.
+  async function submitStep(record, field) {
+    const id = crypto.randomUUID();
+    journal.patch(record.id, { [field]: id });
+    await submit(journal.get(record.id), { id });
+  }
+
+  async function advance(id) {
+    for (;;) {
+      const record = journal.get(id);
+      if (!record || !steps[record.state]) return record;
+
+      const [field, onDone, onDead] = steps[record.state];
+      const jobId = record[field];
+      const status = jobId ? outbox.status(jobId) : null;
+
+      if (status === 'queued') return record; // outbox calls back when it settles
+      if (status === 'done') { move(record, typeof onDone === 'function' ? onDone(record) : onDone); continue; }
+      if (status === 'dead') { move(record, onDead, outbox.list('dead').find(j => j.id === jobId)?.lastError); continue; }
+
+      if (jobId && record.state === 'pending') {
+        move(record, 'failed', 'debit was never sent (restart)');
+        continue;
+      }
+      try {
+        await submitStep(record, field);
+      } catch (e) {
+        move(journal.get(id), 'stuck', e?.message || String(e));
+        return journal.get(id);
+      }
+    }
+  }
+
+  // Pick up every record a previous run left unfinished.
+  async function resumeAll() {
+    const open = journal.open().filter(r => steps[r.state]);
+    if (open.length) console.log(`[${tag}] Resuming ${open.length} unfinished ${noun}(s)`);
+    for (const r of open) await advance(r.id).catch(e => console.error(`[${tag}] Resume ${r.id} failed`, e));
+  }
+
+  /**
+   * Manager actions for stuck records:
+   *   retry -> go back to the step that got stuck and send it again
+   *   close -> mark resolved (fixed by hand), with a note
+   */
+  async function resolve(id, action, { by, note } = {}) {
+    const record = journal.get(id);
+    if (!record) throw new Error(`No ${noun} with id ${id}`);
+    if (record.state !== 'stuck') throw new Error(`${noun[0].toUpperCase()}${noun.slice(1)} ${id} is ${record.state}, not stuck`);
+
+    if (action === 'close') {
+      return move(record, 'resolved', `closed by ${by}${note ? `: ${note}` : ''}`);
+    }
+    if (action === 'retry') {
+      const from = record.stuckFrom && steps[record.stuckFrom] ? record.stuckFrom : lastResort;
+      journal.patch(record.id, { [steps[from][0]]: null });
+      move(record, from, `retry requested by ${by}`);
+      return advance(record.id);
+    }
+    throw new Error(`Unknown action "${action}"`);
+  }
+
+  return { advance, resumeAll, resolve };
+}
+
+module.exports = { createStepRunner };
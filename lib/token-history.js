@@ -0,0 +1,120 @@
+/**
+ * Paged token history
+ * ------------------------------------------------------
+ * A filtered, page-by-page view of one player's GSA token transactions,
+ * shown as an embed with Prev / Next buttons:
+ *
+ *   const view = createHistoryView({ gsa, player, filter, prefix: 'tokens', id });
+ *   await interaction.editReply(await view.render(0));
+ *
+ * GSA can only page through everything, so filters are applied here: GSA
+ * pages of 100 are fetched lazily until the requested page is full (at most
+ * maxGsaPages of them). Rows already fetched are kept, so going back is free.
+ *
+ * Filter: { direction: 'all' | 'grants' | 'removals' | 'trades', sender, from, to }
+ *   sender    matches the GSA sender's username (case-insensitive, "system" for the bot)
+ *   from, to  ms, inclusive; null for open ends
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { classifyTransaction } = require('./token-transactions');
+
+const DIRECTIONS = { grants: 'grant', removals: 'removal', trades: 'trade' };
+
+// 'YYYY-MM-DD' -> ms at the start (or end) of that UTC day; null when empty, NaN when invalid
+function parseDay(text, endOfDay = false) {
+  if (!text) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return NaN;
+  return Date.parse(`${text}T00:00:00Z`) + (endOfDay ? 86_400_000 - 1 : 0);
+}
+
+function senderOf(tx) {
+  return tx.sender?.username || 'system';
+}
+
+function matchesFilter(tx, { direction = 'all', sender = null, from = null, to = null } = {}) {
+  if (direction !== 'all' && classifyTransaction(tx) !== DIRECTIONS[direction]) return false;
+  if (sender && !senderOf(tx).toLowerCase().includes(sender.toLowerCase())) return false;
+  const at = Date.parse(tx.date);
+  return (from == null || at >= from) && (to == null || at <= to);
+}
+
+function filterText({ direction = 'all', sender, from, to }) {
+  const day = ms => new Date(ms).toISOString().slice(0, 10);
+  const parts = [];
+  if (direction !== 'all') parts.push(direction);
+  if (sender) parts.push(`sender "${sender}"`);
+  if (from != null || to != null) parts.push(`${from != null ? day(from) : '…'} → ${to != null ? day(to) : '…'}`);
+  return parts.join(' • ');
+}
+
+const signed = n => `${n >= 0 ? '+' : '-'}${Math.abs(n)}`;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.gsa          lib/gsa-client.js
+ * @param {object} opts.player       { uuid, username }
+ * @param {object} [opts.filter]
+ * @param {string} opts.prefix       button prefix of the owning command module
+ * @param {string} opts.id           view id, part of the button customIds
+ * @param {string} [opts.title]
+ */
+function createHistoryView({ gsa, player, filter = {}, prefix, id, title, pageSize = 10, maxGsaPages = 20 }) {
+  const rows = [];     // matching transactions fetched so far, newest first
+  let gsaPage = 0;
+  let exhausted = false;
+  let truncated = false;
+
+  // Fetch GSA pages until `count` matching rows are known (or there are no more).
+  async function fill(count) {
+    while (rows.length < count && !exhausted) {
+      if (gsaPage >= maxGsaPages) { exhausted = true; truncated = true; break; }
+      const list = (await gsa.getPlayerTokenHistory(player.uuid, 100, ++gsaPage))?.data || [];
+      rows.push(...list.filter(tx => matchesFilter(tx, filter)));
+      // Newest first: once a page is older than `from`, nothing further can match
+      const oldest = Date.parse(list.at(-1)?.date);
+      if (list.length < 100 || (filter.from != null && oldest < filter.from)) exhausted = true;
+    }
+  }
+
+  function buttons(page, hasNext) {
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`${prefix}:hprev:${id}`).setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+        new ButtonBuilder().setCustomId(`${prefix}:hnext:${id}`).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(!hasNext),
+      ),
+    ];
+  }
+
+  // -> message payload for page `page` (0-based)
+  async function render(page) {
+    await fill((page + 1) * pageSize + 1); // one extra row tells whether there is a next page
+    const start = page * pageSize;
+    const shown = rows.slice(start, start + pageSize);
+    const hasNext = rows.length > start + pageSize;
+    const running = rows.slice(0, start + shown.length).reduce((sum, tx) => sum + Number(tx.transaction_value || 0), 0);
+
+    const lines = shown.map(tx => {
+      const val = Number(tx.transaction_value);
+      return `<t:${Math.floor(Date.parse(tx.date) / 1000)}:d> ${val >= 0 ? '➕' : '➖'}${Math.abs(val)} • by ${senderOf(tx)} • ${tx.description || '-'}`;
+    });
+    const filters = filterText(filter);
+    const embed = new EmbedBuilder()
+      .setTitle(title || `📜 Token history – ${player.username}`)
+      .setColor(0x95a5a6)
+      .setDescription(
+        (filters ? `🔎 ${filters}\n\n` : '') +
+        (lines.length ? lines.join('\n') : 'ℹ️ No matching transactions.')
+      )
+      .setFooter({
+        text: `Page ${page + 1}${!hasNext && shown.length ? ' (last)' : ''} • rows ${shown.length ? start + 1 : 0}-${start + shown.length}` +
+          ` • running total ${signed(running)}` +
+          (truncated && !hasNext ? ` • only the newest ${maxGsaPages * 100} transactions were checked` : ''),
+      });
+    return { content: '', embeds: [embed], components: buttons(page, hasNext) };
+  }
+
+  return { id, player, filter, render };
+}
+
+module.exports = { DIRECTIONS, parseDay, matchesFilter, createHistoryView };
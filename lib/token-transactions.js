@@ -0,0 +1,27 @@
+/**
+ * GSA token transactions
+ * ------------------------------------------------------
+ * GSA only gives us a signed amount and the description we sent along, so
+ * what a transaction *was* is read back from that description. Trade steps
+ * all start with "Trade: " (lib/trade-runner.js):
+ *
+ *   debit     "Trade: <note> → <recipient>"
+ *   credit    "Trade: <note> ← <sender>"
+ *   fee       "Trade: fee, <sender> → <recipient>"
+ *   refund    "Trade: rollback of the failed transfer to <recipient>"
+ *
+ * Older fees and refunds ("Trade fee: ", "Rollback for failed transfer to ")
+ * still count. Everything else is a grant (positive) or a removal (negative),
+ * whatever arrows a manager's reason has, /shop purchases ("Shop: <item>")
+ * and their refunds included.
+ */
+
+const TRADE_DESCRIPTION_RE = /^Trade: |^Trade fee: |^Rollback for failed transfer to /;
+
+// -> 'trade' | 'grant' | 'removal'
+function classifyTransaction(tx) {
+  if (TRADE_DESCRIPTION_RE.test(tx.description || '')) return 'trade';
+  return Number(tx.transaction_value) >= 0 ? 'grant' : 'removal';
+}
+
+module.exports = { classifyTransaction };
@@ -0,0 +1,56 @@
+/**
+ * Trade journal
+ * ------------------------------------------------------
+ * Every /trade is written to DATA_DIR/trades.json before any tokens move,
+ * and each step is recorded as it happens, so a crash or a failed rollback
+ * can always be traced and finished:
+ *
+ *   pending      -> written, sender debit (amount + fee) queued (debitJobId)
+ *   debited      -> sender paid, recipient credit queued (creditJobId)
+ *   paying_fee   -> recipient paid, treasury fee credit queued (feeJobId)
+ *   credited     -> done ✔
+ *   failed       -> debit never went through, nothing moved ✔
+ *   rolling_back -> credit failed for good, sender refund queued (refundJobId)
+ *   rolled_back  -> sender refunded ✔
+ *   stuck        -> refund failed or state unknown; a manager must resolve it
+ *   resolved     -> closed by a manager ✔
+ *
+ * Job ids are outbox job ids (lib/outbox.js); they are stored before the job
+ * is submitted so a restart can tell "sent" from "never sent". The file
+ * handling is lib/step-journal.js.
+ */
+
+const { createStepJournal } = require('./step-journal');
+
+const TRADE_STATES = ['pending', 'debited', 'paying_fee', 'credited', 'failed', 'rolling_back', 'rolled_back', 'stuck', 'resolved'];
+const FINAL_STATES = ['credited', 'failed', 'rolled_back', 'resolved'];
+
+/**
+ * create(t) takes {
+ *   senderId, senderUuid, senderName, recipientId, recipientUuid, recipientName,
+ *   amount, fee, treasuryUuid, note, guildId
+ * }
+ */
+function createTradeJournal(name = 'trades.json') {
+  const journal = createStepJournal({
+    name,
+    key: 'trades',
+    noun: 'trade',
+    states: TRADE_STATES,
+    finalStates: FINAL_STATES,
+    jobFields: ['debitJobId', 'creditJobId', 'feeJobId', 'refundJobId'],
+    defaults: { fee: 0, treasuryUuid: null },
+  });
+
+  // Tokens sent (by: 'senderId') or received (by: 'recipientId') since `since`,
+  // counting every trade that did or still may move tokens.
+  function sumSince(by, discordId, since) {
+    return journal.list()
+      .filter(t => t[by] === discordId && t.createdAt >= since && !['failed', 'rolled_back'].includes(t.state))
+      .reduce((sum, t) => sum + t.amount, 0);
+  }
+
+  return { ...journal, sumSince };
+}
+
+module.exports = { createTradeJournal, TRADE_STATES, FINAL_STATES };
@@ -0,0 +1,129 @@
+/**
+ * Trade policy
+ * ------------------------------------------------------
+ * Limits, fees and anti-abuse rules for /trade, loaded from trade-policy.json
+ * (TRADE_POLICY in .env to point elsewhere). Every field is optional and
+ * 0 / [] / "" means "no limit":
+ *
+ *   {
+ *     "maxPerTrade": 5000,          // biggest single trade
+ *     "dailySendCap": 10000,        // per sender, rolling 24 hours
+ *     "dailyReceiveCap": 10000,     // per recipient, rolling 24 hours
+ *     "minAccountAgeDays": 7,       // Discord account age of the sender
+ *     "minMemberDays": 3,           // how long the sender has been in the server
+ *     "tradeRoles": ["123"],        // sender needs one of these roles
+ *     "blocklist": ["456"],         // Discord ids that may neither send nor receive
+ *     "fee": {
+ *       "percent": 2,               // rounded to whole tokens
+ *       "flat": 0,
+ *       "destination": "burn",      // "burn" | "treasury"
+ *       "treasuryDiscordId": ""     // linked Discord account that receives the fee
+ *     }
+ *   }
+ *
+ * The fee is paid by the sender on top of the amount; the recipient always
+ * gets the full amount.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'trade-policy.json');
+const DAY_MS = 24 * 60 * 60_000;
+
+const NUMERIC_FIELDS = ['maxPerTrade', 'dailySendCap', 'dailyReceiveCap', 'minAccountAgeDays', 'minMemberDays'];
+
+function normalizePolicy(raw = {}) {
+  const errors = [];
+  const policy = {};
+
+  for (const field of NUMERIC_FIELDS) {
+    const v = raw[field] ?? 0;
+    if (typeof v !== 'number' || v < 0) errors.push(`"${field}" must be a number >= 0`);
+    policy[field] = v;
+  }
+  for (const field of ['tradeRoles', 'blocklist']) {
+    const v = raw[field] ?? [];
+    if (!Array.isArray(v)) errors.push(`"${field}" must be an array of ids`);
+    policy[field] = (Array.isArray(v) ? v : []).map(String);
+  }
+
+  const fee = raw.fee || {};
+  policy.fee = {
+    percent: fee.percent ?? 0,
+    flat: fee.flat ?? 0,
+    destination: fee.destination || 'burn',
+    treasuryDiscordId: fee.treasuryDiscordId ? String(fee.treasuryDiscordId) : '',
+  };
+  if (typeof policy.fee.percent !== 'number' || policy.fee.percent < 0 || policy.fee.percent > 100) {
+    errors.push('"fee.percent" must be between 0 and 100');
+  }
+  if (!Number.isInteger(policy.fee.flat) || policy.fee.flat < 0) errors.push('"fee.flat" must be a whole number >= 0');
+  if (!['burn', 'treasury'].includes(policy.fee.destination)) errors.push('"fee.destination" must be "burn" or "treasury"');
+  if (policy.fee.destination === 'treasury' && !policy.fee.treasuryDiscordId) {
+    errors.push('"fee.treasuryDiscordId" is required when fee.destination is "treasury"');
+  }
+
+  if (errors.length) throw new Error(errors.join('; '));
+  return policy;
+}
+
+// A missing policy file means "no limits, no fee".
+function loadPolicy(file = DEFAULT_POLICY_PATH) {
+  if (!fs.existsSync(file)) return normalizePolicy({});
+  return normalizePolicy(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function computeFee(policy, amount) {
+  const { percent, flat } = policy.fee;
+  return flat + Math.round((amount * percent) / 100);
+}
+
+function reject(rule, message) {
+  return { ok: false, rule, message: `❌ ${message} (trade policy: ${rule})` };
+}
+
+/**
+ * @param {object} policy normalized policy
+ * @param {object} ctx {
+ *   amount, senderId, recipientId,
+ *   accountCreatedAt, memberJoinedAt, senderRoleIds: string[],
+ *   sentLast24h, receivedLast24h, now
+ * }
+ * @returns {{ ok: true, fee: number } | { ok: false, rule: string, message: string }}
+ */
+function checkTrade(policy, ctx) {
+  const now = ctx.now ?? Date.now();
+  const { amount } = ctx;
+
+  if (policy.blocklist.includes(ctx.senderId)) {
+    return reject('blocklist', 'You are not allowed to trade tokens.');
+  }
+  if (policy.blocklist.includes(ctx.recipientId)) {
+    return reject('blocklist', 'That player is not allowed to receive tokens.');
+  }
+  if (policy.tradeRoles.length && !policy.tradeRoles.some(id => ctx.senderRoleIds.includes(id))) {
+    return reject('tradeRoles', `You need one of these roles to trade: ${policy.tradeRoles.map(id => `<@&${id}>`).join(', ')}.`);
+  }
+  if (policy.minAccountAgeDays && now - ctx.accountCreatedAt < policy.minAccountAgeDays * DAY_MS) {
+    return reject('minAccountAgeDays', `Your Discord account must be at least **${policy.minAccountAgeDays}** days old to trade.`);
+  }
+  if (policy.minMemberDays && (!ctx.memberJoinedAt || now - ctx.memberJoinedAt < policy.minMemberDays * DAY_MS)) {
+    return reject('minMemberDays', `You must have been in this server for at least **${policy.minMemberDays}** days to trade.`);
+  }
+  if (policy.maxPerTrade && amount > policy.maxPerTrade) {
+    return reject('maxPerTrade', `A single trade is limited to **${policy.maxPerTrade}** tokens.`);
+  }
+  if (policy.dailySendCap && ctx.sentLast24h + amount > policy.dailySendCap) {
+    const left = Math.max(0, policy.dailySendCap - ctx.sentLast24h);
+    return reject('dailySendCap', `You can send **${policy.dailySendCap}** tokens per 24 hours; **${left}** left.`);
+  }
+  if (policy.dailyReceiveCap && ctx.receivedLast24h + amount > policy.dailyReceiveCap) {
+    const left = Math.max(0, policy.dailyReceiveCap - ctx.receivedLast24h);
+    return reject('dailyReceiveCap', `That player can receive **${policy.dailyReceiveCap}** tokens per 24 hours; **${left}** left.`);
+  }
+
+  return { ok: true, fee: computeFee(policy, amount) };
+}
+
+module.exports = { DEFAULT_POLICY_PATH, DAY_MS, normalizePolicy, loadPolicy, computeFee, checkTrade };
@@ -0,0 +1,71 @@
+/**
+ * Trade runner
+ * ------------------------------------------------------
+ * Drives a journaled trade (lib/trade-journal.js) through its steps using
+ * the outbox for every token mutation:
+ *
+ *   pending      --debit done-->    debited      --credit done-->  credited
+ *                                   debited      --credit done-->  paying_fee --fee done/dead--> credited
+ *                                                                  (when a fee goes to a treasury player)
+ *   pending      --debit dead-->    failed
+ *   debited      --credit dead-->   rolling_back --refund done-->  rolled_back
+ *   rolling_back --refund dead-->   stuck
+ *
+ * The stepping itself (advance, resumeAll, resolve) is lib/step-runner.js;
+ * this module only says what each step sends.
+ */
+
+const { createStepRunner } = require('./step-runner');
+
+// state -> [journal field of its job, next state when done, next state when dead]
+// A treasury fee that can't be delivered doesn't undo the trade; the dead job goes to the audit channel.
+const STEPS = {
+  pending: ['debitJobId', 'debited', 'failed'],
+  debited: ['creditJobId', t => (t.fee > 0 && t.treasuryUuid ? 'paying_fee' : 'credited'), 'rolling_back'],
+  paying_fee: ['feeJobId', 'credited', 'credited'],
+  rolling_back: ['refundJobId', 'rolled_back', 'stuck'],
+};
+
+/**
+ * @param {object} deps
+ * @param {object} deps.journal   createTradeJournal()
+ * @param {object} deps.outbox    createOutbox()
+ * @param {function} deps.mutate  (uuid, amount, description, { id, label, meta }) => outbox outcome
+ * @param {function} [deps.onChange] (trade, previousState) after every state change
+ */
+function createTradeRunner({ journal, outbox, mutate, onChange }) {
+  // -> [uuid, amount, description, label, audit action, player it lands on]
+  function stepRequest(trade) {
+    const { amount, senderUuid, senderName, recipientUuid, recipientName, note } = trade;
+    const fee = trade.fee || 0;
+    const sender = { id: trade.senderId, name: senderName };
+    if (trade.state === 'pending') {
+      return [senderUuid, -(amount + fee), `Trade: ${note} → ${recipientName}${fee ? ` (+${fee} fee)` : ''}`,
+        `Trade ${trade.id}: debit ${amount}${fee ? ` + ${fee} fee` : ''} from ${senderName} → ${recipientName}`,
+        'trade_debit', sender];
+    }
+    if (trade.state === 'debited') {
+      return [recipientUuid, amount, `Trade: ${note} ← ${senderName}`,
+        `Trade ${trade.id}: credit ${amount} to ${recipientName} ← ${senderName}`,
+        'trade_credit', { id: trade.recipientId, name: recipientName }];
+    }
+    if (trade.state === 'paying_fee') {
+      return [trade.treasuryUuid, fee, `Trade: fee, ${senderName} → ${recipientName}`,
+        `Trade ${trade.id}: ${fee} fee to treasury`,
+        'trade_fee', { id: null, name: 'treasury' }];
+    }
+    return [senderUuid, amount + fee, `Trade: rollback of the failed transfer to ${recipientName}`,
+      `Trade ${trade.id}: refund ${amount + fee} to ${senderName} (credit to ${recipientName} failed)`,
+      'trade_refund', sender];
+  }
+
+  function submit(trade, { id }) {
+    const [uuid, amount, description, label, action, player] = stepRequest(trade);
+    const audit = { action, actor: { id: trade.senderId, name: trade.senderName }, player, ref: `trade:${trade.id}` };
+    return mutate(uuid, amount, description, { id, label, meta: { kind: 'trade', tradeId: trade.id, guildId: trade.guildId, audit } });
+  }
+
+  return createStepRunner({ journal, outbox, steps: STEPS, submit, noun: 'trade', tag: 'Trade', onChange });
+}
+
+module.exports = { createTradeRunner };
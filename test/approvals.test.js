@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { startBot } = require('./support/harness');
+const { buttonIds, fakeButton, fakeCommand } = require('./support/fake-discord');
+
+const DAY_MS = 24 * 60 * 60_000;
+
+test('two-person approval', async t => {
+  // No APPROVAL_CHANNEL_ID: requests go to the audit channel
+  const permissions = {
+    roles: {
+      'manager-role': { name: 'Manager', commands: ['*'] },
+      'lead-role': { name: 'Event lead', commands: ['tokens.send'], maxPerDay: 1000 },
+    },
+  };
+  const bot = await startBot({ permissions, cooldownMs: 0, env: { APPROVAL_THRESHOLD: '100', APPROVAL_HOURS: '24' } });
+  t.after(() => bot.close());
+
+  const alice = bot.user('alice', { roles: ['manager-role'] });
+  const bob = bot.user('bob', { roles: ['manager-role'] });
+  const dave = bot.user('dave');
+  const erin = bot.user('erin');
+  const daveP = bot.player(dave, 0);
+  const erinP = bot.player(erin, 0);
+
+  const requests = () => bot.audit.sent.filter(m => buttonIds(m).some(id => id.startsWith('tokens:approve:')));
+  // A click on a button that has since been removed, like a stale Discord client would send.
+  async function click(by, message, customId) {
+    const interaction = fakeButton({ guild: bot.guild, channel: bot.channel, user: by, customId, message });
+    await bot.dispatch('interactionCreate', interaction);
+    return interaction;
+  }
+  const entries = () => fs.readFileSync(bot.ctx.audit.file, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+
+  await t.test('grants up to the threshold go through right away', async () => {
+    const send = await bot.command(alice, 'tokens', { subcommand: 'send', options: { user: dave, amount: 100 } });
+    assert.match(send.lastReply, /✅ Granted \*\*100\*\*/);
+    assert.equal(requests().length, 0);
+  });
+
+  await t.test('a bigger grant waits for a different manager', async () => {
+    const send = await bot.command(alice, 'tokens', { subcommand: 'send', options: { user: dave, amount: 500, reason: 'Raid prize' } });
+    assert.match(send.lastReply, /over the approval threshold of \*\*100\*\*.*Nothing was sent yet/);
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 100);
+
+    const [request] = requests();
+    const approveId = buttonIds(request)[0];
+    const embed = request.embeds[0].data;
+    assert.equal(embed.title, '🕒 Approval needed');
+    assert.equal(embed.fields.find(f => f.name === 'Tokens moved').value, '500');
+    assert.equal(embed.fields.find(f => f.name === 'Reason').value, 'Raid prize');
+
+    const own = await bot.press(alice, request, 'approve');
+    assert.equal(own.lastReply, '⛔ Someone else has to approve your request.');
+    const outsider = await bot.press(dave, request, 'approve');
+    assert.equal(outsider.lastReply, '⛔ You do not have permission.');
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 100);
+
+    const approve = await bot.press(bob, request, 'approve');
+    assert.match(approve.lastReply, /✅ Paid 1 \(500 tokens\)/);
+    assert.match(approve.lastReply, /requested by alice • approved by bob/);
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 600);
+
+    const grant = entries().at(-1);
+    assert.equal(grant.amount, 500);
+    assert.equal(grant.actor.id, alice.id);
+    assert.match(grant.ref, /^approval:/);
+
+    const again = await click(bob, request, approveId);
+    assert.equal(again.lastReply, 'ℹ️ This request is no longer pending.');
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 600);
+  });
+
+  await t.test('the threshold counts every player of a bulk run; the requester can withdraw it', async () => {
+    const bulk = await bot.command(alice, 'tokens', { subcommand: 'bulk', options: { amount: 60, users: `${dave.id} ${erin.id}` } });
+    assert.match(bulk.lastReply, /\*\*120\*\* tokens is over the approval threshold/);
+
+    const reject = await bot.press(alice, requests().at(-1), 'reject');
+    assert.match(reject.lastReply, /🚫 \*\*Bulk grant of 60 tokens\*\* rejected\. Nothing was sent\./);
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 0);
+  });
+
+  await t.test('waiting requests count against the requester\'s day', async () => {
+    const lead = bot.user('lead', { roles: ['lead-role'] });
+    const send = amount => bot.command(lead, 'tokens', { subcommand: 'send', options: { user: erin, amount } });
+
+    assert.match((await send(600)).lastReply, /over the approval threshold/);
+    const first = requests().at(-1);
+    assert.equal(bot.ctx.permissions.usedToday(lead.id), 600);
+    assert.equal((await send(600)).lastReply, '⛔ Your roles allow **1000** tokens per 24 hours; **400** left.');
+
+    // Withdrawn: its tokens are free again
+    await bot.press(lead, first, 'reject');
+    assert.equal(bot.ctx.permissions.usedToday(lead.id), 0);
+    await send(600);
+    const second = requests().at(-1);
+
+    // Approval checks the requester's caps once more
+    bot.guild.members.cache.get(lead.id).roles.cache.delete('lead-role');
+    const approve = await bot.press(bob, second, 'approve');
+    assert.match(approve.lastReply, /^❌ \*\*Grant of 600 tokens for erin\*\* is no longer within the requester's limits\. Nothing was sent\.\n⛔ You do not have permission\./);
+    assert.equal(bot.audit.sent.at(-1).content, approve.lastReply);
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 0);
+    assert.equal(bot.ctx.permissions.usedToday(lead.id), 0);
+  });
+
+  await t.test('an approval whose handler fails says so; without a handler it stays pending', async () => {
+    const asker = fakeCommand({ guild: bot.guild, channel: bot.channel, user: alice, commandName: 'raffle' });
+    const entries = [{ discordId: erin.id, amount: 300, reason: 'Raffle' }];
+    await bot.ctx.approvals.request(asker, { title: 'Raffle payout', entries, key: 'tokens.send', kind: 'raffle' });
+    const request = requests().at(-1);
+
+    const early = await bot.press(bob, request, 'approve');
+    assert.equal(early.lastReply, '❌ Nothing handles "raffle" requests right now; the request stays pending.');
+
+    bot.ctx.approvals.onApproved('raffle', async () => { throw new Error('GSA is down'); });
+    const approve = await bot.press(bob, request, 'approve');
+    assert.match(approve.lastReply, /^❌ \*\*Raffle payout\*\* was approved but failed: GSA is down\./);
+    assert.equal(bot.audit.sent.at(-1).content, approve.lastReply);
+  });
+
+  await t.test('an import over the threshold acknowledges its button before asking', async () => {
+    const file = bot.gsa.attach('prizes.csv', ['player;amount;reason', `${erin.id};150;Raid prize`].join('\n'));
+    const preview = await bot.command(alice, 'tokens', { subcommand: 'import', options: { file } });
+    const confirm = await bot.press(alice, preview.message, 'import');
+    assert.equal(confirm.deferred, true);
+    assert.match(confirm.lastReply, /\*\*150\*\* tokens is over the approval threshold/);
+    assert.deepEqual(confirm.replies.at(-1).components, []);
+    assert.match(requests().at(-1).embeds[0].data.description, /Import of prizes\.csv/);
+    await bot.press(alice, requests().at(-1), 'reject');
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 0);
+  });
+
+  await t.test('requests expire', async () => {
+    await bot.command(alice, 'tokens', { subcommand: 'send', options: { user: erin, amount: -200 } });
+    const request = requests().at(-1);
+    const approveId = buttonIds(request)[0];
+
+    await bot.ctx.approvals.expireDue(Date.now());
+    assert.equal(buttonIds(request).length, 2, 'not due yet');
+
+    await bot.ctx.approvals.expireDue(Date.now() + DAY_MS + 1);
+    assert.match(request.content, /⌛ \*\*Removal of 200 tokens for erin\*\* requested by <@\d+> expired/);
+    assert.equal(buttonIds(request).length, 0);
+
+    const late = await click(bob, request, approveId);
+    assert.equal(late.lastReply, 'ℹ️ This request is no longer pending.');
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 0);
+  });
+
+  await t.test('a schedule whose runs go over the threshold is only created once approved', async () => {
+    const at = new Date(Date.now() + DAY_MS).toISOString().slice(0, 16).replace('T', ' ');
+    const add = await bot.command(alice, 'schedule', {
+      subcommand: 'add', options: { amount: 60, at, every: 'weekly', users: `${dave.id} ${erin.id}`, reason: 'stipend' },
+    });
+    assert.match(add.lastReply, /\*\*120\*\* tokens is over the approval threshold/);
+    assert.equal((await bot.command(alice, 'schedule', { subcommand: 'list' })).lastReply, 'ℹ️ No scheduled payouts.');
+
+    const request = requests().at(-1);
+    assert.match(request.embeds[0].data.description, /Scheduled weekly grant of 60 tokens per player/);
+    const approve = await bot.press(bob, request, 'approve');
+    assert.match(approve.lastReply, /🗓️ Scheduled a payout: `[0-9a-f]{6}` • \*\*60\*\* tokens → <@\d+>, <@\d+> • weekly/);
+    assert.match(approve.lastReply, /requested by alice • approved by bob/);
+    assert.match((await bot.command(alice, 'schedule', { subcommand: 'list' })).lastReply, /Scheduled payouts \(1\)/);
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 0, 'nothing is paid before the first run');
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { startBot } = require('./support/harness');
+
+const rules = [
+  {
+    name: 'bonus',
+    emoji: '💎',
+    polarity: 'positive',
+    reward: { type: 'tokens', amount: 15 },
+    description: '{admin} gave {helper} {amount} bonus tokens',
+    message: '{helper} got {amount} tokens 💎',
+  },
+];
+
+test('audit log', async t => {
+  const bot = await startBot({ rules, cooldownMs: 0 });
+  t.after(() => bot.close());
+
+  const manager = bot.user('manager', { roles: ['manager-role', 'admin-role'] });
+  const dave = bot.user('dave');
+  const erin = bot.user('erin');
+  const daveP = bot.player(dave, 100);
+  const erinP = bot.player(erin, 0);
+
+  const embeds = () => bot.audit.sent.flatMap(m => m.embeds).map(e => e.data);
+  const entries = () => fs.readFileSync(bot.ctx.audit.file, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+
+  await t.test('a grant is logged and posted as an embed', async () => {
+    await bot.command(manager, 'tokens', { subcommand: 'send', options: { user: dave, amount: 30, reason: 'event' } });
+
+    const [entry] = entries();
+    assert.equal(entry.action, 'grant');
+    assert.equal(entry.outcome, 'done');
+    assert.equal(entry.amount, 30);
+    assert.equal(entry.reason, 'event');
+    assert.deepEqual(entry.player, { id: dave.id, name: 'dave' });
+    assert.deepEqual(entry.actor, { id: manager.id, name: 'manager' });
+    assert.equal(entry.playerUuid, daveP.uuid);
+
+    const embed = embeds().at(-1);
+    assert.equal(embed.title, '➕ Tokens granted');
+    assert.equal(embed.fields.find(f => f.name === 'Amount').value, '+30');
+  });
+
+  await t.test('a refused removal is logged as failed', async () => {
+    const send = await bot.command(manager, 'tokens', { subcommand: 'send', options: { user: erin, amount: -50 } });
+    assert.match(send.lastReply, /Something went wrong/);
+    const entry = entries().at(-1);
+    assert.equal(entry.action, 'removal');
+    assert.equal(entry.outcome, 'failed');
+    assert.match(entry.error, /Insufficient tokens/);
+    assert.equal(embeds().at(-1).title, '🚨 GSA call permanently failed');
+  });
+
+  await t.test('trade steps and reaction rewards are logged too', async () => {
+    const offer = await bot.command(dave, 'trade', { options: { user: erin, amount: 20 } });
+    await bot.press(dave, offer.message, 'confirm');
+    await bot.react(manager, bot.post(erin, 'tip'), '💎');
+
+    const actions = entries().map(e => `${e.action}:${e.outcome}`);
+    assert.deepEqual(actions.slice(-3), ['trade_debit:done', 'trade_credit:done', 'reward:done']);
+    const credit = entries().find(e => e.action === 'trade_credit');
+    assert.deepEqual(credit.actor, { id: dave.id, name: 'dave' });
+    assert.deepEqual(credit.player, { id: erin.id, name: 'erin' });
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 35);
+  });
+
+  await t.test('managers can search it', async () => {
+    const denied = await bot.command(dave, 'audit', { subcommand: 'search' });
+    assert.equal(denied.lastReply, '⛔ Managers only.');
+
+    const forErin = await bot.command(manager, 'audit', { subcommand: 'search', options: { player: erin } });
+    const lines = forErin.replies.at(-1).embeds[0].data.description.split('\n').filter(l => l.startsWith('<t:'));
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /✅ \*\*reward\*\* \+15 → <@\d+> • by <@\d+> • `bonus:\d+`/);
+    assert.match(lines[2], /❌ \*\*removal\*\* -50/);
+
+    const failed = await bot.command(manager, 'audit', { subcommand: 'search', options: { outcome: 'failed' } });
+    assert.match(failed.replies.at(-1).embeds[0].data.description, /↳ HTTP 422 – Insufficient tokens/);
+
+    const byDave = await bot.command(manager, 'audit', { subcommand: 'search', options: { actor: dave, to: '2000-01-01' } });
+    assert.equal(byDave.lastReply, 'ℹ️ No audit entries match.');
+  });
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+
+const rules = [{
+  name: 'bonus',
+  emoji: '💎',
+  polarity: 'positive',
+  reward: { type: 'tokens', amount: 15 },
+  description: '{admin} gave {helper} {amount} bonus tokens',
+  message: '{helper} got {amount} tokens 💎',
+}];
+
+const sisterRules = [{
+  name: 'pve-help',
+  emoji: '✅',
+  polarity: 'positive',
+  reward: { type: 'webhook', url: '{gsa}/webhook/pve-help' },
+  description: '{admin} thanked {helper}',
+  message: '{helper} helped out on PvE 🦖',
+}];
+
+test('a sister server in its own GSA community', async t => {
+  const bot = await startBot({
+    rules,
+    cooldownMs: 0,
+    sister: { rules: sisterRules, config: { MANAGER_ROLE_ID: 'pve-manager' } },
+  });
+  t.after(() => bot.close());
+  const { sister } = bot;
+
+  const alice = bot.user('alice', { roles: ['manager-role', 'admin-role'] });
+  const pat = sister.user('pat', { roles: ['pve-manager', 'admin-role'] });
+  sister.user(alice, { roles: ['manager-role'] }); // a role of the main server's manager setup
+  const carol = bot.user('carol');
+  sister.user(carol);
+  const mainP = bot.player(carol, 100);
+  const pveP = sister.player(carol, 7);
+
+  await t.test('each guild reads balances from its own community', async () => {
+    const main = await bot.command(carol, 'tokens', { subcommand: 'balance' });
+    assert.equal(main.lastReply, '💳 **carol** has **100** tokens.');
+    const pve = await sister.command(carol, 'tokens', { subcommand: 'balance' });
+    assert.equal(pve.lastReply, '💳 **carol** has **7** tokens.');
+
+    const wallet = await sister.command(carol, 'wallet');
+    assert.equal(wallet.replies.at(-1).embeds[0].data.description, '💳 **7** tokens');
+  });
+
+  await t.test('grants go to the community, audit channel and roles of the guild they are made in', async () => {
+    const denied = await sister.command(alice, 'tokens', { subcommand: 'send', options: { user: carol, amount: 5 } });
+    assert.equal(denied.lastReply, '⛔ You do not have permission.');
+
+    const send = await sister.command(pat, 'tokens', { subcommand: 'send', options: { user: carol, amount: 5 } });
+    assert.match(send.lastReply, /✅ Granted \*\*5\*\*/);
+    assert.equal(sister.gsa.balanceOf(pveP.uuid), 12);
+    assert.equal(bot.gsa.balanceOf(mainP.uuid), 100);
+
+    await bot.waitFor(() => sister.audit.sent.length, { what: 'the sister audit post' });
+    assert.equal(sister.audit.sent[0].embeds[0].data.title, '➕ Tokens granted');
+    assert.equal(bot.audit.sent.length, 0);
+  });
+
+  await t.test('reactions use the rules of their guild', async () => {
+    await bot.react(pat, sister.post(carol, 'carried the boss fight'), '✅');
+    const [hook] = sister.gsa.webhooks;
+    assert.equal(hook.name, 'pve-help');
+    assert.equal(hook.headers.authorization, 'Bearer sister-auth');
+
+    // 💎 is a main server rule only
+    await bot.react(pat, sister.post(carol, 'again'), '💎');
+    assert.equal(sister.gsa.balanceOf(pveP.uuid), 12);
+    await bot.react(alice, bot.post(carol, 'nice build'), '💎');
+    assert.equal(bot.gsa.balanceOf(mainP.uuid), 115);
+  });
+
+  await t.test('/audit only lists its own guild', async () => {
+    // From before entries kept their guild: the main server's
+    bot.ctx.audit.record({ action: 'grant', actor: { id: null, name: 'old' }, player: { id: carol.id, name: 'carol' }, amount: 3, ref: 'legacy:1', outcome: 'done' }, { quiet: true });
+
+    const pve = await sister.command(pat, 'audit', { subcommand: 'search' });
+    const text = JSON.stringify(pve.replies.at(-1));
+    assert.match(text, /\*\*grant\*\*/);
+    assert.match(text, /pve-help:/);
+    assert.doesNotMatch(text, /bonus:|legacy:/);
+    const main = await bot.command(alice, 'audit', { subcommand: 'search' });
+    assert.match(JSON.stringify(main.replies.at(-1)), /legacy:/);
+  });
+
+  await t.test('trades settle in the community of their guild', async () => {
+    const dan = sister.user('dan');
+    const danP = sister.player(dan, 0);
+    const trade = await sister.command(carol, 'trade', { options: { user: dan, amount: 2 } });
+    await sister.press(carol, trade.message, 'confirm');
+    await bot.waitFor(() => sister.gsa.balanceOf(danP.uuid) === 2, { what: 'the PvE trade' });
+    assert.equal(sister.gsa.balanceOf(pveP.uuid), 10);
+    assert.equal(bot.gsa.balanceOf(mainP.uuid), 115);
+  });
+
+  await t.test('/schedule and /trades only see their own guild', async () => {
+    const at = new Date(Date.now() + 86_400_000).toISOString().slice(0, 16).replace('T', ' ');
+    const add = await bot.command(alice, 'schedule', { subcommand: 'add', options: { amount: 5, at, user: carol } });
+    const id = add.lastReply.match(/`([0-9a-f]{6})`/)[1];
+
+    const schedules = await sister.command(pat, 'schedule', { subcommand: 'list' });
+    assert.equal(schedules.lastReply, 'ℹ️ No scheduled payouts.');
+    const cancel = await sister.command(pat, 'schedule', { subcommand: 'cancel', options: { id } });
+    assert.equal(cancel.lastReply, `❌ No schedule \`${id}\`.`);
+    assert.match((await bot.command(alice, 'schedule', { subcommand: 'list' })).lastReply, new RegExp(id));
+
+    const pve = await sister.command(pat, 'trades', { subcommand: 'list', options: { state: 'credited' } });
+    const [, tradeId] = pve.lastReply.match(/`([0-9a-f]{8})` • credited/);
+    const main = await bot.command(alice, 'trades', { subcommand: 'list', options: { state: 'credited' } });
+    assert.equal(main.lastReply, 'ℹ️ No credited trades.');
+    const resolve = await bot.command(alice, 'trades', { subcommand: 'resolve', options: { id: tradeId, action: 'close' } });
+    assert.equal(resolve.lastReply, `❌ No trade with id ${tradeId}`);
+  });
+
+  await t.test('a guild the config does not name is ignored', async () => {
+    const discord = require('./support/fake-discord');
+    const stray = discord.fakeGuild({ client: bot.client });
+    const channel = discord.fakeChannel(bot.client, { guild: stray });
+    stray.addMember(alice, { roles: ['manager-role', 'admin-role'] });
+    stray.addMember(carol);
+
+    const message = discord.fakeMessage(channel, 'helped in another server', { author: carol });
+    await bot.react(alice, message, '💎');
+    const balance = discord.fakeCommand({ guild: stray, channel, user: carol, commandName: 'tokens', subcommand: 'balance' });
+    await bot.dispatch('interactionCreate', balance);
+
+    assert.equal(balance.replies.length, 0);
+    assert.equal(channel.sent.length, 0);
+    assert.equal(bot.gsa.balanceOf(mainP.uuid), 115);
+    assert.equal(bot.ctx.communities.for(stray.id), null);
+  });
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createConfig, ConfigError } = require('../lib/config');
+const { startBot } = require('./support/harness');
+
+const REQUIRED = { DISCORD_TOKEN: 't0k3n', DISCORD_APP_ID: '111', GUILD_ID: '222', GSA_API_KEY: 'key', AUTH_TOKEN: 'auth' };
+
+function tempConfig(data) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dino-bot-config-')), 'config.json');
+  if (data) fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+test('every missing or invalid value is reported at once', () => {
+  const file = tempConfig({ token: 'youre bot token', guildId: 'discord server id ', GSA_API_URL: 'ftp://x', colour: 'red' });
+  let error;
+  try {
+    createConfig({ env: { GSA_API_KEY: 'key', TRADE_CONFIRM_SECONDS: '5', DRY_RUN: 'maybe' }, file });
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error instanceof ConfigError);
+  assert.deepEqual(error.problems, [
+    'DISCORD_TOKEN: "youre bot token" looks like a placeholder',
+    'DISCORD_APP_ID: missing',
+    'GUILD_ID: "discord server id " is not a Discord id',
+    'GSA_API_URL: "ftp://x" must be an http(s) URL',
+    'AUTH_TOKEN: missing',
+    'DRY_RUN: "maybe" must be true or false',
+    'TRADE_CONFIRM_SECONDS: "5" must be at least 10',
+    'colour: unknown setting in the config file',
+  ]);
+});
+
+test('env beats config.json beats defaults; guild sections override their guild only', () => {
+  const file = tempConfig({
+    token: 'from-file',
+    AUDIT_CHANNEL_ID: '300',
+    APPROVAL_THRESHOLD: 500,
+    guilds: { 222: { APPROVAL_THRESHOLD: 50, AUDIT_CHANNEL_ID: '301' } },
+  });
+  const config = createConfig({ env: { ...REQUIRED, DRY_RUN: 'yes' }, file });
+
+  assert.equal(config.get('DISCORD_TOKEN'), 't0k3n');
+  assert.equal(config.get('DRY_RUN'), true);
+  assert.equal(config.get('TRADE_ACCEPT_SECONDS'), 300);
+  assert.equal(config.get('MANAGER_ROLE_ID'), null, 'no built-in manager role');
+  assert.equal(config.get('APPROVAL_THRESHOLD'), 500);
+  assert.equal(config.get('APPROVAL_THRESHOLD', '222'), 50);
+  assert.equal(config.get('AUDIT_CHANNEL_ID', '222'), '301');
+  assert.equal(config.get('AUDIT_CHANNEL_ID', '999'), '300');
+  assert.throws(() => config.get('NOPE'), /Unknown setting NOPE/);
+
+  const bad = tempConfig({ DATA_DIR: './x', APPROVAL_HOURS: 1000, guilds: { 222: { DATA_DIR: './x', APPROVAL_THRESHOLD: -1 } } });
+  assert.throws(() => createConfig({ env: REQUIRED, file: bad }), e =>
+    e.problems.includes('APPROVAL_HOURS: 1000 must be at most 576') &&
+    e.problems.includes('DATA_DIR: can only be set in the environment (.env)') &&
+    e.problems.includes('guilds.222.DATA_DIR: cannot be set per guild') &&
+    e.problems.includes('guilds.222.APPROVAL_THRESHOLD: -1 must be at least 0'));
+});
+
+test('reload applies live settings, holds back restart-only ones and ignores a broken file', () => {
+  const file = tempConfig({ APPROVAL_THRESHOLD: 100 });
+  const config = createConfig({ env: REQUIRED, file });
+  const seen = [];
+  config.onChange(changed => seen.push(changed));
+
+  fs.writeFileSync(file, JSON.stringify({ APPROVAL_THRESHOLD: 200, ECONOMY_PAUSE_MS: 0 }));
+  assert.deepEqual(config.reload(), { ok: true, problems: [], changed: ['APPROVAL_THRESHOLD'], needsRestart: ['ECONOMY_PAUSE_MS'] });
+  assert.equal(config.get('APPROVAL_THRESHOLD'), 200);
+  assert.equal(config.get('ECONOMY_PAUSE_MS'), 250);
+  assert.deepEqual(seen, [['APPROVAL_THRESHOLD']]);
+
+  fs.writeFileSync(file, JSON.stringify({ APPROVAL_THRESHOLD: 200, guilds: { 333: { GSA_API_KEY: 'pve', LINK_URL: 'https://pve.example' } } }));
+  assert.deepEqual(config.reload().needsRestart, ['guilds.333', 'guilds.333.GSA_API_KEY']);
+  assert.equal(config.get('GSA_API_KEY', '333'), 'key');
+  assert.equal(config.get('LINK_URL', '333'), 'https://pve.example');
+  assert.deepEqual(config.guildIds(), ['222', '333']);
+
+  fs.writeFileSync(file, '{ "APPROVAL_THRESHOLD": ');
+  const broken = config.reload();
+  assert.equal(broken.ok, false);
+  assert.match(broken.problems[0], /config\.json: /);
+  assert.equal(config.get('APPROVAL_THRESHOLD'), 200);
+  assert.equal(seen.length, 2);
+});
+
+test('the running bot picks up a reloaded config.json', async t => {
+  const bot = await startBot({ cooldownMs: 0, config: { APPROVAL_THRESHOLD: 1000 } });
+  t.after(() => bot.close());
+
+  const alice = bot.user('alice', { roles: ['manager-role'] });
+  const dave = bot.user('dave');
+  const daveP = bot.player(dave, 0);
+
+  const first = await bot.command(alice, 'tokens', { subcommand: 'send', options: { user: dave, amount: 500 } });
+  assert.match(first.lastReply, /✅ Granted \*\*500\*\*/);
+
+  fs.writeFileSync(bot.ctx.config.file, JSON.stringify({ guilds: { [bot.guild.id]: { APPROVAL_THRESHOLD: 100 } } }));
+  assert.deepEqual(bot.ctx.config.reload().changed, ['APPROVAL_THRESHOLD', 'guilds']);
+
+  const second = await bot.command(alice, 'tokens', { subcommand: 'send', options: { user: dave, amount: 500 } });
+  assert.match(second.lastReply, /over the approval threshold of \*\*100\*\*/);
+  assert.equal(bot.gsa.balanceOf(daveP.uuid), 500);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+
+const DAY_MS = 86_400_000;
+
+test('/leaderboard and /economy', async t => {
+  const bot = await startBot({ cooldownMs: 0, env: { ECONOMY_PAUSE_MS: '0' } });
+  t.after(() => bot.close());
+
+  const manager = bot.user('manager', { roles: ['manager-role'] });
+  const rex = bot.user('rex');
+  const trike = bot.user('trike');
+  const raptor = bot.user('raptor');
+  bot.user('unlinked');
+  const rexP = bot.player(rex, 900);
+  const trikeP = bot.player(trike, 300);
+  bot.player(raptor, 50);
+
+  // History as GSA would report it: grants, a removal, and a /trade (debit + credit)
+  const tx = (uuid, value, description, daysAgo = 0) => bot.gsa.transactions.push(
+    { uuid, transaction_value: value, description, date: new Date(Date.now() - daysAgo * DAY_MS).toISOString() });
+  tx(rexP.uuid, 1000, 'tournament prize', 20);
+  tx(rexP.uuid, -100, 'Removed for spam', 3);
+  tx(trikeP.uuid, 200, 'Event → weekly stipend', 2); // a grant, arrows or not
+  tx(rexP.uuid, -80, 'Trade: gift → trike', 1);
+  tx(trikeP.uuid, 80, 'Trade: gift ← rex', 1);
+
+  const embedOf = i => i.replies.at(-1).embeds[0].data;
+  const field = (embed, name) => embed.fields.find(f => f.name === name).value;
+
+  await t.test('stats are for managers only', async () => {
+    const stats = await bot.command(rex, 'economy', { subcommand: 'stats' });
+    assert.equal(stats.lastReply, '⛔ Managers only.');
+  });
+
+  await t.test('refresh builds a snapshot of the linked members', async () => {
+    const refresh = await bot.command(manager, 'economy', { subcommand: 'refresh' });
+    assert.equal(refresh.lastReply, `⏳ Rebuilding the snapshot. The result will be posted in <#${bot.audit.id}>.`);
+    await bot.waitFor(() => bot.audit.sent.length, { what: 'the snapshot result' });
+    assert.equal(bot.audit.sent[0].content, '📊 Economy snapshot rebuilt: 3 linked of 5 member(s).\n👤 by manager');
+  });
+
+  await t.test('leaderboard ranks the richest, publicly', async () => {
+    const board = await bot.command(rex, 'leaderboard');
+    assert.equal(board.ephemeral, false);
+    const lines = embedOf(board).description.split('\n');
+    assert.match(lines[0], new RegExp(`🥇 <@${rex.id}> \\(rex\\) — \\*\\*900\\*\\*`));
+    assert.match(lines[1], /🥈 .*trike.*300/);
+    assert.match(lines[2], /🥉 .*raptor.*50/);
+  });
+
+  await t.test('the leaderboard comes from the cache, not GSA', async () => {
+    const before = bot.gsa.requests.length;
+    await bot.command(trike, 'leaderboard', { options: { top: 3 } });
+    assert.equal(bot.gsa.requests.length, before);
+  });
+
+  await t.test('stats split the flow into granted, removed and traded', async () => {
+    const week = embedOf(await bot.command(manager, 'economy', { subcommand: 'stats' }));
+    assert.equal(field(week, 'Total supply'), '1,250');
+    assert.equal(field(week, 'Granted'), '➕200');
+    assert.equal(field(week, 'Removed'), '➖100');
+    assert.equal(field(week, 'Traded'), '🔁80');
+    assert.match(week.description, /• last 7 days \(UTC, today included\)$/);
+
+    const month = embedOf(await bot.command(manager, 'economy', { subcommand: 'stats', options: { period: 30 } }));
+    assert.equal(field(month, 'Granted'), '➕1,200');
+
+    const today = embedOf(await bot.command(manager, 'economy', { subcommand: 'stats', options: { period: 1 } }));
+    assert.match(today.description, /• today \(UTC\)$/);
+  });
+});
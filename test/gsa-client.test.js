@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const axios = require('axios');
+const { createMockGsa } = require('./support/mock-gsa');
+const { createGsaClient } = require('../lib/gsa-client');
+const { createFixtureAdapter } = require('../lib/gsa-fixtures');
+
+test('GSA client against the mock server', async t => {
+  const gsa = createMockGsa({ cooldownMs: 5_000 });
+  const baseURL = await gsa.listen();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsa-client-test-'));
+  const fixtures = path.join(dir, 'fixtures.json');
+  t.after(async () => {
+    await gsa.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const headers = { Authorization: `Bearer ${gsa.apiKey}` };
+  const http = axios.create({ baseURL, headers, adapter: createFixtureAdapter('record', fixtures) });
+  const client = createGsaClient({ http });
+  gsa.addPlayer({ uuid: 'p1', username: 'rex', serviceId: '42', tokens: 70 });
+
+  await t.test('finds linked players and reads balances', async () => {
+    assert.equal((await client.getLinkedPlayer('42')).uuid, 'p1');
+    assert.equal(await client.findPlayerByServiceId('43'), null);
+    await assert.rejects(client.getLinkedPlayer('43'), { name: 'GsaError', code: 'not_linked' });
+    assert.equal(await client.getPlayerTokenBalance('p1'), 70);
+  });
+
+  await t.test('maps failures to error codes', async () => {
+    gsa.failNext('details', { status: 401 });
+    await assert.rejects(client.getPlayerTokenBalance('p1'), { code: 'auth_failed' });
+    await assert.rejects(client.getPlayerDetails('nobody'), { code: 'not_found' });
+    gsa.failNext('history', { status: 503 });
+    await assert.rejects(client.getPlayerTokenHistory('p1'), { code: 'unavailable' });
+  });
+
+  await t.test('emulates the 5s per-player cooldown', async () => {
+    const job = client.mutateTokensJob('p1', 5, 'first');
+    await http.request({ method: 'post', url: job.url, data: job.data });
+    const second = client.mutateTokensJob('p1', 5, 'second');
+    await assert.rejects(http.request({ method: 'post', url: second.url, data: second.data }), err => {
+      assert.equal(err.response.status, 429);
+      assert.equal(err.response.headers['retry-after'], '5');
+      return true;
+    });
+    assert.equal(gsa.balanceOf('p1'), 75);
+  });
+
+  await t.test('replays recorded answers without the server', async () => {
+    const replay = createGsaClient({
+      http: axios.create({ baseURL: 'http://gsa.invalid', adapter: createFixtureAdapter('replay', fixtures) }),
+    });
+    assert.equal((await replay.getLinkedPlayer('42')).username, 'rex');
+    assert.equal(await replay.getPlayerTokenBalance('p1'), 70);
+    await assert.rejects(replay.getPlayerTokenHistory('p1', 5), /No recorded GSA answer/);
+  });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+
+const rules = [
+  {
+    name: 'contribution',
+    emoji: '✅',
+    polarity: 'positive',
+    reward: { type: 'webhook', url: '{gsa}/webhook/contribution', undoUrl: '{gsa}/webhook/contribution-undo' },
+    message: '{helper} has been recognized for helping! 🎉',
+  },
+  {
+    name: 'jackass',
+    emoji: '💩',
+    polarity: 'negative',
+    reward: { type: 'task', taskId: '666' },
+    message: '{helper} 💩',
+  },
+];
+
+const milestones = [
+  { count: 2, roleId: 'trusted-helper', tokens: 50 },
+  { count: 5 },
+];
+
+test('/helpers and milestones', async t => {
+  const bot = await startBot({ rules, milestones, cooldownMs: 0 });
+  t.after(() => bot.close());
+
+  const admin = bot.user('admin', { roles: ['admin-role'] });
+  const helper = bot.user('helper');
+  const bob = bot.user('bob');
+  const helperP = bot.player(helper, 0);
+  const member = bot.guild.members.cache.get(helper.id);
+
+  await t.test('the second recognition reaches the first milestone', async () => {
+    await bot.react(admin, bot.post(helper, 'tame a rex like this'), '✅');
+    assert.equal(member.roles.cache.has('trusted-helper'), false);
+
+    await bot.react(admin, bot.post(helper, 'the cave is over there'), '✅');
+    assert.equal(member.roles.cache.has('trusted-helper'), true);
+    assert.equal(bot.gsa.balanceOf(helperP.uuid), 50);
+    assert.equal(bot.channel.sent.at(-1).content,
+      `🏆 <@${helper.id}> reached **2** recognitions! They get the <@&trusted-helper> role and **50** tokens.`);
+    await bot.waitFor(() => bot.audit.sent.some(m => m.embeds[0]?.data.title === '🏆 Helper milestone bonus'), { what: 'the bonus audit post' });
+  });
+
+  await t.test('negative rules and reversals do not count, milestones are awarded once', async () => {
+    await bot.react(admin, bot.post(helper), '💩');
+    const third = bot.post(helper, 'use a bola');
+    await bot.react(admin, third, '✅');
+    await bot.unreact(admin, third, '✅');
+    await bot.react(admin, bot.post(bob, 'welcome!'), '✅');
+
+    assert.equal(bot.gsa.balanceOf(helperP.uuid), 50);
+    assert.equal(bot.channel.sent.filter(m => /🏆/.test(m.content)).length, 1);
+  });
+
+  await t.test('/helpers top ranks the recognized helpers', async () => {
+    const top = await bot.command(bob, 'helpers', { subcommand: 'top', options: { period: 'month' } });
+    const embed = top.replies.at(-1).embeds[0].data;
+    assert.equal(embed.title, '🤝 Top helpers (last 30 days)');
+    assert.equal(embed.description, `🥇 <@${helper.id}> — **2** recognitions\n🥈 <@${bob.id}> — **1** recognition`);
+  });
+
+  await t.test('/helpers profile shows totals, the latest messages and the next milestone', async () => {
+    const profile = await bot.command(bob, 'helpers', { subcommand: 'profile', options: { user: helper } });
+    const embed = profile.replies.at(-1).embeds[0].data;
+    assert.equal(embed.title, "🤝 helper's recognitions");
+    assert.equal(embed.description, '**2** recognitions • **2** this week • **2** this month');
+    const field = name => embed.fields.find(f => f.name === name)?.value;
+    assert.equal(field('For'), 'contribution: 2');
+    assert.equal(field('Recognized by'), `<@${admin.id}> (2)`);
+    assert.equal(field('Milestones'), '✅ 2\nNext: **5** (3 to go)');
+    assert.match(field('Latest'), new RegExp(`contribution • \\[message\\]\\(https://discord\\.com/channels/${bot.guild.id}/${bot.channel.id}/\\d+\\) in <#${bot.channel.id}> by admin`));
+
+    const empty = await bot.command(admin, 'helpers', { subcommand: 'profile' });
+    assert.equal(empty.replies.at(-1).embeds[0].data.description, '**0** recognitions • **0** this week • **0** this month');
+  });
+
+  await t.test('two checks at once award each due milestone once', async () => {
+    // Recognitions from before milestones existed: two are due at the same time
+    const dora = bot.user('dora');
+    const doraP = bot.player(dora, 0);
+    for (let i = 0; i < 5; i++) {
+      const { entry } = bot.ctx.rewards.claim({
+        messageId: `old-${i}`, channelId: bot.channel.id, guildId: bot.guild.id, rule: 'contribution', polarity: 'positive',
+        helperId: dora.id, helperName: 'dora', adminId: admin.id, adminName: 'admin',
+      });
+      bot.ctx.rewards.markGranted(entry.key);
+    }
+
+    const check = () => bot.ctx.milestones.check({ guildId: bot.guild.id, helperId: dora.id, helperName: 'dora', channelId: bot.channel.id });
+    const [first, second] = await Promise.all([check(), check()]);
+    assert.deepEqual(first.map(m => m.count), [2, 5]);
+    assert.deepEqual(second, []);
+    assert.equal(bot.channel.sent.filter(m => m.content.startsWith(`🏆 <@${dora.id}>`)).length, 2);
+    assert.equal(bot.gsa.balanceOf(doraP.uuid), 50);
+  });
+
+  await t.test('a bonus that could not be given is owed until the next recognition', async () => {
+    const erik = bot.user('erik');
+    await bot.react(admin, bot.post(erik, 'the obelisk is up north'), '✅');
+    await bot.react(admin, bot.post(erik, 'bring a parachute'), '✅');
+
+    // Not linked yet: the role goes out, the tokens are owed
+    assert.equal(bot.guild.members.cache.get(erik.id).roles.cache.has('trusted-helper'), true);
+    assert.equal(bot.channel.sent.at(-1).content, `🏆 <@${erik.id}> reached **2** recognitions! They get the <@&trusted-helper> role.`);
+    const warning = await bot.waitFor(() => bot.audit.sent.find(m => m.content?.startsWith('⚠️ Helper milestone **2**')), { what: 'the failure audit post' });
+    assert.match(warning.content, new RegExp(`for <@${erik.id}> \\(erik\\): could not give \\*\\*50\\*\\* tokens \\(No GSA player linked to ${erik.id}\\)\\.`));
+
+    const erikP = bot.player(erik, 0);
+    await bot.ctx.communities.main.links.refresh(erik.id);
+    await bot.react(admin, bot.post(erik, 'feed it raw meat'), '✅');
+    assert.equal(bot.gsa.balanceOf(erikP.uuid), 50);
+    assert.equal(bot.audit.sent.filter(m => m.content?.startsWith('✅ Helper milestone **2**')).length, 1);
+
+    await bot.react(admin, bot.post(erik, 'and a saddle'), '✅');
+    assert.equal(bot.gsa.balanceOf(erikP.uuid), 50);
+  });
+});
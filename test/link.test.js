@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+const { buttonIds } = require('./support/fake-discord');
+
+test('/link, /player and the link cache', async t => {
+  const bot = await startBot({ cooldownMs: 0, env: { LINK_URL: 'https://dino.example/profile' } });
+  t.after(() => bot.close());
+
+  const manager = bot.user('manager', { roles: ['manager-role'] });
+  const dave = bot.user('dave');
+  const erin = bot.user('erin');
+  const erinP = bot.player(erin, 40);
+
+  const finds = id => bot.gsa.requests.filter(r => r.route === 'find' && r.body?.service_id === id).length;
+
+  await t.test('/link explains how to link and checks again on request', async () => {
+    const link = await bot.command(dave, 'link');
+    const embed = link.replies.at(-1).embeds[0].data;
+    assert.equal(embed.title, '🔗 Link your Discord to GSA');
+    assert.match(embed.description, /\[your community's website\]\(https:\/\/dino\.example\/profile\)/);
+    assert.match(embed.description, /\*\*dave\*\*/);
+    assert.deepEqual(buttonIds(link.message), ['link:check']);
+
+    const check = await bot.press(dave, link.message, 'check');
+    assert.match(check.replies.at(-1).embeds[0].data.description, /Still not linked/);
+
+    const daveP = bot.player(dave, 0);
+    await bot.press(dave, link.message, 'check');
+    assert.match(link.message.content, new RegExp(`✅ Your Discord is linked to GSA player \\*\\*dave\\*\\* \\(\`${daveP.uuid}\`\\)`));
+    assert.deepEqual(buttonIds(link.message), []);
+
+    // /link stored the fresh answer, so other commands see the link right away
+    const wallet = await bot.command(dave, 'wallet');
+    assert.match(wallet.replies.at(-1).embeds[0].data.title, /dave/);
+  });
+
+  await t.test('lookups are cached', async () => {
+    await bot.command(erin, 'wallet');
+    await bot.command(erin, 'tokens', { subcommand: 'balance' });
+    await bot.command(erin, 'history');
+    assert.equal(finds(erin.id), 1);
+
+    const refresh = await bot.command(manager, 'player', { subcommand: 'refresh', options: { user: erin } });
+    assert.equal(refresh.lastReply, `✅ **erin** is linked to **erin** (\`${erinP.uuid}\`).`);
+    assert.equal(finds(erin.id), 2);
+  });
+
+  await t.test('managers can find the Discord account of a GSA player', async () => {
+    const denied = await bot.command(dave, 'player', { subcommand: 'lookup', options: { query: 'erin' } });
+    assert.equal(denied.lastReply, '⛔ Managers only.');
+
+    const byName = await bot.command(manager, 'player', { subcommand: 'lookup', options: { query: 'ERIN' } });
+    assert.match(byName.replies.at(-1).embeds[0].data.description, new RegExp(`\\*\\*erin\\*\\* \`${erinP.uuid}\` → <@${erin.id}>`));
+
+    const norm = bot.gsa.addPlayer({ uuid: '3f2b8c9e-1a2b-4c3d-9e8f-0123456789ab', username: 'norm', serviceId: '1' });
+    const byUuid = await bot.command(manager, 'player', { subcommand: 'lookup', options: { query: norm.uuid } });
+    assert.match(byUuid.lastReply, /GSA player \*\*norm\*\* .* exists, but no Discord account/);
+
+    const nobody = await bot.command(manager, 'player', { subcommand: 'lookup', options: { query: 'zed' } });
+    assert.match(nobody.lastReply, /No known GSA player matches \*\*zed\*\*/);
+  });
+
+  await t.test('a uuid GSA no longer knows is dropped from the cache', async () => {
+    bot.gsa.players.delete(erinP.uuid);
+    const send = await bot.command(manager, 'tokens', { subcommand: 'send', options: { user: erin, amount: 5 } });
+    assert.match(send.lastReply, /Something went wrong/);
+
+    const moved = bot.gsa.addPlayer({ uuid: 'uuid-erin-new', username: 'erin', serviceId: erin.id, tokens: 7 });
+    const balance = await bot.command(erin, 'tokens', { subcommand: 'balance' });
+    assert.equal(balance.lastReply, '💳 **erin** has **7** tokens.');
+    assert.equal(bot.gsa.balanceOf(moved.uuid), 7);
+    assert.equal(finds(erin.id), 3);
+  });
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+
+const rules = [
+  {
+    name: 'bonus',
+    emoji: '💎',
+    polarity: 'positive',
+    requiredRoles: ['admin-role'],
+    reward: { type: 'tokens', amount: 15 },
+    description: '{admin} gave {helper} {amount} bonus tokens',
+    message: '{helper} got {amount} tokens 💎',
+  },
+];
+
+const permissions = {
+  roles: {
+    'manager-role': { name: 'Manager', commands: ['*'] },
+    'event-role': {
+      name: 'Event team',
+      commands: ['tokens.send', 'tokens.bulk'],
+      reactions: ['bonus'],
+      maxPerAction: 50,
+      maxPerDay: 80,
+    },
+    'planner-role': { name: 'Planner', commands: ['schedule'], maxPerDay: 100 },
+    'import-role': { name: 'Importer', commands: ['tokens.import'], maxPerDay: 50 },
+  },
+};
+
+test('permissions', async t => {
+  const bot = await startBot({ rules, permissions, cooldownMs: 0 });
+  t.after(() => bot.close());
+
+  const manager = bot.user('manager', { roles: ['manager-role'] });
+  const host = bot.user('host', { roles: ['event-role'] });
+  const dave = bot.user('dave');
+  const daveP = bot.player(dave, 0);
+
+  await t.test('commands are limited to the role\'s keys', async () => {
+    const history = await bot.command(host, 'tokens', { subcommand: 'history', options: { user: dave } });
+    assert.equal(history.lastReply, '⛔ You do not have permission.');
+    const audit = await bot.command(host, 'audit', { subcommand: 'search' });
+    assert.equal(audit.lastReply, '⛔ Managers only.');
+    const nobody = await bot.command(dave, 'tokens', { subcommand: 'send', options: { user: dave, amount: 5 } });
+    assert.equal(nobody.lastReply, '⛔ You do not have permission.');
+  });
+
+  await t.test('grants respect the per-action and per-day caps', async () => {
+    const tooBig = await bot.command(host, 'tokens', { subcommand: 'send', options: { user: dave, amount: 60 } });
+    assert.match(tooBig.lastReply, /at most \*\*50\*\* tokens per action/);
+
+    const ok = await bot.command(host, 'tokens', { subcommand: 'send', options: { user: dave, amount: 50 } });
+    assert.match(ok.lastReply, /✅ Granted \*\*50\*\*/);
+
+    const overDay = await bot.command(host, 'tokens', { subcommand: 'send', options: { user: dave, amount: 40 } });
+    assert.match(overDay.lastReply, /\*\*80\*\* tokens per 24 hours; \*\*30\*\* left/);
+
+    const bulk = await bot.command(host, 'tokens', { subcommand: 'bulk', options: { amount: 20, users: `${dave.id} ${manager.id}` } });
+    assert.match(bulk.lastReply, /\*\*30\*\* left/);
+
+    // Managers have no caps
+    await bot.command(manager, 'tokens', { subcommand: 'send', options: { user: dave, amount: 500 } });
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 550);
+  });
+
+  await t.test('reaction rules can be opened up to more roles', async () => {
+    await bot.react(host, bot.post(dave, 'tip'), '💎');
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 565);
+    await bot.react(dave, bot.post(manager, 'tip'), '💎');
+    assert.equal(bot.audit.sent.filter(m => m.embeds?.[0]?.data.title === '🏅 Reaction reward').length, 1);
+  });
+
+  await t.test('scheduled payouts count role members and every run against the creator\'s day', async () => {
+    const runDue = now => bot.ctx.scheduler.tick(now);
+    const planner = bot.user('planner', { roles: ['planner-role'] });
+    const crew = ['ann', 'ben', 'cat'].map(name => bot.user(name, { roles: ['crew-role'] }));
+    crew.forEach(u => bot.player(u, 0));
+    const at = new Date(Date.now() + 60 * 60_000).toISOString().slice(0, 16).replace('T', ' ');
+
+    const tooMuch = await bot.command(planner, 'schedule', { subcommand: 'add', options: { amount: 40, at, every: 'daily', role: { id: 'crew-role' } } });
+    assert.match(tooMuch.lastReply, /\*\*100\*\* tokens per 24 hours; \*\*100\*\* left/);
+
+    const add = await bot.command(planner, 'schedule', { subcommand: 'add', options: { amount: 30, at, every: 'daily', role: { id: 'crew-role' } } });
+    assert.match(add.lastReply, /🗓️ Scheduled/);
+
+    await runDue(Date.now() + 2 * 60 * 60_000);
+    assert.equal(bot.ctx.permissions.usedToday(planner.id), 90);
+    assert.equal(bot.gsa.balanceOf(`uuid-${crew[0].id}`), 30);
+
+    await runDue(Date.now() + 26 * 60 * 60_000);
+    assert.equal(bot.gsa.balanceOf(`uuid-${crew[0].id}`), 30, 'the second run would go over the day');
+    assert.match(bot.audit.sent.at(-1).content, /❌ Scheduled payout skipped for its creator's limits: .*\*\*10\*\* left/);
+  });
+
+  await t.test('an import checks the caps again on Send tokens', async () => {
+    const importer = bot.user('importer', { roles: ['import-role'] });
+    const preview = async () => {
+      const file = bot.gsa.attach('prizes.csv', ['player;amount;reason', `${dave.id};30;prize`].join('\n'));
+      return bot.command(importer, 'tokens', { subcommand: 'import', options: { file } });
+    };
+    // Both previews pass on their own; together they are over the day
+    const first = await preview();
+    const second = await preview();
+    const before = bot.gsa.balanceOf(daveP.uuid);
+
+    const [a, b] = await Promise.all([first, second].map(p => bot.press(importer, p.message, 'import')));
+    assert.match(a.lastReply, /✅ Paid 1 \(30 tokens\)/);
+    assert.equal(b.lastReply, '⛔ Your roles allow **50** tokens per 24 hours; **20** left.\nImport of **prizes.csv**: nothing was sent.');
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), before + 30);
+    assert.equal(bot.ctx.permissions.usedToday(importer.id), 30);
+  });
+
+  await t.test('/permissions shows the effective permissions', async () => {
+    const own = await bot.command(host, 'permissions');
+    const fields = Object.fromEntries(own.replies.at(-1).embeds[0].data.fields.map(f => [f.name, f.value]));
+    assert.equal(fields.Roles, '<@&event-role> (Event team)');
+    assert.equal(fields.Commands, '`tokens.send` • 50 per action • 80 per day\n`tokens.bulk` • 50 per action • 80 per day');
+    assert.equal(fields['Reaction rules'], '`bonus`');
+    assert.equal(fields['Granted in the last 24 h'], '50');
+
+    const other = await bot.command(host, 'permissions', { options: { user: manager } });
+    assert.equal(other.lastReply, '⛔ You can only check your own permissions.');
+
+    const byManager = await bot.command(manager, 'permissions', { options: { user: dave } });
+    const daveFields = byManager.replies.at(-1).embeds[0].data.fields;
+    assert.equal(daveFields.find(f => f.name === 'Commands').value, 'None');
+  });
+});
+
+test('permissions.json is validated', () => {
+  // Required only now: json-store reads DATA_DIR on load, which startBot() sets above.
+  const { normalizePermissions } = require('../lib/permissions');
+  assert.throws(
+    () => normalizePermissions({ roles: { r1: { commands: ['tokens.sned'], maxPerDay: -1 } } }),
+    /role r1: unknown command "tokens.sned"; role r1: "maxPerDay" must be a whole number >= 0/
+  );
+  assert.throws(() => normalizePermissions({}), /"roles" must be an object/);
+  const { roles } = normalizePermissions({ roles: { r1: { commands: ['tokens.*'] } } });
+  assert.deepEqual(roles.r1, { name: 'r1', commands: ['tokens.*'], reactions: [], maxPerAction: 0, maxPerDay: 0 });
+});
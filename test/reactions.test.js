@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRules } = require('../lib/reaction-rules');
+const { startBot } = require('./support/harness');
+
+const rules = [
+  {
+    name: 'contribution',
+    emoji: '✅',
+    polarity: 'positive',
+    reward: { type: 'webhook', url: '{gsa}/webhook/contribution', undoUrl: '{gsa}/webhook/contribution-undo' },
+    description: 'Administrator {admin} recognized {helper} for helping.',
+    message: '{helper} has been recognized for helping! 🎉',
+  },
+  {
+    name: 'jackass',
+    emoji: '💩',
+    polarity: 'negative',
+    reward: { type: 'task', taskId: '666' },
+    description: 'Administrator {admin} gave {helper} a jackass penalty.',
+    message: '{helper} earned the jackass award.',
+  },
+  {
+    name: 'bonus',
+    emoji: '💎',
+    polarity: 'positive',
+    reward: { type: 'tokens', amount: 15 },
+    description: '{admin} gave {helper} {amount} bonus tokens',
+    message: '{helper} got {amount} tokens 💎',
+  },
+];
+
+test('reaction rewards', async t => {
+  const bot = await startBot({ rules, cooldownMs: 0 });
+  t.after(() => bot.close());
+
+  const admin = bot.user('admin', { roles: ['admin-role'] });
+  const member = bot.user('member');
+  const helper = bot.user('helper');
+  const helperP = bot.player(helper, 0);
+
+  await t.test('an admin ✅ calls the contribution webhook once', async () => {
+    const msg = bot.post(helper, 'here is how you tame a rex');
+    await bot.react(admin, msg, '✅');
+
+    assert.equal(bot.gsa.webhooks.length, 1);
+    const [hook] = bot.gsa.webhooks;
+    assert.equal(hook.name, 'contribution');
+    assert.equal(hook.headers.authorization, 'Bearer test-auth');
+    assert.equal(hook.body.helper_id, helper.id);
+    assert.equal(hook.body.description, 'Administrator admin recognized helper for helping.');
+    assert.equal(bot.channel.sent.at(-1).content, 'helper has been recognized for helping! 🎉');
+
+    await bot.react(admin, msg, '✅');
+    assert.equal(bot.gsa.webhooks.length, 1, 'second reaction is a duplicate');
+  });
+
+  await t.test('non-admins are ignored', async () => {
+    const msg = bot.post(helper);
+    await bot.react(member, msg, '✅');
+    assert.equal(bot.gsa.webhooks.length, 1);
+  });
+
+  await t.test('💩 runs the GSA task for the author', async () => {
+    const msg = bot.post(helper);
+    await bot.react(admin, msg, '💩');
+    assert.deepEqual(bot.gsa.tasks.map(x => [x.taskId, x.serviceId]), [['666', helper.id]]);
+  });
+
+  await t.test('token rewards mutate the linked player and can be undone', async () => {
+    const msg = bot.post(helper);
+    await bot.react(admin, msg, '💎');
+    assert.equal(bot.gsa.balanceOf(helperP.uuid), 15);
+    const ack = bot.channel.sent.at(-1);
+    assert.equal(ack.content, 'helper got 15 tokens 💎');
+
+    await bot.unreact(admin, msg, '💎');
+    assert.equal(bot.gsa.balanceOf(helperP.uuid), 0);
+    assert.match(ack.content, /^~~helper got 15 tokens 💎~~\n/);
+  });
+
+  await t.test('a failed webhook tells the channel and the audit log', async () => {
+    bot.gsa.failNext('webhook', { status: 400 });
+    const msg = bot.post(helper);
+    await bot.react(admin, msg, '✅');
+    await bot.waitFor(() => bot.audit.sent.length, { what: 'audit post' });
+    assert.match(bot.channel.sent.at(-1).content, /Failed/i);
+  });
+});
+
+test('placeholder ids, URLs and task ids are refused when the rules load', () => {
+  const rule = reward => ({ name: 'r', emoji: '✅', reward });
+  const load = raw => () => parseRules({ rules: [raw] }, { defaultRoleId: 'admin-role' });
+
+  assert.throws(load({ ...rule({ type: 'task', taskId: '7' }), requiredRoles: ['admin role id discord'] }),
+    /rule #1 \(r\): "admin role id discord" in "requiredRoles" is not a Discord id/);
+  assert.throws(load(rule({ type: 'webhook', url: 'webhook url' })), /"reward.url" "webhook url" is not an http\(s\) URL/);
+  assert.throws(load(rule({ type: 'webhook', url: 'ftp://example.com' })), /is not an http\(s\) URL/);
+  assert.throws(load(rule({ type: 'task', taskId: 'taskid' })), /"reward.taskId" "taskid" is not a GSA task id/);
+  assert.throws(load(rule({ type: 'task', taskId: '7', undoTaskId: 'undo' })), /"reward.undoTaskId"/);
+  assert.equal(parseRules({ rules: [rule({ type: 'task', taskId: 7 })] }, { defaultRoleId: 'admin-role' })[0].reward.taskId, 7);
+});
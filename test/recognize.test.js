@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+
+const rules = [
+  {
+    name: 'contribution',
+    emoji: '✅',
+    polarity: 'positive',
+    reward: { type: 'webhook', url: '{gsa}/webhook/contribution' },
+    description: 'Administrator {admin} recognized {helper} for helping.',
+    message: '{helper} has been recognized for helping! 🎉',
+  },
+  {
+    name: 'jackass',
+    emoji: '💩',
+    polarity: 'negative',
+    reward: { type: 'task', taskId: '666' },
+    message: '{helper} 💩',
+  },
+];
+
+const sisterRules = [
+  rules[0],
+  {
+    name: 'bonus',
+    emoji: '💎',
+    polarity: 'positive',
+    reward: { type: 'tokens', amount: 20 },
+    message: '{helper} got {amount} tokens 💎',
+  },
+];
+
+test('"Recognize helper" and /recognize', async t => {
+  const bot = await startBot({
+    rules,
+    cooldownMs: 0,
+    sister: { rules: sisterRules, config: { RECOGNIZE_RULE: 'bonus', APPROVAL_THRESHOLD: 300 } },
+  });
+  t.after(() => bot.close());
+
+  const admin = bot.user('admin', { roles: ['admin-role'] });
+  const manager = bot.user('manager', { roles: ['admin-role', 'manager-role'] });
+  const member = bot.user('member');
+  const helper = bot.user('helper');
+
+  await t.test('/recognize sends the reason with the reward and in the acknowledgement', async () => {
+    const cmd = await bot.command(admin, 'recognize', { options: { user: helper, reason: 'Found the lost rex' } });
+    assert.equal(cmd.lastReply, '✅ **helper** was recognized (contribution).');
+    assert.equal(cmd.ephemeral, true);
+
+    const [hook] = bot.gsa.webhooks;
+    assert.equal(hook.name, 'contribution');
+    assert.equal(hook.body.helper_id, helper.id);
+    assert.equal(hook.body.reason, 'Found the lost rex');
+    assert.equal(hook.body.description, 'Administrator admin recognized helper for helping. Reason: Found the lost rex');
+    assert.equal(bot.channel.sent.at(-1).content, 'helper has been recognized for helping! 🎉\n📝 Found the lost rex');
+  });
+
+  await t.test('"Recognize helper" asks for a reason, then rewards the message once', async () => {
+    const msg = bot.post(helper, 'tame it with a bola first');
+    const menu = await bot.contextMenu(admin, 'Recognize helper', msg);
+    assert.equal(menu.modal.data.custom_id, `recognize:modal:${msg.id}`);
+
+    const submit = await bot.submitModal(admin, menu.modal, { reason: 'Great taming tip' });
+    assert.equal(submit.lastReply, '✅ **helper** was recognized (contribution).');
+    assert.equal(bot.gsa.webhooks.length, 2);
+    assert.equal(bot.gsa.webhooks.at(-1).body.reason, 'Great taming tip');
+    assert.equal(bot.gsa.webhooks.at(-1).body.amount, undefined);
+    assert.equal(bot.channel.sent.at(-1).content, 'helper has been recognized for helping! 🎉\n📝 Great taming tip');
+
+    await bot.react(admin, msg, '✅');
+    assert.equal(bot.gsa.webhooks.length, 2, 'the ✅ reaction is a duplicate');
+
+    const again = await bot.submitModal(manager, menu.modal, { reason: 'Twice' });
+    assert.match(again.lastReply, /already/);
+    assert.equal(bot.gsa.webhooks.length, 2);
+  });
+
+  await t.test('a custom amount needs a tokens rule and tokens.send', async () => {
+    const webhook = await bot.command(manager, 'recognize', { options: { user: helper, reason: 'Event help', amount: 250 } });
+    assert.equal(webhook.lastReply, '❌ "contribution" does not pay tokens, so it takes no amount.');
+
+    const menu = await bot.contextMenu(manager, 'Recognize helper', bot.post(helper));
+    const bad = await bot.submitModal(manager, menu.modal, { amount: 'lots' });
+    assert.equal(bad.lastReply, '❌ The amount must be a whole number above 0.');
+    assert.equal(bot.gsa.webhooks.length, 2);
+
+    // The sister guild recognizes with a tokens rule
+    const { sister } = bot;
+    const sisterAdmin = sister.user(admin, { roles: ['admin-role'] });
+    const sisterManager = sister.user(manager, { roles: ['admin-role', 'manager-role'] });
+    const sisterHelper = sister.user(helper);
+    const helperP = sister.player(sisterHelper, 0);
+
+    const denied = await sister.command(sisterAdmin, 'recognize', { options: { user: sisterHelper, reason: 'Event help', amount: 50 } });
+    assert.equal(denied.lastReply, '⛔ You do not have permission.');
+
+    const cmd = await sister.command(sisterManager, 'recognize', { options: { user: sisterHelper, reason: 'Event help', amount: 250 } });
+    assert.equal(cmd.lastReply, '✅ **helper** was recognized (bonus).');
+    assert.equal(sister.gsa.balanceOf(helperP.uuid), 250);
+    assert.equal(sister.channel.sent.at(-1).content, 'helper got 250 tokens 💎\n📝 Event help');
+    assert.equal(bot.ctx.permissions.usedToday(manager.id), 250);
+  });
+
+  await t.test('a custom amount over APPROVAL_THRESHOLD waits for a second manager', async () => {
+    const { sister } = bot;
+    const helperP = { uuid: `uuid-${helper.id}` };
+    const other = sister.user('other-manager', { roles: ['manager-role'] });
+
+    const cmd = await sister.command(manager, 'recognize', { options: { user: helper, reason: 'Ran the raid', amount: 500 } });
+    assert.match(cmd.lastReply, /\*\*500\*\* tokens is over the approval threshold of \*\*300\*\*/);
+    assert.equal(sister.gsa.balanceOf(helperP.uuid), 250);
+
+    const request = sister.audit.sent.at(-1);
+    assert.equal(request.embeds[0].data.description, '**Recognition of helper with 500 tokens**');
+    const approve = await sister.press(other, request, 'approve');
+    assert.match(approve.lastReply, /✅ \*\*helper\*\* was recognized \(bonus\)\.\n👤 requested by manager • approved by other-manager/);
+    assert.equal(sister.gsa.balanceOf(helperP.uuid), 750);
+    assert.equal(sister.channel.sent.at(-1).content, 'helper got 500 tokens 💎\n📝 Ran the raid');
+    assert.equal(bot.ctx.permissions.usedToday(manager.id), 750);
+  });
+
+  await t.test('only whoever may react ✅ can recognize, and not themselves or bots', async () => {
+    const denied = await bot.command(member, 'recognize', { options: { user: helper, reason: 'x' } });
+    assert.equal(denied.lastReply, '⛔ You do not have permission.');
+
+    const self = await bot.command(admin, 'recognize', { options: { user: admin, reason: 'me' } });
+    assert.equal(self.lastReply, '❌ You cannot recognize yourself.');
+
+    const ack = bot.channel.sent.at(-1);
+    const menu = await bot.contextMenu(admin, 'Recognize helper', ack);
+    assert.equal(menu.modal, null);
+    assert.equal(menu.lastReply, '❌ Bots cannot be recognized.');
+    assert.equal(bot.gsa.webhooks.length, 2);
+  });
+
+  await t.test('recognitions show up in /helpers', async () => {
+    const profile = await bot.command(member, 'helpers', { subcommand: 'profile', options: { user: helper } });
+    const embed = profile.replies.at(-1).embeds[0].data;
+    assert.match(embed.description, /^\*\*2\*\* recognitions/);
+    const latest = embed.fields.find(f => f.name === 'Latest').value;
+    assert.match(latest, new RegExp(`via /recognize in <#${bot.channel.id}> by admin — Found the lost rex`));
+    assert.match(latest, /\[message\]\(.*\) in <#\d+> by admin — Great taming tip/);
+  });
+});
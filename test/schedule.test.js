@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startBot } = require('./support/harness');
+
+const DAY_MS = 86_400_000;
+
+// 'YYYY-MM-DD HH:MM' in UTC, `ms` from now (rounded down to the minute)
+function when(ms) {
+  return new Date(Date.now() + ms).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+test('/schedule', async t => {
+  const bot = await startBot({ cooldownMs: 0 });
+  t.after(() => bot.close());
+  const runDue = now => bot.ctx.scheduler.tick(now);
+
+  const manager = bot.user('manager', { roles: ['manager-role'] });
+  const janitor = bot.user('janitor', { roles: ['janitor-role'] });
+  const winner = bot.user('winner');
+  const janitorP = bot.player(janitor, 0);
+  const winnerP = bot.player(winner, 0);
+
+  const list = async () => (await bot.command(manager, 'schedule', { subcommand: 'list' })).lastReply;
+  const idIn = reply => reply.match(/`([0-9a-f]{6})`/)[1];
+
+  await t.test('is for managers only', async () => {
+    const add = await bot.command(winner, 'schedule', {
+      subcommand: 'add', options: { amount: 100, at: when(DAY_MS), user: winner },
+    });
+    assert.equal(add.lastReply, '⛔ Managers only.');
+  });
+
+  await t.test('rejects past and malformed times', async () => {
+    const past = await bot.command(manager, 'schedule', { subcommand: 'add', options: { amount: 5, at: when(-DAY_MS), user: winner } });
+    assert.equal(past.lastReply, '❌ That time is in the past.');
+    const bad = await bot.command(manager, 'schedule', { subcommand: 'add', options: { amount: 5, at: 'next friday', user: winner } });
+    assert.match(bad.lastReply, /YYYY-MM-DD HH:MM/);
+  });
+
+  let weekly, once;
+  await t.test('add schedules a one-off and a recurring payout', async () => {
+    const prize = await bot.command(manager, 'schedule', {
+      subcommand: 'add', options: { amount: 500, at: when(DAY_MS), user: winner, reason: 'tournament 1st place' },
+    });
+    assert.match(prize.lastReply, /🗓️ Scheduled `[0-9a-f]{6}`: \*\*500\*\* tokens → <@\d+>, once at/);
+    once = idIn(prize.lastReply);
+
+    const stipend = await bot.command(manager, 'schedule', {
+      subcommand: 'add', options: { amount: 50, at: when(DAY_MS / 2), every: 'weekly', role: { id: 'janitor-role' }, reason: 'janitor stipend' },
+    });
+    assert.match(stipend.lastReply, /→ <@&janitor-role>, weekly from/);
+    weekly = idIn(stipend.lastReply);
+
+    const shown = await list();
+    assert.match(shown, new RegExp(`\`${weekly}\` • \\*\\*50\\*\\* tokens → <@&janitor-role> • weekly • next`));
+    assert.match(shown, new RegExp(`\`${once}\` • \\*\\*500\\*\\* tokens → <@${winner.id}> • once`));
+
+    // persisted for the next start
+    const saved = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'schedules.json'), 'utf8'));
+    assert.deepEqual(Object.keys(saved.schedules).sort(), [once, weekly].sort());
+    assert.equal(bot.audit.sent.filter(m => /scheduled a payout/.test(m.content)).length, 2);
+  });
+
+  await t.test('nothing is paid before it is due', async () => {
+    await runDue(Date.now());
+    assert.equal(bot.gsa.balanceOf(janitorP.uuid), 0);
+    assert.equal(bot.gsa.balanceOf(winnerP.uuid), 0);
+  });
+
+  await t.test('due runs pay, post to the audit channel and move on', async () => {
+    await runDue(Date.now() + DAY_MS + 60_000);
+    assert.equal(bot.gsa.balanceOf(janitorP.uuid), 50);
+    assert.equal(bot.gsa.balanceOf(winnerP.uuid), 500);
+
+    const runs = bot.audit.sent.filter(m => /Scheduled grant/.test(m.content));
+    assert.equal(runs.length, 2);
+    assert.ok(runs.some(m => /500 tokens[\s\S]*✅ Paid 1 \(500 tokens\)[\s\S]*tournament 1st place/.test(m.content)));
+    assert.ok(runs.some(m => new RegExp(`50 tokens[\\s\\S]*Schedule \`${weekly}\` \\(weekly\\)[\\s\\S]*next <t:`).test(m.content)));
+
+    const shown = await list();
+    assert.doesNotMatch(shown, new RegExp(once), 'a one-off is gone once it ran');
+    assert.match(shown, /weekly • next .* • ran 1x/);
+  });
+
+  await t.test('pause stops a schedule until it is resumed', async () => {
+    const pause = await bot.command(manager, 'schedule', { subcommand: 'pause', options: { id: weekly } });
+    assert.equal(pause.lastReply, `✅ Schedule \`${weekly}\` paused.`);
+    assert.match(await list(), /⏸️ paused/);
+
+    await runDue(Date.now() + 30 * DAY_MS);
+    assert.equal(bot.gsa.balanceOf(janitorP.uuid), 50);
+
+    const resume = await bot.command(manager, 'schedule', { subcommand: 'resume', options: { id: weekly } });
+    assert.match(resume.lastReply, /resumed\. Next run <t:/);
+    await runDue(Date.now() + 8 * DAY_MS);
+    assert.equal(bot.gsa.balanceOf(janitorP.uuid), 100);
+  });
+
+  await t.test('cancel deletes it', async () => {
+    const cancel = await bot.command(manager, 'schedule', { subcommand: 'cancel', options: { id: weekly } });
+    assert.equal(cancel.lastReply, `✅ Schedule \`${weekly}\` cancelled.`);
+    assert.equal(await list(), 'ℹ️ No scheduled payouts.');
+
+    const again = await bot.command(manager, 'schedule', { subcommand: 'cancel', options: { id: weekly } });
+    assert.equal(again.lastReply, `❌ No schedule \`${weekly}\`.`);
+  });
+});
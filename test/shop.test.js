@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+
+const shop = [
+  { id: 'dino-egg', name: 'Dino egg', description: 'A random egg', price: 100, taskId: '501', stock: 2, perPlayerLimit: 1 },
+  { id: 'saddle', name: 'Saddle', price: 30, taskId: '502' },
+  { id: 'vip-kit', name: 'VIP kit', price: 10, taskId: '503', requiredRoles: ['vip-role'] },
+];
+
+test('/shop', async t => {
+  const bot = await startBot({ shop, cooldownMs: 0 });
+  t.after(() => bot.close());
+
+  const alice = bot.user('alice');
+  const bob = bot.user('bob');
+  const carol = bot.user('carol');
+  const aliceP = bot.player(alice, 250);
+  const bobP = bot.player(bob, 150);
+  bot.player(carol, 20);
+
+  await t.test('lists the catalog with stock and limits', async () => {
+    const list = await bot.command(alice, 'shop', { subcommand: 'list' });
+    const text = list.replies.at(-1).embeds[0].data.description;
+    assert.match(text, /\*\*Dino egg\*\* \(`dino-egg`\) • \*\*100\*\* tokens • 2 left • you have 0\/1\n {2}↳ A random egg/);
+    assert.match(text, /\*\*Saddle\*\* \(`saddle`\) • \*\*30\*\* tokens\n/);
+    assert.match(text, /<@&vip-role> only/);
+    assert.equal(list.ephemeral, true);
+  });
+
+  await t.test('takes the price and runs the GSA task once the buyer confirms', async () => {
+    const offer = await bot.command(alice, 'shop', { subcommand: 'buy', options: { item: 'Dino Egg' } });
+    assert.match(offer.lastReply, /Buy \*\*Dino egg\*\* for \*\*100\*\* tokens\? You have \*\*250\*\*/);
+    assert.equal(bot.gsa.balanceOf(aliceP.uuid), 250, 'nothing moves before Buy');
+
+    const other = await bot.press(bob, offer.message, 'confirm');
+    assert.match(other.lastReply, /Only <@/);
+
+    const confirm = await bot.press(alice, offer.message, 'confirm');
+    assert.match(confirm.lastReply, /✅ You bought \*\*Dino egg\*\* for \*\*100\*\* tokens/);
+    assert.match(confirm.lastReply, /new balance: \*\*150\*\*/);
+    assert.equal(bot.gsa.balanceOf(aliceP.uuid), 150);
+    const [task] = bot.gsa.tasks;
+    assert.equal(task.taskId, '501');
+    assert.equal(task.serviceId, alice.id);
+    assert.equal(task.body.item, 'dino-egg');
+
+    await bot.waitFor(() => bot.audit.sent.length >= 2, { what: 'audit posts' });
+    assert.deepEqual(bot.audit.sent.map(m => m.embeds[0].data.title), ['🛒 Shop: item paid', '🎁 Shop: item delivered']);
+  });
+
+  await t.test('enforces per-player limits, roles, balance and stock', async () => {
+    const again = await bot.command(alice, 'shop', { subcommand: 'buy', options: { item: 'dino-egg' } });
+    assert.equal(again.lastReply, '❌ **Dino egg** is limited to **1** per player and you already have one.');
+
+    const vip = await bot.command(alice, 'shop', { subcommand: 'buy', options: { item: 'vip-kit' } });
+    assert.match(vip.lastReply, /You need one of these roles to buy \*\*VIP kit\*\*/);
+
+    const poor = await bot.command(carol, 'shop', { subcommand: 'buy', options: { item: 'saddle' } });
+    assert.equal(poor.lastReply, '❌ Not enough tokens. You have **20**, **Saddle** costs **30**.');
+
+    const unknown = await bot.command(carol, 'shop', { subcommand: 'buy', options: { item: 'rex' } });
+    assert.match(unknown.lastReply, /There is no \*\*rex\*\* in the shop/);
+
+    const bobOffer = await bot.command(bob, 'shop', { subcommand: 'buy', options: { item: 'dino-egg' } });
+    await bot.press(bob, bobOffer.message, 'confirm');
+    const soldOut = await bot.command(bot.user('dave'), 'shop', { subcommand: 'buy', options: { item: 'dino-egg' } });
+    assert.equal(soldOut.lastReply, '❌ **Dino egg** is sold out.');
+    assert.equal(bot.gsa.balanceOf(bobP.uuid), 50);
+  });
+
+  await t.test('a buyer confirming two offers at once pays for one', async () => {
+    const erin = bot.user('erin');
+    const erinP = bot.player(erin, 50);
+    const first = await bot.command(erin, 'shop', { subcommand: 'buy', options: { item: 'saddle' } });
+    const second = await bot.command(erin, 'shop', { subcommand: 'buy', options: { item: 'saddle' } });
+
+    const replies = (await Promise.all([first, second].map(o => bot.press(erin, o.message, 'confirm')))).map(p => p.lastReply);
+    assert.equal(replies.filter(r => /✅ You bought \*\*Saddle\*\*/.test(r)).length, 1);
+    assert.ok(replies.includes('❌ Not enough tokens. You have **20**, **Saddle** costs **30**.'));
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 20);
+  });
+
+  await t.test('refunds the price when the task fails for good', async () => {
+    bot.gsa.failNext('task', { status: 400, body: { error: 'Player is offline' } });
+    const offer = await bot.command(alice, 'shop', { subcommand: 'buy', options: { item: 'saddle' } });
+    const confirm = await bot.press(alice, offer.message, 'confirm');
+    assert.match(confirm.lastReply, /\*\*Saddle\*\* could not be delivered\. Your tokens are being refunded automatically\./);
+    await bot.waitFor(() => bot.gsa.balanceOf(aliceP.uuid) === 150, { what: 'refund' });
+    assert.ok(bot.gsa.transactions.some(tx => tx.uuid === aliceP.uuid && tx.description === 'Refund: Saddle could not be delivered'));
+
+    const manager = bot.user('manager', { roles: ['manager-role'] });
+    const list = await bot.command(manager, 'shop', { subcommand: 'orders', options: { state: 'refunded' } });
+    assert.match(list.lastReply, /refunded • \*\*Saddle\*\* for 30 • alice/);
+    const denied = await bot.command(alice, 'shop', { subcommand: 'orders' });
+    assert.equal(denied.lastReply, '⛔ Managers only.');
+  });
+});
+
+test('shop items need a numeric GSA task id', () => {
+  const { normalizeCatalog } = require('../lib/shop-catalog');
+  const item = taskId => ({ items: [{ id: 'saddle', name: 'Saddle', price: 30, taskId }] });
+
+  assert.throws(() => normalizeCatalog(item('task id')), /item "saddle": "taskId" "task id" is not a GSA task id/);
+  assert.equal(normalizeCatalog(item(502)).items[0].taskId, '502');
+});
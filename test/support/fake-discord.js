@@ -0,0 +1,309 @@
+/**
+ * Fake Discord layer
+ * ------------------------------------------------------
+ * Just enough of discord.js for the command and event modules: a client
+ * with channels, guild members with roles, slash command, context menu,
+ * button and modal interactions, and reactions. Everything the bot says is recorded so tests
+ * can assert on it:
+ *
+ *   interaction.replies  -> every reply / editReply / update payload, in order
+ *   channel.sent         -> every message sent to a channel
+ */
+
+const { EventEmitter } = require('node:events');
+
+let nextId = 100000000000000000n; // real snowflakes are 17-20 digits
+const snowflake = () => String(nextId++);
+
+// Collection-like map, as used by roles.cache / channels.cache.
+function cache(entries = []) {
+  return new Map(entries);
+}
+
+function fakeUser({ id = snowflake(), username = `user${id}`, bot = false, createdTimestamp = Date.now() - 365 * 86_400_000 } = {}) {
+  return { id, username, tag: username, bot, createdTimestamp, toString: () => `<@${id}>` };
+}
+
+function fakeMessage(channel, content, { author = null, id = snowflake() } = {}) {
+  const message = {
+    id,
+    channel,
+    guild: channel.guild,
+    author,
+    partial: false,
+    editable: true,
+    content: typeof content === 'string' ? content : content?.content ?? '',
+    components: content?.components || [],
+    embeds: content?.embeds || [],
+    edits: [],
+    async edit(next) {
+      message.edits.push(next);
+      message.content = typeof next === 'string' ? next : next.content ?? message.content;
+      if (next?.components) message.components = next.components;
+      return message;
+    },
+    async fetch() { return message; },
+  };
+  return message;
+}
+
+function fakeChannel(client, { id = snowflake(), guild = null } = {}) {
+  const channel = {
+    id,
+    guild,
+    sent: [],
+    messages: {
+      cache: cache(),
+      async fetch(messageId) {
+        const found = channel.messages.cache.get(messageId);
+        if (!found) throw new Error(`Unknown message ${messageId}`);
+        return found;
+      },
+    },
+    async send(content) {
+      const message = fakeMessage(channel, content, { author: client.user });
+      channel.sent.push(message);
+      channel.messages.cache.set(message.id, message);
+      return message;
+    },
+  };
+  client.channels.cache.set(id, channel);
+  return channel;
+}
+
+function fakeRole({ id = snowflake(), name = `role${id}` } = {}) {
+  return { id, name, toString: () => `<@&${id}>` };
+}
+
+// A voice channel with these members in it.
+function fakeVoiceChannel(guild, members = [], { id = snowflake() } = {}) {
+  return { id, guild, type: 2, members: cache(members.map(m => [m.id, guild.members.cache.get(m.id)])) };
+}
+
+function fakeClient() {
+  const client = new EventEmitter();
+  client.user = fakeUser({ username: 'TestBot', bot: true });
+  client.channels = {
+    cache: cache(),
+    async fetch(id) {
+      const ch = client.channels.cache.get(id);
+      if (!ch) throw new Error(`Unknown channel ${id}`);
+      return ch;
+    },
+  };
+  client.guilds = {
+    cache: cache(),
+    async fetch(id) {
+      const g = client.guilds.cache.get(id);
+      if (!g) throw new Error(`Unknown guild ${id}`);
+      return g;
+    },
+  };
+  return client;
+}
+
+function fakeGuild({ id = snowflake(), client = null } = {}) {
+  const members = cache();
+  const guild = {
+    id,
+    members: {
+      cache: members,
+      async fetch(userId) {
+        if (userId === undefined) return members;
+        const m = members.get(userId);
+        if (!m) throw new Error(`Unknown member ${userId}`);
+        return m;
+      },
+    },
+    addMember(user, { roles = [], joinedTimestamp = Date.now() - 30 * 86_400_000 } = {}) {
+      const roleCache = cache(roles.map(r => [r, { id: r }]));
+      const member = {
+        id: user.id,
+        user,
+        guild,
+        joinedTimestamp,
+        roles: { cache: roleCache, async add(id) { roleCache.set(id, { id }); } },
+      };
+      members.set(user.id, member);
+      return member;
+    },
+  };
+  client?.guilds.cache.set(id, guild);
+  return guild;
+}
+
+// Shared reply bookkeeping for command and button interactions.
+function replyable(base, channel) {
+  const interaction = {
+    ...base,
+    replies: [],
+    deferred: false,
+    replied: false,
+    ephemeral: null,
+    message: null,
+    async deferReply({ ephemeral = false } = {}) {
+      interaction.deferred = true;
+      interaction.ephemeral = ephemeral;
+    },
+    async reply(payload) {
+      interaction.replied = true;
+      interaction.replies.push(payload);
+      return payload;
+    },
+    async editReply(payload) {
+      interaction.replies.push(payload);
+      if (!interaction.message) interaction.message = fakeMessage(channel, payload);
+      else await interaction.message.edit(payload);
+      return interaction.message;
+    },
+    async followUp(payload) {
+      interaction.replies.push(payload);
+      return fakeMessage(channel, payload);
+    },
+    get lastReply() {
+      const last = interaction.replies.at(-1);
+      return typeof last === 'string' ? last : last?.content ?? last;
+    },
+  };
+  return interaction;
+}
+
+/**
+ * @param {object} opts { guild, channel, user, commandName, subcommand, options: { name: value } }
+ */
+function fakeCommand({ guild, channel, user, commandName, subcommand = null, options = {} }) {
+  const get = (name, required) => {
+    if (options[name] === undefined && required) throw new Error(`Missing required option ${name}`);
+    return options[name] ?? null;
+  };
+  return replyable({
+    id: snowflake(),
+    type: 'command',
+    commandName,
+    guild,
+    guildId: guild.id,
+    channel,
+    channelId: channel.id,
+    user,
+    member: guild.members.cache.get(user.id),
+    isChatInputCommand: () => true,
+    isMessageContextMenuCommand: () => false,
+    isButton: () => false,
+    isModalSubmit: () => false,
+    options: {
+      getSubcommand: () => subcommand,
+      getUser: get,
+      getInteger: get,
+      getNumber: get,
+      getString: get,
+      getBoolean: get,
+      getChannel: get,
+      getRole: get,
+      getAttachment: get,
+    },
+  }, channel);
+}
+
+// Pressing a button on a message the bot sent (e.g. interaction.message from a command).
+function fakeButton({ guild, channel, user, customId, message }) {
+  const interaction = replyable({
+    id: snowflake(),
+    type: 'button',
+    customId,
+    guild,
+    guildId: guild.id,
+    channel,
+    channelId: channel.id,
+    user,
+    member: guild.members.cache.get(user.id),
+    isChatInputCommand: () => false,
+    isMessageContextMenuCommand: () => false,
+    isButton: () => true,
+    isModalSubmit: () => false,
+  }, channel);
+  interaction.message = message;
+  interaction.update = async payload => {
+    interaction.replied = true;
+    interaction.replies.push(payload);
+    await message?.edit(payload);
+  };
+  interaction.deferUpdate = async () => {
+    interaction.deferred = true;
+  };
+  return interaction;
+}
+
+// "Apps > <commandName>" on a message; a modal the command opens is kept as interaction.modal.
+function fakeContextMenu({ guild, channel, user, commandName, targetMessage }) {
+  const interaction = replyable({
+    id: snowflake(),
+    type: 'context-menu',
+    commandName,
+    guild,
+    guildId: guild.id,
+    channel,
+    channelId: channel.id,
+    user,
+    member: guild.members.cache.get(user.id),
+    targetMessage,
+    targetId: targetMessage.id,
+    modal: null,
+    isChatInputCommand: () => false,
+    isMessageContextMenuCommand: () => true,
+    isButton: () => false,
+    isModalSubmit: () => false,
+  }, channel);
+  interaction.showModal = async modal => {
+    interaction.replied = true;
+    interaction.modal = modal;
+  };
+  return interaction;
+}
+
+/**
+ * Submitting a modal.
+ * @param {object} opts { guild, channel, user, customId, values: { textInputId: value } }
+ */
+function fakeModalSubmit({ guild, channel, user, customId, values = {} }) {
+  return replyable({
+    id: snowflake(),
+    type: 'modal',
+    customId,
+    guild,
+    guildId: guild.id,
+    channel,
+    channelId: channel.id,
+    user,
+    member: guild.members.cache.get(user.id),
+    fields: { getTextInputValue: id => values[id] ?? '' },
+    isChatInputCommand: () => false,
+    isMessageContextMenuCommand: () => false,
+    isButton: () => false,
+    isModalSubmit: () => true,
+  }, channel);
+}
+
+// Every button customId on a message, e.g. ['trade:confirm:123', 'trade:cancel:123'].
+function buttonIds(message) {
+  return (message?.components || []).flatMap(row => row.components.map(c => c.data.custom_id));
+}
+
+function fakeReaction({ message, emoji }) {
+  return { partial: false, message, emoji: { name: emoji, id: null }, async fetch() { return this; } };
+}
+
+module.exports = {
+  fakeClient,
+  fakeGuild,
+  fakeChannel,
+  fakeVoiceChannel,
+  fakeRole,
+  fakeUser,
+  fakeMessage,
+  fakeCommand,
+  fakeButton,
+  fakeContextMenu,
+  fakeModalSubmit,
+  fakeReaction,
+  buttonIds,
+};
@@ -0,0 +1,207 @@
+/**
+ * Test harness
+ * ------------------------------------------------------
+ * Boots the real command and event modules (lib/bot.js) against the mock
+ * GSA server and a fake Discord client, with DATA_DIR in a temp directory:
+ *
+ *   const bot = await startBot({ rules: [...] });
+ *   const i = await bot.command(alice, 'tokens', { subcommand: 'send', options: { ... } });
+ *   i.lastReply  // what the bot answered
+ *   await bot.close();
+ *
+ * Modules keep their state at module level, so start one bot per test file
+ * (node --test runs every file in its own process).
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createMockGsa } = require('./mock-gsa');
+const discord = require('./fake-discord');
+
+// Fast retries so a scripted 5xx / 429 settles within a test.
+const TEST_OUTBOX = { baseDelayMs: 50, maxDelayMs: 500, cooldownMs: 200, maxAttempts: 4 };
+
+/**
+ * @param {object} [opts]
+ * @param {object[]} [opts.rules]   reaction rules; "{gsa}" in a url is replaced with the mock's address
+ * @param {object} [opts.policy]    trade policy (default: none)
+ * @param {object} [opts.permissions] permissions.json contents (default: none, MANAGER_ROLE_ID may do everything)
+ * @param {object[]} [opts.shop]   shop catalog items (default: an empty shop)
+ * @param {object[]} [opts.milestones] helper milestones (default: none)
+ * @param {object} [opts.config]    config.json contents (default: none)
+ * @param {object} [opts.sister]    a second guild in a GSA community of its own (own mock GSA):
+ *                                  { rules?, config? } where config is extra settings for its section
+ * @param {object} [opts.env]       extra environment variables
+ * @param {number} [opts.cooldownMs] mock GSA per-player cooldown
+ */
+async function startBot({ rules = [], policy = null, permissions = null, shop = [], milestones = [], config = null, sister = null, env = {}, cooldownMs = 5_000 } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dino-bot-test-'));
+  const gsa = createMockGsa({ cooldownMs });
+  const baseUrl = await gsa.listen();
+
+  const rulesFile = path.join(dir, 'reactions.json');
+  fs.writeFileSync(rulesFile, JSON.stringify(rules).replaceAll('{gsa}', baseUrl));
+  const policyFile = path.join(dir, 'trade-policy.json');
+  if (policy) fs.writeFileSync(policyFile, JSON.stringify(policy));
+  const permissionsFile = path.join(dir, 'permissions.json');
+  if (permissions) fs.writeFileSync(permissionsFile, JSON.stringify(permissions));
+  const shopFile = path.join(dir, 'shop.json');
+  fs.writeFileSync(shopFile, JSON.stringify({ items: shop }));
+  const milestonesFile = path.join(dir, 'milestones.json');
+  fs.writeFileSync(milestonesFile, JSON.stringify({ milestones }));
+
+  const client = discord.fakeClient();
+  const guild = discord.fakeGuild({ client });
+  const channel = discord.fakeChannel(client, { guild });
+  const audit = discord.fakeChannel(client, { guild });
+
+  let sisterSite = null;
+  if (sister) {
+    const sisterGsa = createMockGsa({ cooldownMs, apiKey: 'sister-key' });
+    const sisterUrl = await sisterGsa.listen();
+    const sisterGuild = discord.fakeGuild({ client });
+    const sisterAudit = discord.fakeChannel(client, { guild: sisterGuild });
+    const sisterRules = path.join(dir, 'sister-reactions.json');
+    fs.writeFileSync(sisterRules, JSON.stringify(sister.rules || []).replaceAll('{gsa}', sisterUrl));
+    config = {
+      ...config,
+      guilds: {
+        ...config?.guilds,
+        [sisterGuild.id]: {
+          GSA_API_URL: sisterUrl,
+          GSA_DASH_URL: sisterUrl,
+          GSA_API_KEY: sisterGsa.apiKey,
+          AUTH_TOKEN: 'sister-auth',
+          AUDIT_CHANNEL_ID: sisterAudit.id,
+          REACTION_RULES: sisterRules,
+          ...sister.config,
+        },
+      },
+    };
+    sisterSite = { guild: sisterGuild, channel: discord.fakeChannel(client, { guild: sisterGuild }), audit: sisterAudit, gsa: sisterGsa };
+  }
+  const configFile = path.join(dir, 'config.json');
+  if (config) fs.writeFileSync(configFile, JSON.stringify(config));
+
+  Object.assign(process.env, {
+    CONFIG_FILE: configFile,
+    DISCORD_TOKEN: 'test-token',
+    DISCORD_APP_ID: 'test-app',
+    GUILD_ID: guild.id,
+    DATA_DIR: path.join(dir, 'data'),
+    GSA_API_URL: baseUrl,
+    GSA_DASH_URL: baseUrl,
+    GSA_API_KEY: gsa.apiKey,
+    AUTH_TOKEN: 'test-auth',
+    ADMIN_ROLE_ID: 'admin-role',
+    MANAGER_ROLE_ID: 'manager-role',
+    AUDIT_CHANNEL_ID: audit.id,
+    REACTION_RULES: rulesFile,
+    TRADE_POLICY: policyFile,
+    PERMISSIONS: permissionsFile,
+    SHOP_CATALOG: shopFile,
+    HELPER_MILESTONES: milestonesFile,
+    DRY_RUN: 'false',
+    ...env,
+  });
+
+  // Required only now: json-store reads DATA_DIR and the modules read their env on load.
+  const { createContext, loadModules } = require('../../lib/bot');
+  const ctx = createContext({ client, outboxOptions: TEST_OUTBOX });
+  loadModules(ctx);
+  for (const mod of ctx.modules) await mod.ready?.(ctx);
+  ctx.outbox.start();
+
+  // Runs every listener of an event and waits for them (client.emit would not).
+  async function dispatch(event, ...args) {
+    await Promise.all(client.listeners(event).map(listener => listener(...args)));
+  }
+
+  // Members, players, commands and messages of one guild (the main one, or the sister).
+  function site({ guild, channel, gsa }) {
+    // A new user, or (passing one) a user of the other guild joining this one.
+    function user(nameOrUser, { roles = [] } = {}) {
+      const u = typeof nameOrUser === 'string' ? discord.fakeUser({ username: nameOrUser }) : nameOrUser;
+      guild.addMember(u, { roles });
+      return u;
+    }
+
+    function player(discordUser, tokens = 0) {
+      return gsa.addPlayer({ uuid: `uuid-${discordUser.id}`, username: discordUser.username, serviceId: discordUser.id, tokens });
+    }
+
+    async function command(by, commandName, { subcommand = null, options = {} } = {}) {
+      const interaction = discord.fakeCommand({ guild, channel, user: by, commandName, subcommand, options });
+      await dispatch('interactionCreate', interaction);
+      return interaction;
+    }
+
+    async function press(by, message, action) {
+      const customId = discord.buttonIds(message).find(id => id.split(':')[1] === action);
+      if (!customId) throw new Error(`No "${action}" button on message: ${message?.content}`);
+      const interaction = discord.fakeButton({ guild, channel, user: by, customId, message });
+      await dispatch('interactionCreate', interaction);
+      return interaction;
+    }
+
+    // Opens a message context menu command; interaction.modal is the modal it showed, if any.
+    async function contextMenu(by, commandName, targetMessage) {
+      const interaction = discord.fakeContextMenu({ guild, channel, user: by, commandName, targetMessage });
+      await dispatch('interactionCreate', interaction);
+      return interaction;
+    }
+
+    // Submits the modal a context menu command showed, with { textInputId: value }.
+    async function submitModal(by, modal, values = {}) {
+      const interaction = discord.fakeModalSubmit({ guild, channel, user: by, customId: modal.data.custom_id, values });
+      await dispatch('interactionCreate', interaction);
+      return interaction;
+    }
+
+    // A message by `author` in the test channel that admins can react to.
+    function post(author, content = 'hello') {
+      const message = discord.fakeMessage(channel, content, { author });
+      channel.messages.cache.set(message.id, message);
+      return message;
+    }
+
+    return { user, player, command, press, contextMenu, submitModal, post };
+  }
+  const { user, player, command, press, contextMenu, submitModal, post } = site({ guild, channel, gsa });
+
+  async function react(by, message, emoji, event = 'messageReactionAdd') {
+    await dispatch(event, discord.fakeReaction({ message, emoji }), by);
+  }
+
+  async function unreact(by, message, emoji) {
+    return react(by, message, emoji, 'messageReactionRemove');
+  }
+
+  // Polls until check() returns something truthy (outbox retries happen on timers).
+  async function waitFor(check, { timeoutMs = 5_000, what = 'condition' } = {}) {
+    const end = Date.now() + timeoutMs;
+    for (;;) {
+      const value = await check();
+      if (value) return value;
+      if (Date.now() > end) throw new Error(`Timed out waiting for ${what}`);
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+  }
+
+  async function close() {
+    ctx.outbox.stop();
+    ctx.scheduler.stop();
+    await gsa.close();
+    await sisterSite?.gsa.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return {
+    ctx, client, guild, channel, audit, gsa,
+    sister: sisterSite && { ...sisterSite, ...site(sisterSite) },
+    dispatch, user, player, command, press, contextMenu, submitModal, post, react, unreact, waitFor, close,
+  };
+}
+
+module.exports = { startBot };
@@ -0,0 +1,191 @@
+/**
+ * Mock GameServerApp System API
+ * ------------------------------------------------------
+ * A local HTTP server with just the endpoints the bots call:
+ *
+ *   POST /system-api/v2/players/find                    { service_id }
+ *   GET  /system-api/v2/player/:uuid                    (?include=stats)
+ *   GET  /system-api/v2/player/:uuid/token-balance
+ *   POST /system-api/v2/player/:uuid/mutate-tokens      { amount, description }
+ *   GET  /system-api/v2/player/:uuid/token-transactions (?per_page&page)
+ *   POST /system-api/v2/task/:taskId/execute?service_id=...
+ *   POST /webhook/:name                                 (reward webhooks)
+ *   GET  /attachments/:name                             (stands in for Discord's CDN, see attach())
+ *
+ * Like GSA, a player can only be mutated (or have a task run) once per
+ * cooldownMs (5s by default); a second call inside that window gets a 429
+ * with Retry-After. Failures can be scripted per route:
+ *
+ *   gsa.failNext('mutate', { status: 503 })              // next mutation
+ *   gsa.failNext('mutate', { status: 400, uuid: 'p2', times: Infinity })
+ *
+ * Route names: find, details, balance, mutate, history, task, webhook.
+ */
+
+const http = require('node:http');
+
+function createMockGsa({ cooldownMs = 5_000, apiKey = 'test-key' } = {}) {
+  const players = new Map(); // uuid -> { uuid, username, serviceId, tokens }
+  const transactions = [];   // { uuid, transaction_value, description, date }
+  const tasks = [];          // { taskId, serviceId, body }
+  const webhooks = [];       // { name, body, headers }
+  const requests = [];       // { method, route, id, body, query }
+  const failures = [];       // { route, uuid, status, body, headers, times }
+  const lastMutation = new Map(); // uuid / service id -> time
+  const files = new Map();   // name -> text
+
+  function addPlayer({ uuid, username, serviceId, tokens = 0 }) {
+    const player = { uuid, username, serviceId: String(serviceId), tokens };
+    players.set(uuid, player);
+    return player;
+  }
+
+  function failNext(route, { status = 500, uuid = null, times = 1, body, headers } = {}) {
+    failures.push({ route, uuid, status, times, body: body ?? { error: `Scripted ${status}` }, headers: headers || {} });
+  }
+
+  function takeFailure(route, uuid) {
+    const f = failures.find(x => x.route === route && (!x.uuid || x.uuid === uuid));
+    if (!f) return null;
+    f.times -= 1;
+    if (f.times <= 0) failures.splice(failures.indexOf(f), 1);
+    return f;
+  }
+
+  // 429 if this key was mutated less than cooldownMs ago, otherwise start a new window.
+  function onCooldown(key) {
+    const now = Date.now();
+    const last = lastMutation.get(key);
+    if (last && now - last < cooldownMs) return Math.ceil((cooldownMs - (now - last)) / 1000);
+    lastMutation.set(key, now);
+    return 0;
+  }
+
+  function route(method, pathname) {
+    let m;
+    if (method === 'POST' && pathname === '/system-api/v2/players/find') return ['find'];
+    if ((m = pathname.match(/^\/system-api\/v2\/player\/([^/]+)$/)) && method === 'GET') return ['details', m[1]];
+    if ((m = pathname.match(/^\/system-api\/v2\/player\/([^/]+)\/token-balance$/)) && method === 'GET') return ['balance', m[1]];
+    if ((m = pathname.match(/^\/system-api\/v2\/player\/([^/]+)\/mutate-tokens$/)) && method === 'POST') return ['mutate', m[1]];
+    if ((m = pathname.match(/^\/system-api\/v2\/player\/([^/]+)\/token-transactions$/)) && method === 'GET') return ['history', m[1]];
+    if ((m = pathname.match(/^\/system-api\/v2\/task\/([^/]+)\/execute$/)) && method === 'POST') return ['task', m[1]];
+    if ((m = pathname.match(/^\/webhook\/([^/]+)$/)) && method === 'POST') return ['webhook', m[1]];
+    if ((m = pathname.match(/^\/attachments\/([^/]+)$/)) && method === 'GET') return ['attachment', m[1]];
+    return [null];
+  }
+
+  function handle(req, res, raw) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = raw ? JSON.parse(raw) : null;
+    const [name, id] = route(req.method, url.pathname);
+    const send = (status, data, headers = {}) => {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(data));
+    };
+
+    requests.push({ method: req.method, route: name, id, body, query: Object.fromEntries(url.searchParams) });
+    if (!name) return send(404, { error: 'Not found' });
+    if (name === 'attachment') {
+      if (!files.has(id)) return send(404, { error: 'No such file' });
+      res.writeHead(200, { 'content-type': 'text/csv' });
+      return res.end(files.get(id));
+    }
+    if (req.headers.authorization !== `Bearer ${server.apiKey}` && name !== 'webhook' && name !== 'task') {
+      return send(401, { error: 'Unauthenticated' });
+    }
+
+    const failure = takeFailure(name, id);
+    if (failure) return send(failure.status, failure.body, failure.headers);
+
+    if (name === 'find') {
+      const found = [...players.values()].filter(p => p.serviceId === String(body?.service_id));
+      return send(200, { data: found.map(({ uuid, username }) => ({ uuid, username })) });
+    }
+    if (name === 'webhook') {
+      webhooks.push({ name: id, body, headers: req.headers });
+      return send(200, { data: 'ok' });
+    }
+    if (name === 'task') {
+      const serviceId = url.searchParams.get('service_id');
+      const wait = onCooldown(`task:${serviceId}`);
+      if (wait) return send(429, { error: 'Player is on cooldown' }, { 'retry-after': String(wait) });
+      tasks.push({ taskId: id, serviceId, body });
+      return send(200, { data: 'Task executed.' });
+    }
+
+    const player = players.get(id);
+    if (!player) return send(404, { error: 'Player not found' });
+
+    if (name === 'details') {
+      const { uuid, username, tokens } = player;
+      return send(200, { data: { uuid, username, stats: { token_balance: tokens } } });
+    }
+    if (name === 'balance') return send(200, { data: player.tokens });
+    if (name === 'history') {
+      const perPage = Number(url.searchParams.get('per_page')) || 10;
+      const page = Number(url.searchParams.get('page')) || 1;
+      const own = transactions.filter(t => t.uuid === id).reverse();
+      return send(200, { data: own.slice((page - 1) * perPage, page * perPage), meta: { total: own.length } });
+    }
+
+    // mutate
+    const amount = Number(body?.amount);
+    if (!Number.isInteger(amount) || amount === 0) return send(422, { error: 'Invalid amount' });
+    const wait = onCooldown(id);
+    if (wait) return send(429, { error: 'Player is on cooldown' }, { 'retry-after': String(wait) });
+    if (player.tokens + amount < 0) return send(422, { error: 'Insufficient tokens' });
+    player.tokens += amount;
+    transactions.push({ uuid: id, transaction_value: amount, description: body.description || null, date: new Date().toISOString() });
+    return send(200, { data: 'Tokens were mutated.' });
+  }
+
+  // An uploaded file as a slash command attachment option ({ name, url, size }).
+  function attach(name, text) {
+    files.set(name, text);
+    return { name, url: `${server.baseUrl}/attachments/${encodeURIComponent(name)}`, size: Buffer.byteLength(text), contentType: 'text/csv' };
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try { handle(req, res, raw); } catch (e) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+  });
+  server.apiKey = apiKey;
+
+  function listen() {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+      server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve(server.baseUrl);
+    }));
+  }
+
+  // Drops keep-alive sockets too, or close() would wait for them to time out.
+  function close() {
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  return {
+    apiKey: server.apiKey,
+    players,
+    transactions,
+    tasks,
+    webhooks,
+    requests,
+    addPlayer,
+    failNext,
+    attach,
+    balanceOf: uuid => players.get(uuid)?.tokens,
+    listen,
+    close,
+  };
+}
+
+module.exports = { createMockGsa };
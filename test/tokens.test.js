@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+const { fakeRole, fakeVoiceChannel, buttonIds } = require('./support/fake-discord');
+
+test('/tokens', async t => {
+  const bot = await startBot({ cooldownMs: 300 });
+  t.after(() => bot.close());
+
+  const manager = bot.user('manager', { roles: ['manager-role'] });
+  const dave = bot.user('dave');
+  const daveP = bot.player(dave, 20);
+
+  await t.test('send grants tokens and shows up in history', async () => {
+    const send = await bot.command(manager, 'tokens', {
+      subcommand: 'send', options: { user: dave, amount: 30, reason: 'event winner' },
+    });
+    assert.match(send.lastReply, /✅ Granted \*\*30\*\* tokens for \*\*dave\*\*/);
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 50);
+
+    const history = await bot.command(manager, 'tokens', { subcommand: 'history', options: { user: dave } });
+    assert.match(history.replies.at(-1).embeds[0].data.description, /➕30 • by system • event winner/);
+  });
+
+  await t.test('send is for managers only', async () => {
+    const send = await bot.command(dave, 'tokens', { subcommand: 'send', options: { user: dave, amount: 1000 } });
+    assert.equal(send.lastReply, '⛔ You do not have permission.');
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 50);
+  });
+
+  await t.test('balance is public', async () => {
+    const balance = await bot.command(dave, 'tokens', { subcommand: 'balance' });
+    assert.equal(balance.ephemeral, false);
+    assert.equal(balance.lastReply, '💳 **dave** has **50** tokens.');
+  });
+
+  await t.test('a GSA outage queues the grant and retries it', async () => {
+    await new Promise(resolve => setTimeout(resolve, 350)); // dave's cooldown
+    bot.gsa.failNext('mutate', { status: 503, uuid: daveP.uuid });
+
+    const send = await bot.command(manager, 'tokens', { subcommand: 'preset', options: { user: dave, amount: 25 } });
+    assert.match(send.lastReply, /⏳ GSA did not answer\. Granted \*\*25\*\* tokens for \*\*dave\*\* is queued/);
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 50);
+
+    await bot.waitFor(() => bot.gsa.balanceOf(daveP.uuid) === 75, { what: 'retried grant' });
+    await bot.waitFor(() => bot.audit.sent.some(m => /Delayed GSA call went through/.test(m.content)), { what: 'audit note' });
+  });
+
+  await t.test('an unlinked user gets a clear answer', async () => {
+    const stranger = bot.user('stranger');
+    const balance = await bot.command(stranger, 'tokens', { subcommand: 'balance' });
+    assert.match(balance.lastReply, /No GSA player found for \*\*stranger\*\*/);
+  });
+
+  await t.test('bulk pays a role, a voice channel and a pasted list', async () => {
+    const eventRole = fakeRole({ id: 'event-role' });
+    const p1 = bot.user('p1', { roles: [eventRole.id] });
+    const p2 = bot.user('p2', { roles: [eventRole.id] });
+    const p3 = bot.user('p3');
+    const unlinked = bot.user('unlinked', { roles: [eventRole.id] });
+    const [p1P, p2P, p3P] = [bot.player(p1, 0), bot.player(p2, 0), bot.player(p3, 0)];
+    bot.gsa.failNext('mutate', { status: 422, uuid: p2P.uuid, body: { error: 'Player is banned' } });
+
+    const bulk = await bot.command(manager, 'tokens', {
+      subcommand: 'bulk',
+      options: {
+        amount: 40,
+        role: eventRole,
+        voice: fakeVoiceChannel(bot.guild, [p1]),
+        users: `<@${p3.id}>, ${p1.id}`,
+        reason: 'boss fight',
+      },
+    });
+
+    assert.equal(bot.gsa.balanceOf(p1P.uuid), 40, 'listed twice, paid once');
+    assert.equal(bot.gsa.balanceOf(p2P.uuid), 0);
+    assert.equal(bot.gsa.balanceOf(p3P.uuid), 40);
+    assert.match(bulk.lastReply, /✅ Paid 2 \(80 tokens\)/);
+    assert.match(bulk.lastReply, new RegExp(`⏭️ Skipped \\(not linked\\) 1: <@${unlinked.id}>`));
+    assert.match(bulk.lastReply, new RegExp(`❌ Failed 1: <@${p2.id}> \\(HTTP 422 – Player is banned\\)`));
+    assert.ok(bulk.replies.some(r => /^⏳ Granting \*\*40\*\* tokens for \*\*4\*\* player/.test(r)));
+  });
+
+  await t.test('bulk needs a target', async () => {
+    const bulk = await bot.command(manager, 'tokens', { subcommand: 'bulk', options: { amount: 5 } });
+    assert.match(bulk.lastReply, /Pick a role, a voice channel or paste a list/);
+  });
+});
+
+test('/tokens import and export', async t => {
+  const bot = await startBot({ cooldownMs: 0 });
+  t.after(() => bot.close());
+
+  const manager = bot.user('manager', { roles: ['manager-role'] });
+  const erin = bot.user('erin');
+  const frank = bot.user('frank');
+  const ghost = bot.user('ghost');
+  const erinP = bot.player(erin, 0);
+  const frankP = bot.player(frank, 0);
+  const uuidPlayer = bot.gsa.addPlayer({ uuid: '3f2b8c9e-1a2b-4c3d-9e8f-0123456789ab', username: 'norm', serviceId: '1', tokens: 0 });
+
+  await t.test('previews a CSV and pays it on confirm', async () => {
+    const file = bot.gsa.attach('payout.csv', [
+      'player;amount;reason',
+      `${erin.id};25;"Raid; first place"`,
+      `<@${frank.id}>;10;`,
+      `${uuidPlayer.uuid};5;uuid row`,
+      `${ghost.id};10;not linked`,
+      'bob;10;bad id',
+      `${frank.id};ten;bad amount`,
+    ].join('\r\n'));
+
+    const jobs = bot.ctx.outbox.list().length;
+    const preview = await bot.command(manager, 'tokens', { subcommand: 'import', options: { file, reason: 'Event payout' } });
+    assert.match(preview.lastReply, /nothing sent yet/);
+    assert.match(preview.lastReply, /✅ Will pay 3 \(40 tokens\)/);
+    assert.match(preview.lastReply, /⏭️ Skipped \(not linked\) 1/);
+    assert.match(preview.lastReply, /Ignored 2 invalid row\(s\)/);
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 0, 'preview sends nothing');
+    assert.equal(bot.ctx.outbox.list().length, jobs, 'nor journals anything');
+
+    const other = await bot.press(erin, preview.message, 'import');
+    assert.match(other.lastReply, /Only <@/);
+
+    const confirm = await bot.press(manager, preview.message, 'import');
+    assert.match(confirm.lastReply, /✅ Paid 3 \(40 tokens\)/);
+    assert.equal(bot.gsa.balanceOf(erinP.uuid), 25);
+    assert.equal(bot.gsa.balanceOf(frankP.uuid), 10);
+    assert.equal(bot.gsa.balanceOf(uuidPlayer.uuid), 5);
+    assert.deepEqual(bot.gsa.transactions.map(x => x.description), ['Raid; first place', 'Event payout', 'uuid row']);
+  });
+
+  await t.test('exports history as a CSV attachment', async () => {
+    const out = await bot.command(manager, 'tokens', { subcommand: 'export', options: { user: erin } });
+    const reply = out.replies.at(-1);
+    assert.match(reply.content, /\*\*1\*\* transaction\(s\) for \*\*erin\*\*/);
+    const csv = reply.files[0].attachment.toString('utf8');
+    assert.match(csv, /^date,amount,sender,description,player,player_uuid\r\n/);
+    assert.match(csv, /,25,system,Raid; first place,erin,/);
+
+    const empty = await bot.command(manager, 'tokens', { subcommand: 'export', options: { user: erin, to: '2000-01-01' } });
+    assert.match(empty.lastReply, /No transactions found/);
+  });
+
+  await t.test('history pages through filtered transactions', async () => {
+    const gina = bot.user('gina');
+    const ginaP = bot.player(gina, 0);
+    const day = d => new Date(Date.UTC(2024, 0, d, 12)).toISOString();
+    // Oldest first, like GSA stores them: 25 grants, 5 removals, 3 trade steps
+    for (let d = 1; d <= 25; d++) bot.gsa.transactions.push({ uuid: ginaP.uuid, transaction_value: 10, description: `grant ${d}`, date: day(d) });
+    for (let d = 26; d <= 30; d++) bot.gsa.transactions.push({ uuid: ginaP.uuid, transaction_value: -5, description: `removal ${d}`, date: day(d), sender: { username: 'Mod Bob' } });
+    bot.gsa.transactions.push({ uuid: ginaP.uuid, transaction_value: -20, description: 'Trade: gift → dave', date: day(31) });
+
+    const embed = i => i.replies.at(-1).embeds[0].data;
+    const grants = await bot.command(manager, 'tokens', { subcommand: 'history', options: { user: gina, direction: 'grants' } });
+    assert.equal(embed(grants).description.split('\n').filter(l => l.includes('➕10')).length, 10, 'one page of grants');
+    assert.match(embed(grants).description, /^🔎 grants/);
+    assert.match(embed(grants).footer.text, /^Page 1 • rows 1-10 • running total \+100$/);
+    assert.deepEqual(buttonIds(grants.message), [`tokens:hprev:${grants.id}`, `tokens:hnext:${grants.id}`]);
+
+    const page2 = await bot.press(manager, grants.message, 'hnext');
+    assert.match(embed(page2).description, /grant 15/);
+    const page3 = await bot.press(manager, grants.message, 'hnext');
+    assert.match(embed(page3).footer.text, /^Page 3 \(last\) • rows 21-25 • running total \+250$/);
+    assert.equal(grants.message.components[0].components[1].data.disabled, true, 'no Next on the last page');
+    const back = await bot.press(manager, grants.message, 'hprev');
+    assert.match(embed(back).footer.text, /^Page 2 /);
+
+    const stranger = await bot.press(gina, grants.message, 'hprev');
+    assert.match(stranger.lastReply, /⛔ Only <@\d+> can do that\./);
+
+    const trades = await bot.command(manager, 'tokens', { subcommand: 'history', options: { user: gina, direction: 'trades' } });
+    assert.match(embed(trades).description, /➖20 • by system • Trade: gift → dave/);
+    assert.match(embed(trades).footer.text, /running total -20$/);
+
+    const bob = await bot.command(manager, 'tokens', {
+      subcommand: 'history', options: { user: gina, sender: 'bob', from: '2024-01-28', to: '2024-01-29' },
+    });
+    assert.match(embed(bob).description, /^🔎 sender "bob" • 2024-01-28 → 2024-01-29/);
+    assert.deepEqual(embed(bob).description.match(/removal \d+/g), ['removal 29', 'removal 28']);
+  });
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startBot } = require('./support/harness');
+const { buttonIds, fakeButton } = require('./support/fake-discord');
+
+test('/trade', async t => {
+  // Short GSA cooldown: the refund hits the sender again right after the debit.
+  const bot = await startBot({ cooldownMs: 300 });
+  t.after(() => bot.close());
+
+  const alice = bot.user('alice');
+  const bob = bot.user('bob');
+  const carol = bot.user('carol');
+  const aliceP = bot.player(alice, 500);
+  const bobP = bot.player(bob, 0);
+  const carolP = bot.player(carol, 0);
+
+  await t.test('moves tokens once the sender confirms', async () => {
+    const offer = await bot.command(alice, 'trade', { options: { user: bob, amount: 100 } });
+    assert.match(offer.lastReply, /send \*\*100\*\* tokens to \*\*bob\*\*/);
+    assert.equal(bot.gsa.balanceOf(aliceP.uuid), 500, 'nothing moves before Confirm');
+
+    const confirm = await bot.press(alice, offer.message, 'confirm');
+    assert.match(confirm.lastReply, /✅ \*\*alice\*\* sent \*\*100\*\* tokens to \*\*bob\*\*/);
+    assert.equal(bot.gsa.balanceOf(aliceP.uuid), 400);
+    assert.equal(bot.gsa.balanceOf(bobP.uuid), 100);
+
+  });
+
+  await t.test('only the sender can confirm', async () => {
+    const offer = await bot.command(alice, 'trade', { options: { user: carol, amount: 10 } });
+    const press = await bot.press(bob, offer.message, 'confirm');
+    assert.match(press.lastReply, /Only <@/);
+    await bot.press(alice, offer.message, 'cancel');
+  });
+
+  await t.test('a second click while the trade runs leaves the result alone', async () => {
+    await new Promise(resolve => setTimeout(resolve, 350)); // let bob's cooldown from the first trade pass
+    const dave = bot.user('dave');
+    const daveP = bot.player(dave, 0);
+    const offer = await bot.command(bob, 'trade', { options: { user: dave, amount: 10 } });
+    // Clicks already on their way when the first one removes the buttons
+    const [confirmId, cancelId] = buttonIds(offer.message);
+    const click = customId => fakeButton({ guild: bot.guild, channel: bot.channel, user: bob, customId, message: offer.message });
+    const [confirm, again, cancel] = [click(confirmId), click(confirmId), click(cancelId)];
+    await Promise.all([confirm, again, cancel].map(i => bot.dispatch('interactionCreate', i)));
+
+    assert.match(confirm.lastReply, /✅ \*\*bob\*\* sent \*\*10\*\* tokens to \*\*dave\*\*/);
+    for (const late of [again, cancel]) {
+      assert.equal(late.lastReply, '⏳ This trade is already being sent.');
+      assert.equal(late.replies.at(-1).ephemeral, true);
+    }
+    assert.equal(bot.gsa.balanceOf(daveP.uuid), 10);
+  });
+
+  await t.test('refunds the sender when the credit fails for good', async () => {
+    await new Promise(resolve => setTimeout(resolve, 350)); // let alice's cooldown from the last trade pass
+    bot.gsa.failNext('mutate', { status: 400, uuid: carolP.uuid, body: { error: 'Player is banned' } });
+
+    const offer = await bot.command(alice, 'trade', { options: { user: carol, amount: 50 } });
+    const confirm = await bot.press(alice, offer.message, 'confirm');
+    assert.match(confirm.lastReply, /being refunded automatically/);
+    assert.equal(bot.gsa.balanceOf(carolP.uuid), 0);
+
+    // The refund first runs into the GSA cooldown (429) and goes through on a retry.
+    await bot.waitFor(() => bot.gsa.balanceOf(aliceP.uuid) === 400, { what: 'refund' });
+    assert.ok(bot.gsa.requests.some(r => r.route === 'mutate' && r.id === aliceP.uuid && r.body.amount === 50));
+
+    const list = await bot.command(bot.user('manager', { roles: ['manager-role'] }), 'trades', {
+      subcommand: 'list', options: { state: 'rolled_back' },
+    });
+    assert.match(list.lastReply, /rolled_back • \*\*50\*\* alice → carol/);
+    assert.ok(bot.audit.sent.some(m => m.embeds[0]?.data.title === '🚨 GSA call permanently failed'));
+  });
+});
+
+test('trade runner', async t => {
+  // Required here, not at the top: lib/json-store.js must first be loaded by the harness, with its DATA_DIR
+  const { createTradeJournal } = require('../lib/trade-journal');
+  const { createTradeRunner } = require('../lib/trade-runner');
+
+  // The outbox only as far as the runner sees it: each mutation settles right
+  // away as the next of `fates` says (default done), like a job the outbox
+  // finished or gave up on.
+  function setup(fates = []) {
+    const journal = createTradeJournal(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dino-bot-trades-')), 'trades.json'));
+    const jobs = new Map();
+    const outbox = {
+      status: id => jobs.get(id)?.status ?? null,
+      list: status => [...jobs.values()].filter(j => !status || j.status === status),
+    };
+    const sent = [];
+    const changes = [];
+    const mutate = async (uuid, amount, description, { id }) => {
+      sent.push([uuid, amount]);
+      const status = fates.shift() || 'done';
+      jobs.set(id, { id, status, lastError: status === 'dead' ? 'HTTP 400' : null });
+    };
+    const runner = createTradeRunner({ journal, outbox, mutate, onChange: (trade, previous) => changes.push(`${previous} -> ${trade.state}`) });
+    const trade = overrides => journal.create({
+      senderId: 's', senderUuid: 'uuid-s', senderName: 'sam', recipientId: 'r', recipientUuid: 'uuid-r', recipientName: 'rita',
+      amount: 40, note: 'gift', guildId: 'g', ...overrides,
+    });
+    return { journal, jobs, runner, sent, changes, trade };
+  }
+  const states = trade => trade.history.map(h => h.state);
+
+  await t.test('a dead debit fails the trade and nothing else is sent', async () => {
+    const { runner, sent, trade } = setup(['dead']);
+    const done = await runner.advance(trade().id);
+    assert.equal(done.state, 'failed');
+    assert.equal(done.history.at(-1).detail, 'HTTP 400');
+    assert.deepEqual(sent, [['uuid-s', -40]]);
+  });
+
+  await t.test('a dead credit refunds the sender', async () => {
+    const { runner, sent, changes, trade } = setup(['done', 'dead']);
+    const done = await runner.advance(trade({ fee: 5, treasuryUuid: 'uuid-t' }).id);
+    assert.equal(done.state, 'rolled_back');
+    assert.deepEqual(states(done), ['pending', 'debited', 'rolling_back', 'rolled_back']);
+    assert.deepEqual(sent, [['uuid-s', -45], ['uuid-r', 40], ['uuid-s', 45]]);
+    assert.deepEqual(changes, ['pending -> debited', 'debited -> rolling_back', 'rolling_back -> rolled_back']);
+  });
+
+  await t.test('a dead refund leaves the trade stuck for a manager', async () => {
+    const { runner, sent, trade } = setup(['done', 'dead', 'dead']);
+    const { id } = trade();
+    const stuck = await runner.advance(id);
+    assert.equal(stuck.state, 'stuck');
+    assert.equal(stuck.stuckFrom, 'rolling_back');
+    assert.equal(sent.length, 3);
+
+    const retried = await runner.resolve(id, 'retry', { by: 'manager' });
+    assert.equal(retried.state, 'rolled_back');
+    assert.deepEqual(sent.at(-1), ['uuid-s', 40]);
+  });
+
+  await t.test('resumeAll finishes what a restart interrupted', async () => {
+    const { journal, jobs, runner, sent, trade } = setup();
+    // Debit went through, then the process died before the credit was sent
+    const halfway = trade();
+    journal.patch(halfway.id, { debitJobId: 'debit-1' });
+    journal.transition(halfway.id, 'debited');
+    journal.patch(halfway.id, { creditJobId: 'credit-1' });
+    jobs.set('debit-1', { id: 'debit-1', status: 'done' });
+    // Died between writing the debit's job id and sending it: abandoned
+    const unsent = trade();
+    journal.patch(unsent.id, { debitJobId: 'debit-2' });
+    // Credit still being retried by the outbox: left to its callback
+    const waiting = trade();
+    journal.patch(waiting.id, { debitJobId: 'debit-3' });
+    journal.transition(waiting.id, 'debited');
+    journal.patch(waiting.id, { creditJobId: 'credit-3' });
+    jobs.set('credit-3', { id: 'credit-3', status: 'queued' });
+
+    await runner.resumeAll();
+    assert.equal(journal.get(halfway.id).state, 'credited');
+    assert.equal(journal.get(unsent.id).state, 'failed');
+    assert.equal(journal.get(unsent.id).history.at(-1).detail, 'debit was never sent (restart)');
+    assert.equal(journal.get(waiting.id).state, 'debited');
+    assert.deepEqual(sent, [['uuid-r', 40]]);
+  });
+});
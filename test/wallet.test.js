@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot } = require('./support/harness');
+
+const rules = [
+  {
+    name: 'contribution',
+    emoji: '✅',
+    polarity: 'positive',
+    reward: { type: 'tokens', amount: 25 },
+    description: '{admin} recognized {helper} for helping',
+    message: '{helper} has been recognized for helping! 🎉',
+  },
+  {
+    name: 'spam',
+    emoji: '💩',
+    polarity: 'negative',
+    reward: { type: 'tokens', amount: 5 },
+    message: '{helper} lost {amount} tokens for spamming',
+  },
+];
+
+test('/wallet and /history', async t => {
+  const bot = await startBot({ rules, cooldownMs: 0 });
+  t.after(() => bot.close());
+
+  const admin = bot.user('admin', { roles: ['admin-role'] });
+  const helper = bot.user('helper');
+  const bob = bot.user('bob');
+  const helperP = bot.player(helper, 100);
+  bot.player(bob, 0);
+
+  const embedOf = i => i.replies.at(-1).embeds[0].data;
+  const field = (embed, prefix) => embed.fields.find(f => f.name.startsWith(prefix));
+
+  await t.test('needs a linked account', async () => {
+    const wallet = await bot.command(bot.user('stranger'), 'wallet');
+    assert.match(wallet.lastReply, /No GSA player found for your Discord account/);
+  });
+
+  await t.test('shows balance, flow, unfinished trades and recognitions, privately', async () => {
+    await bot.react(admin, bot.post(helper, 'how to tame a rex'), '✅');
+    bot.gsa.transactions.push(
+      { uuid: helperP.uuid, transaction_value: -10, description: 'Removed for spam', date: new Date().toISOString() },
+      { uuid: helperP.uuid, transaction_value: -30, description: 'Trade: gift → bob', date: new Date().toISOString() },
+    );
+    bot.ctx.trades.create({
+      senderId: bob.id, senderUuid: 'uuid-bob', senderName: 'bob',
+      recipientId: helper.id, recipientUuid: helperP.uuid, recipientName: 'helper',
+      amount: 40, note: 'thanks', guildId: bot.guild.id,
+    });
+
+    const wallet = await bot.command(helper, 'wallet');
+    assert.equal(wallet.ephemeral, true);
+    const embed = embedOf(wallet);
+    assert.equal(embed.description, '💳 **125** tokens');
+    assert.match(field(embed, 'Last 30 days').value, /Earned 25 • ➖ Removed 10\n.*Received 0 • Sent 30.*\nNet -15/);
+    assert.match(field(embed, 'Unfinished trades (1)').value, /➕40 from bob • pending/);
+    assert.equal(field(embed, 'Recognitions').name, 'Recognitions (1, 25 tokens)');
+    assert.match(field(embed, 'Recognitions').value, /contribution \(\+25\) • \[message\]/);
+  });
+
+  await t.test('history shows only your own transactions', async () => {
+    const history = await bot.command(helper, 'history', { options: { direction: 'removals' } });
+    assert.equal(history.ephemeral, true);
+    const embed = embedOf(history);
+    assert.equal(embed.title, '📜 Your token history');
+    assert.match(embed.description, /➖10 • by system • Removed for spam/);
+    assert.doesNotMatch(embed.description, /gift/);
+    assert.match(embed.footer.text, /running total -10$/);
+
+    const bad = await bot.command(helper, 'history', { options: { from: 'yesterday' } });
+    assert.equal(bad.lastReply, '❌ Dates must look like 2024-12-31.');
+  });
+
+  await t.test('penalties are not recognitions', async () => {
+    await bot.react(admin, bot.post(helper, 'buy gold cheap'), '💩');
+    const embed = embedOf(await bot.command(helper, 'wallet'));
+    assert.equal(embed.description, '💳 **120** tokens');
+    assert.equal(field(embed, 'Recognitions').name, 'Recognitions (1, 25 tokens)');
+    assert.doesNotMatch(field(embed, 'Recognitions').value, /spam/);
+  });
+});